@@ -0,0 +1,229 @@
+// Audit History for Lazy Spy
+// Persists audit runs per page (origin + path) and compares runs against each other
+
+class AuditHistory {
+  constructor(storage = chrome.storage.local) {
+    this.storage = storage;
+    this.keyPrefix = 'audits:';
+    this.maxAuditsPerPage = 10;
+    this.maxPages = 100; // Least recently audited pages are dropped beyond this
+    this.indexKey = 'auditIndex'; // page key -> last saved timestamp
+    this.pendingWrite = Promise.resolve(); // Saves and clears run one at a time so index updates don't race
+  }
+
+  getPageKey(url) {
+    try {
+      const parsed = new URL(url);
+      return `${this.keyPrefix}${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return `${this.keyPrefix}${url}`;
+    }
+  }
+
+  async getAudits(url) {
+    const key = this.getPageKey(url);
+    const result = await this.storage.get(key);
+    return result[key] || [];
+  }
+
+  saveAudit(audit) {
+    return this.queueWrite(() => this.writeAudit(audit));
+  }
+
+  clearAudits(url) {
+    return this.queueWrite(() => this.removeAudits(url));
+  }
+
+  // Each write reads and rewrites the shared index, so it waits for the previous one to settle
+  queueWrite(write) {
+    const result = this.pendingWrite.then(write);
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  async writeAudit(audit) {
+    const key = this.getPageKey(audit.url);
+    const audits = await this.getAudits(audit.url);
+    const timestamp = audit.timestamp || Date.now();
+
+    const record = {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      url: audit.url,
+      title: audit.title || '',
+      timestamp,
+      stats: audit.stats || {},
+      images: (audit.images || []).map(img => this.compactImage(img))
+    };
+
+    // Newest first, keep storage bounded
+    audits.unshift(record);
+    const index = await this.getIndex();
+    index[key] = record.timestamp;
+    await this.evictPages(index, this.maxPages, key);
+
+    try {
+      await this.storage.set({ [key]: audits.slice(0, this.maxAuditsPerPage), [this.indexKey]: index });
+    } catch (error) {
+      if (!/quota/i.test(error.message)) throw error;
+      // Storage is full: make room by dropping the older half of the other pages, then retry once
+      await this.evictPages(index, Math.floor(Object.keys(index).length / 2), key);
+      await this.storage.set({ [key]: audits.slice(0, this.maxAuditsPerPage), [this.indexKey]: index });
+    }
+
+    return record;
+  }
+
+  async removeAudits(url) {
+    const key = this.getPageKey(url);
+    const index = await this.getIndex();
+    delete index[key];
+    await this.storage.remove(key);
+    await this.storage.set({ [this.indexKey]: index });
+  }
+
+  // Built from the stored pages the first time, for audits saved before the index existed
+  async getIndex() {
+    const result = await this.storage.get(this.indexKey);
+    if (result[this.indexKey]) return result[this.indexKey];
+
+    const all = await this.storage.get(null);
+    const index = {};
+    Object.entries(all).forEach(([key, audits]) => {
+      if (key.startsWith(this.keyPrefix) && Array.isArray(audits)) {
+        index[key] = audits[0] ? audits[0].timestamp : 0;
+      }
+    });
+    return index;
+  }
+
+  // Removes the least recently audited pages until at most limit remain; keep is never removed
+  async evictPages(index, limit, keep) {
+    const stale = Object.keys(index)
+      .filter(key => key !== keep)
+      .sort((a, b) => index[a] - index[b])
+      .slice(0, Math.max(0, Object.keys(index).length - Math.max(limit, 1)));
+    if (stale.length === 0) return;
+
+    stale.forEach(key => delete index[key]);
+    await this.storage.remove(stale);
+  }
+
+  // Only keep what the comparison view and exports need
+  compactImage(img) {
+    return {
+      src: img.src,
+      type: img.type,
+      loadingStrategy: img.loadingStrategy,
+      fileSize: img.fileSize,
+      isLCP: !!img.isLCP,
+      isAboveFold: !!img.isAboveFold,
+      optimizationScore: img.optimizationScore,
+      clsContribution: img.clsContribution || 0,
+      recommendations: img.recommendations || [],
+      findings: (img.findings || []).map(finding => ({
+        ruleId: finding.ruleId,
+        severity: finding.severity,
+        message: finding.message
+      }))
+    };
+  }
+
+  compareAudits(current, previous) {
+    const currentFindings = this.collectFindings(current);
+    const previousFindings = this.collectFindings(previous);
+
+    const newIssues = [];
+    currentFindings.forEach((finding, key) => {
+      if (!previousFindings.has(key)) newIssues.push(finding);
+    });
+
+    const fixedIssues = [];
+    previousFindings.forEach((finding, key) => {
+      if (!currentFindings.has(key)) fixedIssues.push(finding);
+    });
+
+    const currentLCP = this.getLCPValue(current);
+    const previousLCP = this.getLCPValue(previous);
+    const currentBytes = this.calculateTotalKB(current);
+    const previousBytes = this.calculateTotalKB(previous);
+
+    return {
+      currentTimestamp: current.timestamp,
+      previousTimestamp: previous.timestamp,
+      newIssues,
+      fixedIssues,
+      lcp: {
+        current: currentLCP,
+        previous: previousLCP,
+        delta: currentLCP !== null && previousLCP !== null ? Math.round(currentLCP - previousLCP) : null
+      },
+      totalSizeKB: {
+        current: currentBytes,
+        previous: previousBytes,
+        delta: Math.round(currentBytes - previousBytes)
+      },
+      imageCount: {
+        current: current.images.length,
+        previous: previous.images.length,
+        delta: current.images.length - previous.images.length
+      }
+    };
+  }
+
+  // Keyed by rule ID so a finding whose message mentions sizes or byte counts still matches across runs.
+  // Audits saved before findings existed only have recommendation text to go on.
+  collectFindings(audit) {
+    const findings = new Map();
+    audit.images.forEach(img => {
+      if (img.findings) {
+        img.findings
+          .filter(finding => finding.severity === 'error' || finding.severity === 'warning')
+          .forEach(finding => {
+            findings.set(`${img.src}::${finding.ruleId}`, { src: img.src, ...finding });
+          });
+        return;
+      }
+      img.recommendations.forEach(message => {
+        findings.set(`${img.src}::${message}`, { src: img.src, message });
+      });
+    });
+    return findings;
+  }
+
+  getLCPValue(audit) {
+    const value = parseFloat(audit.stats && audit.stats.lcpValue);
+    return isNaN(value) || value <= 0 ? null : value;
+  }
+
+  calculateTotalKB(audit) {
+    return audit.images.reduce((total, img) => total + this.parseFileSizeToKB(img.fileSize), 0);
+  }
+
+  parseFileSizeToKB(fileSize) {
+    if (!fileSize || fileSize === 'Unknown') return 0;
+
+    if (typeof fileSize === 'number') {
+      return fileSize / 1024; // Convert bytes to KB
+    }
+
+    if (typeof fileSize === 'string') {
+      const match = fileSize.match(/^([\d.]+)(KB|MB)$/);
+      if (match) {
+        const value = parseFloat(match[1]);
+        return match[2] === 'MB' ? value * 1024 : value;
+      }
+    }
+
+    return 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditHistory;
+}
+
+// Make available globally for popup and background service worker
+if (typeof self !== 'undefined') {
+  self.AuditHistory = AuditHistory;
+}
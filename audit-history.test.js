@@ -0,0 +1,106 @@
+const AuditHistory = require('./audit-history');
+
+// chrome.storage.local stand-in; set() can be made to fail once with a quota error
+const createStorage = () => {
+  const data = {};
+  return {
+    data,
+    failNextSet: false,
+    async get(key) {
+      if (key === null) return { ...data };
+      return key in data ? { [key]: JSON.parse(JSON.stringify(data[key])) } : {};
+    },
+    async set(values) {
+      if (this.failNextSet) {
+        this.failNextSet = false;
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(data, JSON.parse(JSON.stringify(values)));
+    },
+    async remove(key) {
+      delete data[key];
+    }
+  };
+};
+
+const image = (src, findings = [], fileSize = '100KB') => ({ src, fileSize, recommendations: findings.map(finding => finding.message), findings });
+
+describe('AuditHistory', () => {
+  describe('compareAudits', () => {
+    const history = new AuditHistory(createStorage());
+    const lazyAboveFold = { ruleId: 'lazy-above-fold', severity: 'error', message: 'Avoid lazy loading' };
+    const missingDimensions = { ruleId: 'missing-dimensions', severity: 'error', message: 'Add width and height' };
+    const decoding = { ruleId: 'decoding-async', severity: 'info', message: 'Add decoding="async"' };
+
+    test('reports new and fixed issues by rule ID', () => {
+      const previous = { timestamp: 1, stats: { lcpValue: 3000 }, images: [image('a.jpg', [lazyAboveFold])] };
+      const current = { timestamp: 2, stats: { lcpValue: 2400 }, images: [image('a.jpg', [missingDimensions])] };
+
+      const comparison = history.compareAudits(current, previous);
+      expect(comparison.newIssues.map(issue => issue.ruleId)).toEqual(['missing-dimensions']);
+      expect(comparison.fixedIssues.map(issue => issue.ruleId)).toEqual(['lazy-above-fold']);
+      expect(comparison.lcp).toEqual({ current: 2400, previous: 3000, delta: -600 });
+    });
+
+    test('matches findings whose message changed and ignores info findings', () => {
+      const previous = { timestamp: 1, stats: {}, images: [image('a.jpg', [{ ...missingDimensions, message: 'width="800"' }])] };
+      const current = { timestamp: 2, stats: {}, images: [image('a.jpg', [{ ...missingDimensions, message: 'width="640"' }, decoding])] };
+
+      const comparison = history.compareAudits(current, previous);
+      expect(comparison.newIssues).toEqual([]);
+      expect(comparison.fixedIssues).toEqual([]);
+      expect(comparison.lcp.delta).toBeNull();
+    });
+
+    test('compares total size and image count', () => {
+      const previous = { timestamp: 1, stats: {}, images: [image('a.jpg', [], '1MB')] };
+      const current = { timestamp: 2, stats: {}, images: [image('a.jpg', [], '200KB'), image('b.jpg', [], '56KB')] };
+
+      const comparison = history.compareAudits(current, previous);
+      expect(comparison.totalSizeKB).toEqual({ current: 256, previous: 1024, delta: -768 });
+      expect(comparison.imageCount.delta).toBe(1);
+    });
+  });
+
+  describe('saveAudit', () => {
+    test('falls back to the current time for the id and timestamp', async () => {
+      const history = new AuditHistory(createStorage());
+      const record = await history.saveAudit({ url: 'https://example.com/' });
+      expect(record.id).toMatch(new RegExp(`^${record.timestamp}-`));
+    });
+
+    test('keeps the index consistent when saves overlap', async () => {
+      const storage = createStorage();
+      const history = new AuditHistory(storage);
+      await Promise.all([
+        history.saveAudit({ url: 'https://example.com/a', timestamp: 1 }),
+        history.saveAudit({ url: 'https://example.com/b', timestamp: 2 })
+      ]);
+      expect(Object.keys(storage.data.auditIndex)).toEqual(['audits:https://example.com/a', 'audits:https://example.com/b']);
+    });
+
+    test('drops the least recently audited pages beyond maxPages', async () => {
+      const storage = createStorage();
+      const history = new AuditHistory(storage);
+      history.maxPages = 2;
+      for (let i = 1; i <= 3; i++) {
+        await history.saveAudit({ url: `https://example.com/${i}`, timestamp: i });
+      }
+      expect(storage.data['audits:https://example.com/1']).toBeUndefined();
+      expect(Object.keys(storage.data.auditIndex)).toEqual(['audits:https://example.com/2', 'audits:https://example.com/3']);
+    });
+
+    test('evicts other pages and retries when storage is full', async () => {
+      const storage = createStorage();
+      const history = new AuditHistory(storage);
+      for (let i = 1; i <= 4; i++) {
+        await history.saveAudit({ url: `https://example.com/${i}`, timestamp: i });
+      }
+
+      storage.failNextSet = true;
+      await history.saveAudit({ url: 'https://example.com/5', timestamp: 5 });
+      expect(storage.data['audits:https://example.com/5']).toHaveLength(1);
+      expect(Object.keys(storage.data.auditIndex).length).toBeLessThan(5);
+    });
+  });
+});
@@ -2,6 +2,25 @@
 class BackgroundService {
   constructor() {
     this.activeTabs = new Set();
+    this.auditHistory = new AuditHistory();
+    this.formatDetector = new ImageFormatDetector();
+    this.imageProbes = new Map(); // url -> Promise<probe result>, in flight or settled, oldest first
+    this.maxCachedProbes = 500;
+    this.probeQueue = [];
+    this.activeProbes = 0;
+    this.maxConcurrentProbes = 2;
+    this.viewportSettleDelay = 1000; // ms to let responsive layouts and srcset swaps settle
+    this.imageAcceptHeader = 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8';
+    this.devtoolsPorts = new Map(); // tabId -> Port of the open DevTools panel inspecting that tab
+    this.whatIfSettleDelay = 3000; // ms after the load event for LCP to settle in a what-if run
+    this.whatIfLoadTimeout = 30000; // ms to wait for the load event before measuring anyway
+    this.siteCrawler = new SiteCrawler({
+      injectContentScript: (tabId) => this.injectContentScript(tabId),
+      onProgress: (status) => {
+        // The crawl page may be closed; progress is also available through getCrawlStatus
+        chrome.runtime.sendMessage({ action: 'crawlProgress', status }).catch(() => {});
+      }
+    });
     this.init();
   }
 
@@ -12,6 +31,23 @@ class BackgroundService {
       return true; // Keep message channel open for async response
     });
 
+    // DevTools panels keep a port open so content updates can be pushed to them
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== 'lazy-spy-devtools') return;
+
+      port.onMessage.addListener((message) => {
+        if (message.action === 'init' && message.tabId) {
+          this.devtoolsPorts.set(message.tabId, port);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        for (const [tabId, tabPort] of this.devtoolsPorts) {
+          if (tabPort === port) this.devtoolsPorts.delete(tabId);
+        }
+      });
+    });
+
     // Handle tab updates
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (changeInfo.status === 'complete' && this.activeTabs.has(tabId)) {
@@ -53,6 +89,46 @@ class BackgroundService {
         case 'lcpDetected':
           await this.handleLCPDetected(request, sender, sendResponse);
           break;
+        case 'generateThumbnails':
+          await this.handleGenerateThumbnails(request, sender, sendResponse);
+          break;
+        case 'probeImage':
+          await this.handleProbeImage(request, sender, sendResponse);
+          break;
+        case 'getLibraryRuntime':
+          await this.handleGetLibraryRuntime(request, sender, sendResponse);
+          break;
+        case 'focusImage':
+          await this.handleFocusImage(request, sender, sendResponse);
+          break;
+        case 'markImageForInspect':
+          await this.handleMarkImageForInspect(request, sender, sendResponse);
+          break;
+        case 'imagesUpdated':
+          this.handleImagesUpdated(request, sender, sendResponse);
+          break;
+        case 'runViewportSimulation':
+          await this.handleRunViewportSimulation(request, sender, sendResponse);
+          break;
+        case 'runWhatIfPreview':
+          await this.handleRunWhatIfPreview(request, sender, sendResponse);
+          break;
+        case 'startCrawl':
+          await this.handleStartCrawl(request, sender, sendResponse);
+          break;
+        case 'cancelCrawl':
+          this.siteCrawler.cancel();
+          sendResponse({ success: true });
+          break;
+        case 'getCrawlStatus':
+          await this.handleGetCrawlStatus(request, sender, sendResponse);
+          break;
+        case 'saveAudit':
+          await this.handleSaveAudit(request, sender, sendResponse);
+          break;
+        case 'getAuditHistory':
+          await this.handleGetAuditHistory(request, sender, sendResponse);
+          break;
         default:
           sendResponse({ error: 'Unknown action' });
       }
@@ -254,7 +330,7 @@ class BackgroundService {
       
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ['content.js']
+        files: ['dist/content.bundle.js']
       });
       
       // Also inject CSS
@@ -310,6 +386,51 @@ class BackgroundService {
     }
   }
 
+  async handleFocusImage(request, sender, sendResponse) {
+    const tabId = request.tabId || sender.tab?.id;
+    if (!tabId) {
+      sendResponse({ error: 'No tab context' });
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'focusImage', imageId: request.imageId });
+      sendResponse(response);
+    } catch (error) {
+      sendResponse({ error: error.message, success: false });
+    }
+  }
+
+  async handleMarkImageForInspect(request, sender, sendResponse) {
+    const tabId = request.tabId || sender.tab?.id;
+    if (!tabId) {
+      sendResponse({ error: 'No tab context' });
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'markImageForInspect', imageId: request.imageId });
+      sendResponse(response);
+    } catch (error) {
+      sendResponse({ error: error.message, success: false });
+    }
+  }
+
+  handleImagesUpdated(request, sender, sendResponse) {
+    const tabId = sender.tab?.id;
+    const port = tabId ? this.devtoolsPorts.get(tabId) : null;
+
+    if (port) {
+      port.postMessage({
+        action: 'imagesUpdated',
+        isActive: request.isActive,
+        totalImages: request.totalImages
+      });
+    }
+
+    sendResponse({ success: true });
+  }
+
   async handleLCPDetected(request, sender, sendResponse) {
     // Forward the LCP detection to the popup
     try {
@@ -354,6 +475,402 @@ class BackgroundService {
     }
   }
 
+  async handleGenerateThumbnails(request, sender, sendResponse) {
+    const sources = Array.from(new Set(request.sources || [])).slice(0, 300);
+    const maxSize = request.maxSize || 160;
+    const thumbnails = {};
+
+    // Fetch a few at a time so large pages don't flood the network
+    const queue = sources.slice();
+    const worker = async () => {
+      while (queue.length > 0) {
+        const src = queue.shift();
+        const thumbnail = await this.createThumbnail(src, maxSize);
+        if (thumbnail) {
+          thumbnails[src] = thumbnail;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: 4 }, worker));
+    sendResponse({ thumbnails });
+  }
+
+  async createThumbnail(src, maxSize) {
+    try {
+      const response = await fetch(src, { credentials: 'omit' });
+      if (!response.ok) return null;
+
+      const blob = await response.blob();
+      const bitmap = await createImageBitmap(blob);
+      const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.round(bitmap.height * scale));
+
+      const canvas = new OffscreenCanvas(width, height);
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, width, height);
+      context.drawImage(bitmap, 0, 0, width, height);
+      bitmap.close();
+
+      const thumbnailBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+      const bytes = new Uint8Array(await thumbnailBlob.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+      }
+      return `data:image/jpeg;base64,${btoa(binary)}`;
+    } catch (error) {
+      // Unsupported formats (e.g. SVG) or blocked requests just get no preview
+      return null;
+    }
+  }
+
+  async handleProbeImage(request, sender, sendResponse) {
+    if (!request.url || !/^https?:/.test(request.url)) {
+      sendResponse({ error: 'Invalid image URL' });
+      return;
+    }
+
+    let pending = this.imageProbes.get(request.url);
+    if (pending) {
+      // Re-insert so the Map stays in least recently used order
+      this.imageProbes.delete(request.url);
+    } else {
+      pending = this.enqueueProbe(request.url);
+    }
+    this.imageProbes.set(request.url, pending);
+
+    while (this.imageProbes.size > this.maxCachedProbes) {
+      this.imageProbes.delete(this.imageProbes.keys().next().value);
+    }
+
+    const probe = await pending;
+    if (!probe.bytes && !probe.format && this.imageProbes.get(request.url) === pending) {
+      // Nothing was learned, likely a transient network error; let the next request retry
+      this.imageProbes.delete(request.url);
+    }
+    sendResponse({ ...probe, source: 'head-request' });
+  }
+
+  // Library globals and instances live in the page's main world, out of the content script's reach
+  async handleGetLibraryRuntime(request, sender, sendResponse) {
+    const tabId = request.tabId || sender.tab?.id;
+    if (!tabId) {
+      sendResponse({ error: 'No tab context' });
+      return;
+    }
+
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: readLibraryRuntime,
+      args: [request.paths || []]
+    });
+    sendResponse({ runtime: injection ? injection.result : null });
+  }
+
+  enqueueProbe(url) {
+    return new Promise(resolve => {
+      this.probeQueue.push({ url, resolve });
+      this.processProbeQueue();
+    });
+  }
+
+  processProbeQueue() {
+    while (this.activeProbes < this.maxConcurrentProbes && this.probeQueue.length > 0) {
+      const { url, resolve } = this.probeQueue.shift();
+      this.activeProbes++;
+
+      this.probeRemoteImage(url)
+        .then(resolve)
+        .finally(() => {
+          this.activeProbes--;
+          // Small gap between requests so we don't hammer image hosts
+          setTimeout(() => this.processProbeQueue(), 100);
+        });
+    }
+  }
+
+  // Resolves the byte size and the format the server actually sends for an image URL
+  async probeRemoteImage(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    // Send the same Accept header as an <img> request so CDNs negotiate the same format
+    const headers = { Accept: this.imageAcceptHeader };
+    const result = { bytes: null, contentType: null, format: null, formatSource: null };
+
+    try {
+      const response = await fetch(url, { method: 'HEAD', headers, credentials: 'omit', signal: controller.signal });
+      if (response.ok) {
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        result.bytes = contentLength > 0 ? contentLength : null;
+        this.applyContentType(result, response.headers.get('content-type'));
+      }
+
+      if (result.bytes && result.format) {
+        return result;
+      }
+
+      // Some hosts reject HEAD, omit Content-Length or send a generic Content-Type.
+      // A small range request reports the total size and gives us the magic bytes to sniff.
+      const rangeResponse = await fetch(url, {
+        headers: { ...headers, Range: 'bytes=0-31' },
+        credentials: 'omit',
+        signal: controller.signal
+      });
+
+      if (!result.bytes) {
+        const contentRange = rangeResponse.headers.get('content-range');
+        const match = contentRange && contentRange.match(/\/(\d+)$/);
+        result.bytes = match ? parseInt(match[1], 10) : null;
+      }
+
+      if (!result.format && rangeResponse.ok) {
+        this.applyContentType(result, rangeResponse.headers.get('content-type'));
+      }
+
+      if (!result.format && rangeResponse.ok && rangeResponse.body) {
+        // Servers that ignore Range send the whole file, so only read the first chunk
+        const reader = rangeResponse.body.getReader();
+        const { value } = await reader.read();
+        reader.cancel();
+        result.format = this.formatDetector.fromMagicBytes(value);
+        result.formatSource = result.format ? 'magic-bytes' : null;
+      } else if (rangeResponse.body) {
+        rangeResponse.body.cancel();
+      }
+
+      return result;
+    } catch (error) {
+      return result;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  applyContentType(result, contentType) {
+    if (!contentType || result.format) return;
+
+    result.contentType = contentType;
+    if (!this.formatDetector.isGenericContentType(contentType)) {
+      result.format = this.formatDetector.fromContentType(contentType);
+      result.formatSource = result.format ? 'content-type' : null;
+    }
+  }
+
+  // Re-lays the page out at each viewport profile via device metrics emulation and lets the
+  // content script re-evaluate fold position, LCP likelihood and lazy/eager advice
+  async handleRunViewportSimulation(request, sender, sendResponse) {
+    const tabId = request.tabId;
+    const profiles = request.profiles || [];
+    if (!tabId || profiles.length === 0) {
+      sendResponse({ error: 'No tab or viewport profiles to simulate' });
+      return;
+    }
+
+    const target = { tabId };
+    try {
+      await chrome.debugger.attach(target, '1.3');
+    } catch (error) {
+      sendResponse({ error: `Could not attach to the tab: ${error.message}` });
+      return;
+    }
+
+    const results = [];
+    try {
+      for (const profile of profiles) {
+        await chrome.debugger.sendCommand(target, 'Emulation.setDeviceMetricsOverride', {
+          width: profile.width,
+          height: profile.height,
+          deviceScaleFactor: profile.devicePixelRatio,
+          mobile: profile.mobile
+        });
+        await new Promise(resolve => setTimeout(resolve, this.viewportSettleDelay));
+
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'evaluateViewportProfile', profile });
+        results.push(response && response.result ? response.result : { profile, error: response?.error || 'No response' });
+      }
+      sendResponse({ success: true, results });
+    } catch (error) {
+      sendResponse({ error: error.message, results });
+    } finally {
+      try {
+        await chrome.debugger.sendCommand(target, 'Emulation.clearDeviceMetricsOverride');
+        await chrome.debugger.detach(target);
+      } catch (error) {
+        // Tab closed or debugger already detached
+      }
+    }
+  }
+
+  // Reloads the page twice with the cache disabled - once as-is, once with the recommended loading
+  // fixes applied by a script that runs before the page's own - and compares LCP and image bytes
+  async handleRunWhatIfPreview(request, sender, sendResponse) {
+    const tabId = request.tabId;
+    if (!tabId) {
+      sendResponse({ error: 'No tab context' });
+      return;
+    }
+
+    let fixes;
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'getWhatIfFixes' });
+      fixes = response && response.fixes || [];
+    } catch (error) {
+      sendResponse({ error: 'Activate Lazy Spy on this page first' });
+      return;
+    }
+    if (fixes.length === 0) {
+      sendResponse({ error: 'No loading fixes to apply on this page' });
+      return;
+    }
+
+    const target = { tabId };
+    try {
+      await chrome.debugger.attach(target, '1.3');
+    } catch (error) {
+      sendResponse({ error: `Could not attach to the tab: ${error.message}` });
+      return;
+    }
+
+    let scriptId = null;
+    try {
+      await chrome.debugger.sendCommand(target, 'Page.enable');
+      await chrome.debugger.sendCommand(target, 'Network.enable');
+      await chrome.debugger.sendCommand(target, 'Network.setCacheDisabled', { cacheDisabled: true });
+
+      const baseline = await this.measureWhatIfRun(target);
+
+      const script = await chrome.debugger.sendCommand(target, 'Page.addScriptToEvaluateOnNewDocument', {
+        source: `(${applyWhatIfFixes.toString()})(${JSON.stringify(fixes)});`
+      });
+      scriptId = script.identifier;
+      const withFixes = await this.measureWhatIfRun(target);
+
+      sendResponse({
+        success: true,
+        baseline,
+        withFixes,
+        fixes: fixes.map(fix => ({ src: fix.key, changes: fix.changes }))
+      });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    } finally {
+      try {
+        if (scriptId) {
+          await chrome.debugger.sendCommand(target, 'Page.removeScriptToEvaluateOnNewDocument', { identifier: scriptId });
+        }
+        await chrome.debugger.sendCommand(target, 'Network.setCacheDisabled', { cacheDisabled: false });
+        await chrome.debugger.detach(target);
+      } catch (error) {
+        // Tab closed or debugger already detached
+      }
+    }
+  }
+
+  // One reload: image bytes come from the Network domain, LCP from the content script's buffered observer
+  async measureWhatIfRun(target) {
+    const imageRequests = new Set();
+    const run = { imageBytes: 0, imageRequests: 0, lcpValue: null, lcpElement: null };
+    let onLoad;
+    const loaded = new Promise(resolve => { onLoad = resolve; });
+
+    const listener = (source, method, params) => {
+      if (source.tabId !== target.tabId) return;
+      if (method === 'Network.responseReceived' && params.type === 'Image') {
+        imageRequests.add(params.requestId);
+      } else if (method === 'Network.loadingFinished' && imageRequests.has(params.requestId)) {
+        run.imageBytes += params.encodedDataLength || 0;
+        run.imageRequests++;
+      } else if (method === 'Page.loadEventFired') {
+        onLoad();
+      }
+    };
+
+    chrome.debugger.onEvent.addListener(listener);
+    try {
+      await chrome.debugger.sendCommand(target, 'Page.reload', { ignoreCache: true });
+      await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, this.whatIfLoadTimeout))]);
+      await new Promise(resolve => setTimeout(resolve, this.whatIfSettleDelay));
+    } finally {
+      chrome.debugger.onEvent.removeListener(listener);
+    }
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(target.tabId, { action: 'getWhatIfMetrics' });
+    } catch (error) {
+      await this.injectContentScript(target.tabId);
+      response = await chrome.tabs.sendMessage(target.tabId, { action: 'getWhatIfMetrics' });
+    }
+    if (response && response.metrics) {
+      run.lcpValue = response.metrics.lcpValue;
+      run.lcpElement = response.metrics.lcpElement;
+    }
+
+    return run;
+  }
+
+  async handleStartCrawl(request, sender, sendResponse) {
+    try {
+      const status = await this.siteCrawler.start(request.input);
+      sendResponse({ success: true, status });
+    } catch (error) {
+      sendResponse({ error: error.message, success: false });
+    }
+  }
+
+  async handleGetCrawlStatus(request, sender, sendResponse) {
+    try {
+      await this.siteCrawler.ready;
+      sendResponse({
+        status: this.siteCrawler.getStatus(),
+        report: await this.siteCrawler.getReport()
+      });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
+  async handleSaveAudit(request, sender, sendResponse) {
+    const url = sender.tab?.url || request.audit?.url;
+    if (!url || !request.audit) {
+      sendResponse({ error: 'No audit to save', success: false });
+      return;
+    }
+
+    try {
+      const record = await this.auditHistory.saveAudit({ ...request.audit, url });
+
+      // Let an open popup refresh its comparison view
+      try {
+        await chrome.runtime.sendMessage({ action: 'auditSaved', url: record.url });
+      } catch (error) {
+        // Popup is not open
+      }
+
+      sendResponse({ success: true, id: record.id });
+    } catch (error) {
+      sendResponse({ error: error.message, success: false });
+    }
+  }
+
+  async handleGetAuditHistory(request, sender, sendResponse) {
+    if (!request.url) {
+      sendResponse({ error: 'No URL provided' });
+      return;
+    }
+
+    try {
+      const audits = await this.auditHistory.getAudits(request.url);
+      sendResponse({ audits });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
   async handleToggleShowAll(request, sender, sendResponse) {
     const tabId = request.tabId || sender.tab?.id;
     if (!tabId) {
@@ -383,5 +900,85 @@ class BackgroundService {
   }
 }
 
+// Runs in the page before any page script (serialized into Page.addScriptToEvaluateOnNewDocument),
+// so it must not reference anything outside its own body. Rewrites images as the parser inserts them;
+// the preload scanner can still fetch a few images first, so results are a close approximation.
+function applyWhatIfFixes(fixes) {
+  const fixesByKey = new Map(fixes.map(fix => [fix.key, fix]));
+  const keyAttributes = [...new Set(fixes.map(fix => fix.keyAttribute))];
+  const fixed = new WeakSet();
+
+  const apply = (img) => {
+    if (fixed.has(img)) return;
+    const keyAttribute = keyAttributes.find(name => img.hasAttribute(name));
+    const fix = fixesByKey.get((keyAttribute && img.getAttribute(keyAttribute)) || img.getAttribute('src'));
+    if (!fix) return;
+    fixed.add(img);
+
+    fix.remove.forEach(name => img.removeAttribute(name));
+    // loading and fetchpriority must be in place before src/srcset start the request
+    const urlAttributes = ['sizes', 'srcset', 'src'];
+    Object.entries(fix.set)
+      .sort(([a], [b]) => urlAttributes.indexOf(a) - urlAttributes.indexOf(b))
+      .forEach(([name, value]) => img.setAttribute(name, value));
+  };
+
+  new MutationObserver((mutations) => {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== 1) return;
+        if (node.tagName === 'IMG') apply(node);
+        else node.querySelectorAll('img').forEach(apply);
+      });
+    });
+  }).observe(document, { childList: true, subtree: true });
+}
+
+// Runs in the page's main world (chrome.scripting world: 'MAIN'), so it must not reference anything
+// outside its own body. Returns JSON-safe copies of the requested globals, plus lozad and
+// vanilla-lazyload instances the page keeps on window (top-level let/const instances are not visible).
+function readLibraryRuntime(paths) {
+  const copy = (value, depth = 0) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+    if (depth > 1 || (typeof value !== 'object' && typeof value !== 'function')) return undefined;
+    if (Array.isArray(value)) return value.slice(0, 10).map(item => copy(item, depth + 1));
+    const result = {};
+    Object.keys(value).forEach(key => {
+      let item;
+      try {
+        item = value[key];
+      } catch (error) {
+        return;
+      }
+      if (typeof item !== 'function') result[key] = copy(item, depth + 1);
+    });
+    return result;
+  };
+
+  const globals = {};
+  paths.forEach(path => {
+    const value = path.split('.').reduce((current, key) => (current ? current[key] : undefined), window);
+    if (value !== undefined) globals[path] = copy(value);
+  });
+
+  const instances = { 'lozad': [], 'vanilla-lazyload': [] };
+  Object.keys(window).forEach(key => {
+    let value;
+    try {
+      value = window[key];
+    } catch (error) {
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    if (typeof value.triggerLoad === 'function' && value.observer instanceof IntersectionObserver) {
+      instances.lozad.push({ rootMargin: value.observer.rootMargin, threshold: Array.from(value.observer.thresholds) });
+    } else if (value._settings && typeof value.update === 'function' && typeof value.loadAll === 'function') {
+      instances['vanilla-lazyload'].push(copy(value._settings));
+    }
+  });
+
+  return { globals, instances };
+}
+
 // Initialize background service
 new BackgroundService();
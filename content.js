@@ -17,6 +17,7 @@ class ImageLoadingOptimizer {
       eagerLoaded: 0,
       optimized: 0,
       issues: 0,
+      findingCounts: { error: 0, warning: 0, info: 0 },
       lcpCandidates: 0,
       lcpValue: null, // Actual LCP time in milliseconds
       preloaded: 0,
@@ -24,11 +25,42 @@ class ImageLoadingOptimizer {
     };
     this.lcpValue = null; // Store the actual LCP value
     this.fileSizeCache = new Map();
+    this.sizeResolver = typeof ImageSizeResolver !== 'undefined' ? new ImageSizeResolver() : null;
+    this.srcsetAuditor = typeof SrcsetAuditor !== 'undefined' ? new SrcsetAuditor() : null;
+    this.pictureAnalyzer = typeof PictureAnalyzer !== 'undefined' ? new PictureAnalyzer(this.srcsetAuditor) : null;
+    this.snippetGenerator = typeof SnippetGenerator !== 'undefined' ? new SnippetGenerator() : null;
+    this.settings = new LazySpySettings(); // Thresholds and enabled checks from the options page
+    this.rules = new RuleRegistry(); // Every check behind recommendations and scores (rules.js)
+    this.auditSaveTimer = null;
+    this.skipAuditSave = false; // Set while the site crawler drives this tab, so crawls stay out of audit history
+    this.webVitals = {
+      cls: null, // Largest session window of layout shifts (unitless)
+      inp: null, // Interaction to Next Paint in milliseconds
+      fcp: null, // First Contentful Paint in milliseconds
+      ttfb: null // Time to First Byte in milliseconds
+    };
+    this.layoutShiftsByElement = new Map(); // element -> accumulated shift score
+    this.webVitalsObserversReady = false;
+    this.webVitalsObservers = []; // disconnected on deactivate
+    this.imageIds = new WeakMap(); // element -> stable id used by the side panel
+    this.nextImageId = 1;
+    this.focusedOverlay = null;
+    this.focusHighlightTimer = null;
+    this.imagesUpdatedTimer = null;
+    // Attributes and state classes lazy-loading libraries put on background-image elements
+    this.lazyBackgroundSelector = '[data-bg], [data-bgset], [data-bg-multi], [data-background-image], .lazyload:not(img), .lazyloaded:not(img)';
     
     this.init();
   }
 
   init() {
+    // Load user settings and keep them current while the page is open
+    this.settings.load();
+    this.settings.watch();
+
+    // Team-specific rules from custom-rules.js run alongside the built-in ones
+    this.registerCustomRules();
+
     // Initialize library detector
     this.initializeLibraryDetector();
     
@@ -36,19 +68,12 @@ class ImageLoadingOptimizer {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       try {
         if (request.action === 'toggle') {
+          this.skipAuditSave = !!request.skipAuditSave;
           this.toggle();
           const isActive = Boolean(this.isActive);
           sendResponse({ success: true, isActive: isActive });
         } else if (request.action === 'getStats') {
-          // Ensure LCP data is included in performance data
-          const statsToSend = {
-            ...this.performanceData,
-            lcpValue: this.lcpValue,
-            lcpCandidate: this.lcpCandidate?.src,
-            detectedLibraries: Array.from(this.detectedLibraries)
-          };
-
-          sendResponse({ stats: statsToSend });
+          sendResponse({ stats: this.getStatsSnapshot() });
         } else if (request.action === 'getDetailedImageData') {
           sendResponse({ images: this.getDetailedImageData() });
         } else if (request.action === 'toggleShowAll') {
@@ -57,8 +82,30 @@ class ImageLoadingOptimizer {
         } else if (request.action === 'getLibraryInfo') {
           sendResponse({ 
             detectedLibraries: Array.from(this.detectedLibraries),
-            libraryDetails: this.getLibraryDetails()
+            libraryDetails: this.getLibraryDetails(),
+            detectionResults: this.libraryDetector ? this.libraryDetector.getDetectionResults() : null
           });
+        } else if (request.action === 'evaluateViewportProfile') {
+          this.evaluateViewportProfile(request.profile)
+            .then(result => sendResponse({ success: true, result: result }))
+            .catch(error => sendResponse({ error: error.message, success: false }));
+          return true; // Respond once the emulated layout has been measured
+        } else if (request.action === 'scrollThroughPage') {
+          this.scrollThroughPage()
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ error: error.message, success: false }));
+          return true; // Respond once the page has been scrolled back to the top
+        } else if (request.action === 'getWhatIfFixes') {
+          sendResponse({ fixes: this.getWhatIfFixes() });
+        } else if (request.action === 'getWhatIfMetrics') {
+          this.getWhatIfMetrics()
+            .then(metrics => sendResponse({ success: true, metrics }))
+            .catch(error => sendResponse({ error: error.message, success: false }));
+          return true; // Buffered LCP entries arrive asynchronously
+        } else if (request.action === 'focusImage') {
+          sendResponse({ success: this.focusImage(request.imageId) });
+        } else if (request.action === 'markImageForInspect') {
+          sendResponse({ success: this.markImageForInspect(request.imageId) });
         } else if (request.action === 'ping') {
           // Simple ping to check if content script is ready
           sendResponse({ success: true, ready: true });
@@ -81,6 +128,17 @@ class ImageLoadingOptimizer {
     // Note: LCP observer will be set up when extension is activated
   }
 
+  registerCustomRules() {
+    const customRules = typeof window !== 'undefined' && window.LazySpyCustomRules ? window.LazySpyCustomRules : [];
+    customRules.forEach(rule => {
+      try {
+        this.rules.register(rule);
+      } catch (error) {
+        console.error('Lazy Spy: Skipping invalid custom rule:', error);
+      }
+    });
+  }
+
   initializeLibraryDetector() {
     // Initialize the library detector
     if (typeof LibraryDetector !== 'undefined') {
@@ -90,7 +148,7 @@ class ImageLoadingOptimizer {
       }
   }
 
-  detectLibrariesOnPage() {
+  detectLibrariesOnPage(loadRuntime = false) {
     // Ensure library detector is initialized
     if (!this.libraryDetector) {
       this.initializeLibraryDetector();
@@ -111,6 +169,11 @@ class ImageLoadingOptimizer {
       
       // Update performance data
       this.performanceData.detectedLibraries = Array.from(this.detectedLibraries);
+
+      // Versions and config need the page's own globals; detect again once they arrive
+      if (loadRuntime && results.detected.length > 0) {
+        this.loadLibraryRuntime();
+      }
     } catch (error) {
       console.error('Image Loading Optimizer: Error detecting libraries:', error);
       // Fallback to basic detection
@@ -118,6 +181,20 @@ class ImageLoadingOptimizer {
     }
   }
 
+  async loadLibraryRuntime() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getLibraryRuntime',
+        paths: this.libraryDetector.getRuntimePaths()
+      });
+      if (!response || !response.runtime) return;
+      this.libraryDetector.setRuntime(response.runtime);
+      this.detectLibrariesOnPage();
+    } catch (error) {
+      // Extension context invalidated, or the page cannot be scripted
+    }
+  }
+
   detectLibrariesFallback() {
     this.detectedLibraries.clear();
     
@@ -186,11 +263,21 @@ class ImageLoadingOptimizer {
         
         // Set up LCP observer when activating
         this.setupLCPObserver();
+
+        // Collect the remaining Core Web Vitals (buffered, so earlier entries are included)
+        this.setupWebVitalsObservers();
+
+        // Re-detect libraries when activating, including their versions and config
+        this.detectLibrariesOnPage(true);
         
-        // Re-detect libraries when activating
-        this.detectLibrariesOnPage();
-        
-        this.analyzePage();
+        if (this.settings.loaded) {
+          this.analyzePage();
+        } else {
+          // Activated right after load (e.g. re-activation on navigation): analyze with the user's settings
+          this.settings.ready.then(() => {
+            if (this.isActive) this.analyzePage();
+          });
+        }
         // Force LCP detection after a short delay
         setTimeout(() => {
           if (!this.lcpCandidate) {
@@ -198,6 +285,10 @@ class ImageLoadingOptimizer {
           }
         }, 1500);
 
+        // Persist this run once LCP has settled so it can be compared later
+        if (!this.skipAuditSave) this.scheduleAuditSave();
+        this.notifyImagesUpdated();
+
         // Bind scroll/resize for potential hero overlay maintenance
         if (!this.boundUpdateHero) {
           this.boundUpdateHero = () => this.updateHeroOverlayPosition();
@@ -215,6 +306,9 @@ class ImageLoadingOptimizer {
         this.removeOverlays();
         this.removeHeroOverlay();
         this.cleanupPeriodicDetection(); // Clean up periodic detection
+        this.cancelAuditSave();
+        this.disconnectWebVitalsObservers();
+        this.notifyImagesUpdated();
         
         // Clear any LCP highlights when deactivating
         this.clearPreviousLCPFlag();
@@ -230,6 +324,43 @@ class ImageLoadingOptimizer {
     }
   }
 
+  scheduleAuditSave() {
+    this.cancelAuditSave();
+    // Wait past the LCP finalize window (5s) so the stored run has a settled LCP value
+    this.auditSaveTimer = setTimeout(() => {
+      this.auditSaveTimer = null;
+      this.saveAudit();
+    }, 6000);
+  }
+
+  cancelAuditSave() {
+    if (this.auditSaveTimer) {
+      clearTimeout(this.auditSaveTimer);
+      this.auditSaveTimer = null;
+    }
+  }
+
+  saveAudit() {
+    if (!this.isActive) return;
+
+    try {
+      chrome.runtime.sendMessage({
+        action: 'saveAudit',
+        audit: {
+          url: window.location.href,
+          title: document.title,
+          timestamp: Date.now(),
+          stats: this.getStatsSnapshot(),
+          images: this.getDetailedImageData()
+        }
+      }).catch(error => {
+        console.warn('Image Loading Optimizer: Failed to save audit:', error);
+      });
+    } catch (error) {
+      console.warn('Image Loading Optimizer: Failed to save audit:', error);
+    }
+  }
+
   detectPreloadedImages() {
     try {
       const preloadLinks = document.querySelectorAll('link[rel="preload"][as="image"]');
@@ -324,7 +455,8 @@ class ImageLoadingOptimizer {
             this.notifyPopupOfLCPDetection();
         });
 
-        lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
+        // buffered: activating after the page loaded (or re-activating after a reload) still sees the LCP
+        lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
         } catch (e) {
         // Fall back to periodic detection
         this.setupPeriodicLCPDetection();
@@ -334,6 +466,622 @@ class ImageLoadingOptimizer {
     }
   }
 
+  // Scrolls down one viewport at a time so lazy images and lazy-loading libraries swap in, waiting at
+  // each step for the images now in view, then returns to where the page was and finalizes the analysis.
+  // Each step glides in quarter-viewport moves like a quick user scroll; jumping a whole viewport at
+  // once would make every lazy loader look late, whatever its rootMargin.
+  async scrollThroughPage() {
+    const startY = window.scrollY;
+    const maxSteps = 50;
+    const glideMoves = 4;
+    const tracker = this.startScrollTracking();
+    let steps = 0;
+
+    try {
+      window.scrollTo(0, 0);
+      steps++;
+      await this.waitForVisibleImages();
+      tracker.observeNew();
+
+      // scrollHeight is re-read every step so content appended while scrolling is included
+      for (let y = window.innerHeight; y < document.documentElement.scrollHeight && steps < maxSteps; y += window.innerHeight) {
+        for (let move = 1; move <= glideMoves; move++) {
+          window.scrollTo(0, y - window.innerHeight + window.innerHeight * move / glideMoves);
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        steps++;
+        await this.waitForVisibleImages();
+        tracker.observeNew();
+      }
+    } finally {
+      window.scrollTo(0, startY);
+      tracker.stop();
+    }
+
+    return { steps, ...this.finalizeScrollAnalysis(tracker) };
+  }
+
+  // Records when each image first intersected the viewport and collects the image requests made
+  // during the pass (a PerformanceObserver is not limited by the resource timing buffer)
+  startScrollTracking() {
+    const tracker = {
+      startedAt: performance.now(),
+      entered: new Map(),
+      requests: new Map(),
+      observed: new Set(),
+      scrollSamples: [{ time: performance.now(), y: window.scrollY }]
+    };
+
+    // Scroll position over time, to tell how far from the viewport an image was when it was requested
+    const onScroll = () => tracker.scrollSamples.push({ time: performance.now(), y: window.scrollY });
+    window.addEventListener('scroll', onScroll, { passive: true });
+
+    const intersectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting && !tracker.entered.has(entry.target)) {
+          tracker.entered.set(entry.target, entry.time);
+        }
+      });
+    });
+
+    let resourceObserver = null;
+    try {
+      resourceObserver = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => tracker.requests.set(entry.name, entry));
+      });
+      resourceObserver.observe({ type: 'resource', buffered: true });
+    } catch (error) {
+      resourceObserver = null;
+    }
+
+    tracker.observeNew = () => {
+      // Lazy backgrounds are only analyzed after the pass, so watch them by their library markers
+      const elements = [
+        ...document.images,
+        ...(this.backgroundImages ? this.backgroundImages.keys() : []),
+        ...document.querySelectorAll(this.lazyBackgroundSelector)
+      ];
+      elements.forEach(element => {
+        if (tracker.observed.has(element)) return;
+        tracker.observed.add(element);
+        intersectionObserver.observe(element);
+      });
+    };
+    tracker.stop = () => {
+      window.removeEventListener('scroll', onScroll);
+      intersectionObserver.disconnect();
+      if (resourceObserver) resourceObserver.disconnect();
+    };
+
+    tracker.observeNew();
+    return tracker;
+  }
+
+  // Gives lazy libraries a moment to swap the real URLs in, then waits (up to a limit) for the
+  // images now in the viewport to finish loading
+  async waitForVisibleImages() {
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const pending = Array.from(document.images).filter(img => {
+      if (img.complete) return false;
+      const rect = img.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight;
+    });
+    if (pending.length === 0) return;
+
+    const loaded = Promise.all(pending.map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    })));
+    await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, 2000))]);
+  }
+
+  // Analyzes images that appeared during the pass, re-measures the ones that loaded since they were
+  // first analyzed (their size, format and oversizing were unknown at toggle time) and records
+  // when each request started relative to the image entering the viewport
+  finalizeScrollAnalysis(tracker) {
+    if (!this.isActive) return { imagesAdded: 0, imagesLoaded: 0, lateImages: 0, maxBlankDuration: 0, triggerDistances: [] };
+
+    let imagesAdded = 0;
+    let imagesLoaded = 0;
+    const timed = [];
+
+    Array.from(document.images).forEach(img => {
+      const data = this.images.get(img);
+      if (!data) {
+        this.analyzeImage(img);
+        if (this.images.has(img)) imagesAdded++;
+      } else if (img.complete && img.naturalWidth && (!data.naturalWidth || data.src !== img.src)) {
+        // Not decoded at toggle time, or a library swapped a placeholder for the real URL
+        this.refreshLoadedImage(img, data);
+        imagesLoaded++;
+      }
+
+      const analyzed = this.images.get(img);
+      if (analyzed) {
+        analyzed.scrollTiming = this.getScrollTiming(tracker, img, img.currentSrc || img.src, analyzed);
+        timed.push([img, analyzed]);
+      }
+    });
+
+    // Lazy libraries set background images by class or inline style once the element is in view
+    const knownBackgrounds = new Set(this.backgroundImages ? this.backgroundImages.keys() : []);
+    this.detectBackgroundImages({ skipAnalyzed: true });
+
+    if (this.backgroundImages) {
+      this.backgroundImages.forEach((data, element) => {
+        if (!knownBackgrounds.has(element)) {
+          data.appearedOnScroll = true;
+          imagesAdded++;
+        }
+        data.scrollTiming = this.getScrollTiming(tracker, element, data.src, data);
+        timed.push([element, data]);
+      });
+    }
+
+    // The late-load rule reads the timing, so re-run the rules wherever it was measured
+    timed.forEach(([element, data]) => {
+      if (data.scrollTiming.triggerDistance === undefined) return;
+      data.recommendations = this.generateRecommendations(data);
+      if (data.isBackgroundImage) {
+        this.applyOverlayToElement(element, data);
+      } else {
+        this.applyOverlay(element, data);
+      }
+    });
+
+    this.refreshIssueCounts();
+    if (imagesAdded > 0 || imagesLoaded > 0) {
+      this.notifyImagesUpdated();
+    }
+
+    const late = timed.filter(([, data]) => data.scrollTiming.isLate);
+    return {
+      imagesAdded,
+      imagesLoaded,
+      lateImages: late.length,
+      maxBlankDuration: late.reduce((max, [, data]) => Math.max(max, data.scrollTiming.blankDuration), 0),
+      triggerDistances: this.summarizeTriggerDistances(timed.map(([, data]) => data))
+    };
+  }
+
+  // Brings a lazy image that has loaded since it was analyzed up to date: real URL, intrinsic size,
+  // served format and file size, and everything derived from them
+  refreshLoadedImage(img, data) {
+    data.src = img.src;
+    data.naturalWidth = img.naturalWidth;
+    data.naturalHeight = img.naturalHeight;
+    this.applyFileSize(data, this.resolveFileSize(img));
+    this.applyImageFormat(data, this.resolveImageFormat(img));
+    this.refreshFormatOptimization(data);
+    this.queueResourceProbe(data);
+    this.handleImageLoaded(img, data);
+    this.applyOverlay(img, data);
+  }
+
+  // Times are ms since navigation start. requestOffset is negative when the request started before
+  // the image scrolled into view; null fields mean the pass never saw that event.
+  // Lazy images and backgrounds also get triggerDistance (px below the viewport when the request
+  // started, negative once already inside it) and whether they were still blank when they came into view.
+  getScrollTiming(tracker, element, url, data) {
+    const entered = tracker.entered.has(element) ? tracker.entered.get(element) : null;
+    const request = url ? tracker.requests.get(url) || performance.getEntriesByName(url, 'resource').pop() : null;
+    const requestStart = request ? request.startTime : null;
+    const loadedAt = request ? request.responseEnd : null;
+
+    const timing = {
+      enteredViewportAt: entered !== null ? Math.round(entered) : null,
+      requestStartAt: requestStart !== null ? Math.round(requestStart) : null,
+      loadedAt: loadedAt !== null ? Math.round(loadedAt) : null,
+      loadedBeforeScroll: requestStart !== null && requestStart < tracker.startedAt,
+      requestOffset: entered !== null && requestStart !== null ? Math.round(requestStart - entered) : null
+    };
+    if (!this.isLazyLoaded(data)) return timing;
+
+    const viewportBottom = requestStart !== null ? this.getScrollYAt(tracker, requestStart) + window.innerHeight : null;
+    timing.triggerDistance = viewportBottom !== null ? Math.round(this.getDocumentTop(element) - viewportBottom) : null;
+    timing.isLate = entered !== null && loadedAt !== null && loadedAt > entered;
+    timing.blankDuration = timing.isLate ? Math.round(loadedAt - entered) : 0;
+    return timing;
+  }
+
+  isLazyLoaded(data) {
+    return (data.baseStrategy || data.strategy) === 'lazy' || !!data.appearedOnScroll;
+  }
+
+  getScrollYAt(tracker, time) {
+    let y = tracker.scrollSamples[0].y;
+    for (const sample of tracker.scrollSamples) {
+      if (sample.time > time) break;
+      y = sample.y;
+    }
+    return y;
+  }
+
+  // Median trigger distance per loader; a library's rootMargin shows up as how far ahead it requests
+  summarizeTriggerDistances(dataList) {
+    const byLoader = new Map();
+    dataList.forEach(data => {
+      const distance = data.scrollTiming && data.scrollTiming.triggerDistance;
+      if (typeof distance !== 'number' || data.scrollTiming.loadedBeforeScroll) return;
+      const loader = data.library || (data.isBackgroundImage ? 'background' : 'native');
+      if (!byLoader.has(loader)) byLoader.set(loader, []);
+      byLoader.get(loader).push(distance);
+    });
+
+    return Array.from(byLoader.entries()).map(([loader, distances]) => {
+      const sorted = distances.sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      const median = sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+      return { loader, median, count: sorted.length };
+    });
+  }
+
+  // Attribute changes for the what-if preview, keyed by the raw src/data-src (or the library's own
+  // data-* URL attribute) the parser will see on reload.
+  // Only loading-related fixes: natural dimensions and placeholder srcset URLs would break the live page.
+  getWhatIfFixes() {
+    if (!this.snippetGenerator) return [];
+
+    const fixes = [];
+    this.images.forEach((data, img) => {
+      const keyAttribute = this.snippetGenerator.getSourceAttribute(data.library);
+      const key = img.getAttribute(keyAttribute) || img.getAttribute('src');
+      if (!key || key.startsWith('data:')) return;
+
+      const fixed = this.snippetGenerator.getFixedAttributes(img, data, { dimensions: false, responsive: false });
+      const set = {};
+      fixed.attributes.forEach((value, name) => {
+        // A lazy library may already have copied data-src into src on the live element, but not at parse time
+        if (img.getAttribute(name) !== value || fixed.moved.includes(name)) set[name] = value;
+      });
+      if (Object.keys(set).length === 0 && fixed.removed.length === 0) return;
+
+      fixes.push({ key, keyAttribute, set, remove: fixed.removed, changes: fixed.changes });
+    });
+    return fixes;
+  }
+
+  // LCP of the current page load for a what-if run. Reads the buffered entries directly so the
+  // measurement works whether or not the overlays were re-activated after the reload.
+  getWhatIfMetrics() {
+    return new Promise((resolve) => {
+      let latest = null;
+      const finish = () => {
+        const element = latest && latest.element;
+        resolve({
+          lcpValue: latest ? latest.startTime : this.lcpValue,
+          lcpElement: element ? (element.currentSrc || element.src || element.tagName.toLowerCase()) : null,
+          performanceData: this.getStatsSnapshot()
+        });
+      };
+
+      if (!('PerformanceObserver' in window)) {
+        finish();
+        return;
+      }
+
+      try {
+        const observer = new PerformanceObserver((list) => {
+          const entries = list.getEntries();
+          latest = entries[entries.length - 1] || latest;
+        });
+        observer.observe({ type: 'largest-contentful-paint', buffered: true });
+        setTimeout(() => {
+          observer.disconnect();
+          finish();
+        }, 250);
+      } catch (error) {
+        finish();
+      }
+    });
+  }
+
+  setupWebVitalsObservers() {
+    if (this.webVitalsObserversReady || !('PerformanceObserver' in window)) return;
+    this.webVitalsObserversReady = true;
+
+    this.observeLayoutShifts();
+    this.observeInteractions();
+    this.collectPaintTiming();
+    this.collectNavigationTiming();
+  }
+
+  disconnectWebVitalsObservers() {
+    this.webVitalsObservers.forEach(observer => observer.disconnect());
+    this.webVitalsObservers = [];
+    this.webVitalsObserversReady = false;
+    // Buffered entries are replayed on the next activation, so start the attribution over
+    this.layoutShiftsByElement.clear();
+  }
+
+  observeLayoutShifts() {
+    // CLS is the largest session window: shifts less than 1s apart, capped at 5s per window
+    let sessionValue = 0;
+    let sessionStart = 0;
+    let lastShiftTime = 0;
+
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+          if (entry.hadRecentInput || this.isOverlayShift(entry)) return;
+
+          if (sessionValue && (entry.startTime - lastShiftTime > 1000 || entry.startTime - sessionStart > 5000)) {
+            sessionValue = 0;
+          }
+          if (!sessionValue) sessionStart = entry.startTime;
+          sessionValue += entry.value;
+          lastShiftTime = entry.startTime;
+
+          this.webVitals.cls = Math.max(this.webVitals.cls || 0, sessionValue);
+          this.attributeLayoutShift(entry);
+        });
+      });
+      observer.observe({ type: 'layout-shift', buffered: true });
+      this.webVitalsObservers.push(observer);
+    } catch (e) {
+      // layout-shift is not supported in this browser
+    }
+  }
+
+  // Shifts that only moved our own wrappers, badges and tooltips (wrapping images reflows them)
+  isOverlayShift(entry) {
+    const sources = entry.sources || [];
+    return sources.length > 0 && sources.every(source => {
+      const node = source.node && source.node.nodeType === Node.ELEMENT_NODE ? source.node : source.node && source.node.parentElement;
+      return !!(node && node.closest('.img-optimizer-overlay, .img-optimizer-hero-overlay, .img-optimizer-badges, .img-optimizer-tooltip'));
+    });
+  }
+
+  attributeLayoutShift(entry) {
+    // Prefer the images whose late load caused the shift; otherwise blame the images that moved
+    let culprits = this.findLayoutShiftCulprits(entry);
+    if (culprits.length === 0) {
+      culprits = (entry.sources || [])
+        .filter(source => source.node && source.node.nodeType === Node.ELEMENT_NODE && this.isImageElement(source.node))
+        .map(source => ({
+          element: source.node,
+          area: this.getRectArea(source.previousRect) + this.getRectArea(source.currentRect)
+        }));
+    }
+    if (culprits.length === 0) return;
+
+    // Split the shift by area, so a large hero outweighs a thumbnail that loaded at the same time
+    const totalArea = culprits.reduce((total, culprit) => total + culprit.area, 0);
+    culprits.forEach(({ element, area }) => {
+      const share = totalArea > 0 ? entry.value * area / totalArea : entry.value / culprits.length;
+      this.layoutShiftsByElement.set(element, (this.layoutShiftsByElement.get(element) || 0) + share);
+    });
+  }
+
+  findLayoutShiftCulprits(entry) {
+    // An image without reserved space that finished loading just before the shift and sits above
+    // (or around) the content that moved, so its growth is what pushed that content
+    const sources = (entry.sources || []).filter(source => source.currentRect);
+    if (sources.length === 0) return [];
+
+    const culprits = [];
+    Array.from(document.images).forEach(img => {
+      if (img.hasAttribute('width') && img.hasAttribute('height')) return;
+      if (this.isSizeFixedByCSS(img)) return;
+
+      const url = img.currentSrc || img.src;
+      if (!url) return;
+
+      const timings = performance.getEntriesByName(url, 'resource');
+      const timing = timings[timings.length - 1];
+      if (!timing) return;
+
+      const sinceLoad = entry.startTime - timing.responseEnd;
+      if (sinceLoad < 0 || sinceLoad > 500) return;
+
+      const rect = img.getBoundingClientRect();
+      const pushed = sources.some(source => {
+        const moved = source.currentRect;
+        const overlapsHorizontally = rect.left < moved.right && rect.right > moved.left;
+        const aboveOrAround = rect.top <= moved.top + 1;
+        return overlapsHorizontally && aboveOrAround;
+      });
+      if (pushed) {
+        culprits.push({ element: img, area: this.getRectArea(rect) });
+      }
+    });
+    return culprits;
+  }
+
+  // CSS that fixes the rendered box (aspect-ratio, or a height that ignores the intrinsic ratio)
+  // reserves space before the image loads, just like width/height attributes
+  isSizeFixedByCSS(img) {
+    const style = window.getComputedStyle(img);
+    if (style.aspectRatio && style.aspectRatio !== 'auto' && !style.aspectRatio.startsWith('auto ')) return true;
+    if (img.style.height || img.style.aspectRatio) return true;
+
+    const rect = img.getBoundingClientRect();
+    if (!img.naturalWidth || !img.naturalHeight || !rect.width) return false;
+    const intrinsicHeight = rect.width * img.naturalHeight / img.naturalWidth;
+    return Math.abs(rect.height - intrinsicHeight) > 2;
+  }
+
+  getRectArea(rect) {
+    return rect ? Math.max(0, rect.width) * Math.max(0, rect.height) : 0;
+  }
+
+  getLayoutShiftScore(element) {
+    if (!element) return 0;
+    return Number((this.layoutShiftsByElement.get(element) || 0).toFixed(4));
+  }
+
+  getImageAttributedCLS() {
+    let total = 0;
+    let elements = 0;
+    this.layoutShiftsByElement.forEach((value, element) => {
+      if (this.isImageElement(element)) {
+        total += value;
+        elements++;
+      }
+    });
+    return { value: Number(total.toFixed(4)), elements };
+  }
+
+  isImageElement(element) {
+    if (element.tagName === 'IMG' || element.tagName === 'PICTURE') return true;
+    try {
+      const bg = window.getComputedStyle(element).backgroundImage;
+      return !!(bg && bg !== 'none' && bg.includes('url('));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  observeInteractions() {
+    // INP approximation: worst interaction latency, skipping one outlier per 50 interactions
+    const interactions = new Map();
+
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+          if (!entry.interactionId) return;
+          const previous = interactions.get(entry.interactionId) || 0;
+          interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+        });
+
+        const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+        const index = Math.min(durations.length - 1, Math.floor(durations.length / 50));
+        this.webVitals.inp = durations[index];
+      });
+      this.webVitalsObservers.push(observer);
+      observer.observe({ type: 'event', buffered: true, durationThreshold: 40 });
+      observer.observe({ type: 'first-input', buffered: true });
+    } catch (e) {
+      // Event timing is not supported in this browser
+    }
+  }
+
+  collectPaintTiming() {
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+          if (entry.name === 'first-contentful-paint') {
+            this.webVitals.fcp = entry.startTime;
+          }
+        });
+      });
+      observer.observe({ type: 'paint', buffered: true });
+      this.webVitalsObservers.push(observer);
+    } catch (e) {
+      const entry = performance.getEntriesByName('first-contentful-paint')[0];
+      if (entry) this.webVitals.fcp = entry.startTime;
+    }
+  }
+
+  collectNavigationTiming() {
+    try {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      if (navigation && navigation.responseStart > 0) {
+        // Prerendered pages start counting at activation
+        this.webVitals.ttfb = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+      }
+    } catch (e) {
+      // Navigation timing is not available in this context
+    }
+  }
+
+  getWebVitalThresholds() {
+    // Core Web Vitals "good" / "poor" boundaries
+    return {
+      lcp: { good: 2500, poor: 4000 },
+      cls: { good: 0.1, poor: 0.25 },
+      inp: { good: 200, poor: 500 },
+      fcp: { good: 1800, poor: 3000 },
+      ttfb: { good: 800, poor: 1800 }
+    };
+  }
+
+  rateMetric(value, threshold) {
+    if (value <= threshold.good) return 'good';
+    if (value <= threshold.poor) return 'needs-improvement';
+    return 'poor';
+  }
+
+  scoreMetric(value, threshold) {
+    // 90-100 when good, 50-90 when needs improvement, below 50 when poor
+    if (value <= threshold.good) {
+      return Math.round(100 - 10 * (value / threshold.good));
+    }
+    if (value <= threshold.poor) {
+      return Math.round(90 - 40 * ((value - threshold.good) / (threshold.poor - threshold.good)));
+    }
+    return Math.max(0, Math.round(50 - 50 * ((value - threshold.poor) / threshold.poor)));
+  }
+
+  getWebVitalsReport() {
+    const thresholds = this.getWebVitalThresholds();
+    const values = {
+      lcp: this.lcpValue,
+      cls: this.webVitals.cls,
+      inp: this.webVitals.inp,
+      fcp: this.webVitals.fcp,
+      ttfb: this.webVitals.ttfb
+    };
+
+    const metrics = {};
+    const scores = {};
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === null || value === undefined || isNaN(value)) return;
+      const rounded = name === 'cls' ? Number(value.toFixed(4)) : Math.round(value);
+      metrics[name] = { value: rounded, rating: this.rateMetric(value, thresholds[name]) };
+      scores[name] = this.scoreMetric(value, thresholds[name]);
+    });
+
+    const scoreValues = Object.values(scores);
+    if (scoreValues.length > 0) {
+      scores.overall = Math.round(scoreValues.reduce((sum, score) => sum + score, 0) / scoreValues.length);
+    }
+
+    if (metrics.cls) {
+      metrics.cls.imageAttributed = this.getImageAttributedCLS();
+    }
+
+    return { metrics, scores };
+  }
+
+  getStatsSnapshot() {
+    this.refreshIssueCounts();
+
+    // Ensure LCP data is included in performance data
+    return {
+      ...this.performanceData,
+      ...this.getWebVitalsReport(),
+      lcpValue: this.lcpValue,
+      lcpCandidate: this.lcpCandidate?.src,
+      detectedLibraries: Array.from(this.detectedLibraries)
+    };
+  }
+
+  // Issues are images with at least one error or warning finding; info findings are notes
+  refreshIssueCounts() {
+    const findingCounts = { error: 0, warning: 0, info: 0 };
+    let issues = 0;
+
+    [this.images, this.backgroundImages].forEach(collection => {
+      if (!collection) return;
+      collection.forEach(data => {
+        const counts = this.rules.countBySeverity(data.findings);
+        findingCounts.error += counts.error;
+        findingCounts.warning += counts.warning;
+        findingCounts.info += counts.info;
+        if (counts.error + counts.warning > 0) issues++;
+      });
+    });
+
+    this.performanceData.issues = issues;
+    this.performanceData.findingCounts = findingCounts;
+  }
+
+  getIssueFindings(data) {
+    return (data.findings || []).filter(finding => this.rules.isIssue(finding));
+  }
+
   setupPeriodicLCPDetection() {
     // Fallback: Check for LCP every few seconds
     this.lcpCheckInterval = setInterval(() => {
@@ -362,18 +1110,25 @@ class ImageLoadingOptimizer {
     const observer = new MutationObserver((mutations) => {
       if (!this.isActive) return;
       
+      let foundImages = false;
       mutations.forEach(mutation => {
         mutation.addedNodes.forEach(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
             if (node.tagName === 'IMG') {
               this.analyzeImage(node);
+              foundImages = true;
             } else {
               const images = node.querySelectorAll('img');
               images.forEach(img => this.analyzeImage(img));
+              foundImages = foundImages || images.length > 0;
             }
           }
         });
       });
+
+      if (foundImages) {
+        this.notifyImagesUpdated();
+      }
     });
 
     observer.observe(document.body, {
@@ -515,25 +1270,34 @@ class ImageLoadingOptimizer {
     const images = carousel.querySelectorAll('img');
     const backgroundImages = this.findBackgroundImagesInElement(carousel);
     
+    const imageCount = images.length + backgroundImages.length;
+    
     // Analyze regular images
-    images.forEach(img => {
-      if (!this.images.has(img)) {
+    images.forEach((img, index) => {
+      let data = this.images.get(img);
+      if (!data) {
         // Mark as carousel image for special styling
-        const data = this.detectLoadingStrategy(img);
+        data = this.detectLoadingStrategy(img);
         data.isCarousel = true;
+        data.element = img;
+        this.queueResourceProbe(data);
+        data.id = this.getImageId(img);
         this.images.set(img, data);
         this.updatePerformanceData(data);
-        this.applyOverlay(img, data);
       }
+
+      // The carousel rules (rules.js) need the slide position and the carousel size
+      data.carousel = { index, imageCount };
+      data.recommendations = this.generateRecommendations(data);
+      this.applyOverlay(img, data);
     });
     
     // Analyze background images
     backgroundImages.forEach(bgData => {
       this.analyzeBackgroundImageElement(bgData.element, bgData.virtualImg, true);
     });
-    
-    // Add carousel-specific recommendations
-    this.addCarouselRecommendations(carousel, images.length + backgroundImages.length);
+
+    this.refreshIssueCounts();
   }
 
   findBackgroundImagesInElement(element) {
@@ -586,40 +1350,18 @@ class ImageLoadingOptimizer {
     return backgroundImages;
   }
 
-  addCarouselRecommendations(carousel, imageCount) {
-    const recommendations = [];
-    
-    if (imageCount > 10) {
-      recommendations.push('Consider lazy loading non-visible carousel images');
-    }
-    
-    if (imageCount > 5) {
-      recommendations.push('Optimize carousel images for faster loading');
-    }
-    
-    // Check if carousel has proper loading attributes
-    const firstImage = carousel.querySelector('img');
-    if (firstImage && !firstImage.loading) {
-      recommendations.push('Add loading="lazy" to carousel images');
-    }
-    
-    // Store carousel recommendations
-    if (recommendations.length > 0) {
-      this.carouselRecommendations = this.carouselRecommendations || [];
-      this.carouselRecommendations.push({
-        carousel: carousel,
-        recommendations: recommendations
-      });
-    }
-  }
-
-  detectBackgroundImages() {
+  detectBackgroundImages(options = {}) {
     // Find elements with background-image CSS
     const elementsWithBg = document.querySelectorAll('*');
     let bgCount = 0;
     
     elementsWithBg.forEach(element => {
       try {
+        // A re-scan (e.g. after the scroll pass) only picks up elements that were not analyzed yet
+        if (options.skipAnalyzed && this.backgroundImages && this.backgroundImages.has(element)) {
+          return;
+        }
+
         const style = window.getComputedStyle(element);
         const backgroundImage = style.backgroundImage;
         
@@ -666,30 +1408,113 @@ class ImageLoadingOptimizer {
     if (this.images.has(img)) return;
     
     const data = this.detectLoadingStrategy(img);
+    data.element = img;
+    this.queueResourceProbe(data);
     
-    // Check if image is above fold and lazy loaded (performance issue)
     const rect = img.getBoundingClientRect();
-    const isAboveFold = rect.top < window.innerHeight;
-    data.isAboveFold = isAboveFold;
-    
-    // Flag lazy loading above fold as an issue
-    if (isAboveFold && data.strategy === 'lazy') {
-      data.recommendations.push('Issue: Lazy loading above fold - should be eager loaded');
-      data.hasAboveFoldLazyIssue = true;
-    }
+    data.isAboveFold = rect.top < window.innerHeight;
     
     // Add advanced optimization analysis
     const optimizationAnalysis = this.analyzeImageOptimization(img);
-    data.optimization = optimizationAnalysis;
-    
-    // Add optimization recommendations to the main recommendations array
+    data.oversizing = optimizationAnalysis.fileSizeOptimization.oversizing;
+    data.srcsetAudit = optimizationAnalysis.responsiveImage.audit || null;
+
+    // <picture> is analyzed as a unit: sources, chosen candidate and misplaced attributes
+    data.pictureAnalysis = this.pictureAnalyzer ? this.pictureAnalyzer.analyze(img) : { isPicture: false };
+
+    // Re-run the rules now that the full analysis is available
     this.addOptimizationRecommendations(data, optimizationAnalysis);
+
+    // Lazy images are usually analyzed before they decode; measure them once they do
+    if (!(img.complete && img.naturalWidth)) {
+      img.addEventListener('load', () => this.handleImageLoaded(img, data), { once: true });
+    }
     
+    data.id = this.getImageId(img);
     this.images.set(img, data);
     this.updatePerformanceData(data);
     this.applyOverlay(img, data);
   }
 
+  getImageId(element) {
+    if (!this.imageIds.has(element)) {
+      this.imageIds.set(element, this.nextImageId++);
+    }
+    return this.imageIds.get(element);
+  }
+
+  findImageElementById(id) {
+    for (const [element, data] of this.images) {
+      if (data.id === id) return element;
+    }
+    if (this.backgroundImages) {
+      for (const [element, data] of this.backgroundImages) {
+        if (data.id === id) return element;
+      }
+    }
+    return null;
+  }
+
+  // Scrolls an analyzed image into view and pulses its overlay (used by the side panel)
+  focusImage(id) {
+    const element = this.findImageElementById(id);
+    if (!element) return false;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    const overlay = this.backgroundImages && this.backgroundImages.has(element)
+      ? element.querySelector(':scope > .img-optimizer-overlay') || element
+      : element.closest('.img-optimizer-overlay') || element;
+
+    if (this.focusedOverlay) {
+      this.focusedOverlay.classList.remove('img-optimizer-focused');
+    }
+    clearTimeout(this.focusHighlightTimer);
+
+    // Force a reflow so the pulse animation restarts when the same image is focused again
+    void overlay.offsetWidth;
+    overlay.classList.add('img-optimizer-focused');
+    this.focusedOverlay = overlay;
+    this.focusHighlightTimer = setTimeout(() => {
+      overlay.classList.remove('img-optimizer-focused');
+      this.focusedOverlay = null;
+    }, 2500);
+
+    return true;
+  }
+
+  // Tags an analyzed image so the DevTools panel can pass it to inspect() from the page context.
+  // The panel's eval removes the attribute again once the element is selected.
+  markImageForInspect(id) {
+    const element = this.findImageElementById(id);
+    if (!element) return false;
+
+    document.querySelectorAll('[data-lazy-spy-inspect]').forEach(marked => {
+      marked.removeAttribute('data-lazy-spy-inspect');
+    });
+    element.setAttribute('data-lazy-spy-inspect', '');
+    return true;
+  }
+
+  // Lets an open DevTools panel know the image list changed; bursts of mutations are coalesced
+  notifyImagesUpdated() {
+    clearTimeout(this.imagesUpdatedTimer);
+    this.imagesUpdatedTimer = setTimeout(() => {
+      this.imagesUpdatedTimer = null;
+      try {
+        chrome.runtime.sendMessage({
+          action: 'imagesUpdated',
+          isActive: this.isActive,
+          totalImages: this.performanceData.totalImages
+        }).catch(() => {
+          // Background may be restarting; the panel refreshes on its own next load
+        });
+      } catch (error) {
+        // Extension context invalidated after an update/reload
+      }
+    }, 300);
+  }
+
   detectLoadingStrategy(img) {
     const data = {
       src: img.src,
@@ -706,9 +1531,13 @@ class ImageLoadingOptimizer {
       isPreloaded: false,
       hasDimensions: !!(img.width && img.height),
       position: this.getImagePosition(img),
-      fileSize: this.estimateFileSize(img),
-      recommendations: []
+      fileSize: null,
+      recommendations: [],
+      // Framework image component (next/image, NgOptimizedImage, ...) that rendered this <img>
+      component: this.libraryDetector ? this.libraryDetector.identifyImageComponent(img) : null
     };
+    this.applyFileSize(data, this.resolveFileSize(img));
+    this.applyImageFormat(data, this.resolveImageFormat(img));
 
     // Check if preloaded
     if (this.preloadedImages.has(img.src)) {
@@ -739,6 +1568,12 @@ class ImageLoadingOptimizer {
       }
     }
 
+    // CMS platform source (WordPress core, a lazy loading plugin, the Shopify theme, ...)
+    data.platformSource = this.libraryDetector ? this.libraryDetector.identifyImageSource(img, data.library) : null;
+
+    // Rules need the loading method after calculateOverallStrategy relabels it
+    data.baseStrategy = data.strategy;
+
     // Generate recommendations
     data.recommendations = this.generateRecommendations(data);
 
@@ -751,6 +1586,17 @@ class ImageLoadingOptimizer {
   detectJSLazyLoading(img) {
     // Enhanced library detection patterns
     const libraryPatterns = [
+      // Markers only one library uses win over the shared data-src / class="lazy" below
+      { class: 'lazy-hidden', library: 'lazyload-wp', priority: 0 },
+      { attr: 'data-lazy-src', library: 'wp-rocket', priority: 0 },
+      { class: 'rocket-lazyload', library: 'wp-rocket', priority: 0 },
+      { attr: 'data-ll-status', library: 'vanilla-lazyload', priority: 0 },
+      { class: 'b-lazy', library: 'blazy', priority: 0 },
+      { class: 'b-loaded', library: 'blazy', priority: 0 },
+      { attr: 'data-echo', library: 'echo', priority: 0 },
+      { attr: 'data-loader', library: 'jquery-lazy', priority: 0 },
+      { attr: 'data-src-retina', library: 'unveil', priority: 0 },
+
       // LazySizes patterns
       { attr: 'data-src', library: 'lazysizes', priority: 1 },
       { attr: 'data-srcset', library: 'lazysizes', priority: 1 },
@@ -802,7 +1648,18 @@ class ImageLoadingOptimizer {
     // Return the highest priority library detected
     if (detectedLibraries.length > 0) {
       detectedLibraries.sort((a, b) => a.priority - b.priority);
-      const primaryLibrary = detectedLibraries[0].library;
+      let primaryLibrary = detectedLibraries[0].library;
+
+      // Shared markup is credited to the library the page actually loads (yall.js, Unveil, ...),
+      // unless the image also carries a marker only one library uses (e.g. lazysizes' lazyload class)
+      const sharedMarkers = ['data-src', 'data-srcset', 'data-sizes', 'data-original', 'lazy'];
+      const onlySharedMarkers = detectedLibraries.every(match =>
+        sharedMarkers.includes(match.pattern) || match.library === 'custom'
+      );
+      const pageLibrary = this.libraryDetector ? this.libraryDetector.getGenericMarkupLibrary() : null;
+      if (pageLibrary && onlySharedMarkers) {
+        primaryLibrary = pageLibrary;
+      }
       
       // Add to detected libraries set
       this.detectedLibraries.add(primaryLibrary);
@@ -824,100 +1681,461 @@ class ImageLoadingOptimizer {
       return 'lazyload';
     }
 
-    // Only check for Intersection Observer if the image has lazy loading attributes
-    // or is explicitly marked as lazy
-    if ('IntersectionObserver' in window && (img.loading === 'lazy' || img.hasAttribute('data-src'))) {
-      // Look for Intersection Observer usage in the page
-      const hasIntersectionObserverUsage = this.checkIntersectionObserverUsage();
-      if (hasIntersectionObserverUsage) {
-        this.detectedLibraries.add('intersection-observer');
-        return 'intersection-observer';
+    // Only check for Intersection Observer if the image has lazy loading attributes
+    // or is explicitly marked as lazy
+    if ('IntersectionObserver' in window && (img.loading === 'lazy' || img.hasAttribute('data-src'))) {
+      // Look for Intersection Observer usage in the page
+      const hasIntersectionObserverUsage = this.checkIntersectionObserverUsage();
+      if (hasIntersectionObserverUsage) {
+        this.detectedLibraries.add('intersection-observer');
+        return 'intersection-observer';
+      }
+    }
+
+    return null;
+  }
+
+  checkIntersectionObserverUsage() {
+    // Check for Intersection Observer usage in scripts
+    const scripts = document.querySelectorAll('script');
+    const scriptContent = Array.from(scripts)
+      .map(script => script.textContent || '')
+      .join(' ');
+    
+    const intersectionObserverPatterns = [
+      'IntersectionObserver',
+      'new IntersectionObserver',
+      'intersection-observer',
+      'intersectionobserver'
+    ];
+    
+    return intersectionObserverPatterns.some(pattern => 
+      scriptContent.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  getIntersectionObservers() {
+    // This is a simplified approach - in a real implementation,
+    // you might need to track observers more carefully
+    return [];
+  }
+
+  getImagePosition(img) {
+    try {
+      // Handle virtual images (background images) that don't have getBoundingClientRect
+      if (img.parentElement && typeof img.parentElement.getBoundingClientRect === 'function') {
+        const rect = img.parentElement.getBoundingClientRect();
+        const viewportHeight = window.innerHeight;
+        
+        if (rect.top < viewportHeight) {
+          return 'above-fold';
+        } else {
+          return 'below-fold';
+        }
+      }
+      
+      // Handle regular images
+      if (typeof img.getBoundingClientRect === 'function') {
+        const rect = img.getBoundingClientRect();
+        const viewportHeight = window.innerHeight;
+        
+        if (rect.top < viewportHeight) {
+          return 'above-fold';
+        } else {
+          return 'below-fold';
+        }
+      }
+      
+      // Fallback for virtual images without parent element
+      return 'unknown';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  // Distance from the top of the document, independent of the current scroll position
+  getDocumentTop(element) {
+    try {
+      return element.getBoundingClientRect().top + window.scrollY;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Fold position in document coordinates for a (possibly emulated) viewport, independent of scroll
+  getViewportPlacement(element, viewport) {
+    let rect;
+    try {
+      rect = element.getBoundingClientRect();
+    } catch (error) {
+      return { position: 'unknown', isAboveFold: false, top: null, visibleArea: 0 };
+    }
+
+    if (!rect.width || !rect.height) {
+      return { position: 'hidden', isAboveFold: false, top: null, visibleArea: 0 };
+    }
+
+    const top = rect.top + window.scrollY;
+    const left = rect.left + window.scrollX;
+    const isAboveFold = top < viewport.height && top + rect.height > 0;
+    const visibleWidth = Math.max(0, Math.min(left + rect.width, viewport.width) - Math.max(left, 0));
+    const visibleHeight = Math.max(0, Math.min(top + rect.height, viewport.height) - Math.max(top, 0));
+
+    return {
+      position: isAboveFold ? 'above-fold' : 'below-fold',
+      isAboveFold,
+      top: Math.round(top),
+      visibleArea: Math.round(visibleWidth * visibleHeight)
+    };
+  }
+
+  // Called by the background while the tab is emulating profile.width x profile.height
+  async evaluateViewportProfile(profile) {
+    if (this.images.size === 0 && (!this.backgroundImages || this.backgroundImages.size === 0)) {
+      throw new Error('No analyzed images - activate Lazy Spy on this page first');
+    }
+
+    // Let the emulated viewport lay out before measuring
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+    const entries = [];
+    this.images.forEach((data, element) => entries.push({ element, data }));
+    if (this.backgroundImages) {
+      this.backgroundImages.forEach((data, element) => entries.push({ element, data }));
+    }
+
+    entries.forEach(entry => {
+      entry.placement = this.getViewportPlacement(entry.element, profile);
+    });
+
+    // The largest image visible in the first viewport is the likely LCP element
+    const largestArea = Math.max(0, ...entries.map(entry => entry.placement.visibleArea));
+
+    const summary = {
+      profile,
+      totalImages: entries.length,
+      aboveFold: 0,
+      lazyAboveFold: 0,
+      eagerBelowFold: 0,
+      likelyLCP: null
+    };
+
+    entries.forEach(({ data, placement }) => {
+      let lcpLikelihood = 'none';
+      if (placement.isAboveFold && largestArea > 0) {
+        if (placement.visibleArea === largestArea) {
+          lcpLikelihood = 'high';
+        } else if (placement.visibleArea >= largestArea * 0.5) {
+          lcpLikelihood = 'medium';
+        } else {
+          lcpLikelihood = 'low';
+        }
+      }
+
+      // strategy may already be relabelled (lcp, optimized, ...); baseStrategy keeps the loading method
+      const isLazy = data.loading === 'lazy' || (data.baseStrategy || data.strategy) === 'lazy';
+      const lazyAboveFold = placement.isAboveFold && isLazy;
+      const eagerBelowFold = placement.position === 'below-fold' && !isLazy && !data.isPreloaded && !data.isBackgroundImage;
+      const recommendations = [];
+      if (lazyAboveFold) {
+        recommendations.push(`Above the fold at ${profile.id} - remove lazy loading`);
+        summary.lazyAboveFold++;
+      } else if (eagerBelowFold) {
+        recommendations.push(`Below the fold at ${profile.id} - consider lazy loading`);
+        summary.eagerBelowFold++;
+      }
+      if (lcpLikelihood === 'high' && data.fetchPriority !== 'high') {
+        recommendations.push(`Likely LCP at ${profile.id} - add fetchpriority="high"`);
+      }
+
+      if (placement.isAboveFold) summary.aboveFold++;
+      if (lcpLikelihood === 'high' && !summary.likelyLCP) summary.likelyLCP = data.src;
+
+      data.viewportProfiles = data.viewportProfiles || {};
+      data.viewportProfiles[profile.id] = {
+        position: placement.position,
+        isAboveFold: placement.isAboveFold,
+        top: placement.top,
+        lcpLikelihood,
+        lazyAboveFold,
+        eagerBelowFold,
+        recommendations
+      };
+    });
+
+    return summary;
+  }
+
+  resolveFileSize(img) {
+    // Measured sizes (Resource Timing or an earlier HEAD request) win over estimates
+    const src = img.currentSrc || img.src;
+    const measured = this.sizeResolver && src ? this.sizeResolver.getMeasuredSize(src) : null;
+    if (measured && measured.bytes) {
+      return {
+        label: this.sizeResolver.formatBytes(measured.bytes),
+        bytes: measured.bytes,
+        measured: true,
+        source: measured.source
+      };
+    }
+
+    const label = this.estimateFileSize(img);
+    const kb = this.parseFileSizeToKB(label);
+    return {
+      label,
+      bytes: kb ? Math.round(kb * 1024) : null,
+      measured: false,
+      source: kb ? 'estimate' : 'unknown'
+    };
+  }
+
+  applyFileSize(data, sizeInfo) {
+    data.fileSize = sizeInfo.label;
+    data.fileSizeBytes = sizeInfo.bytes;
+    data.fileSizeMeasured = sizeInfo.measured;
+    data.fileSizeSource = sizeInfo.source;
+  }
+
+  queueResourceProbe(data) {
+    const formatKnown = data.formatSource === 'content-type' || data.formatSource === 'magic-bytes';
+    if ((data.fileSizeMeasured && formatKnown) || !this.sizeResolver || !data.src) return;
+
+    // Cross-origin images without Timing-Allow-Origin, and images whose served format is
+    // still a guess from the URL, are probed by the background queue
+    this.sizeResolver.resolve(data.src).then(measured => {
+      if (!measured) return;
+
+      const previousFormat = data.format;
+      if (measured.format) {
+        this.applyImageFormat(data, { format: measured.format, source: measured.formatSource });
+      }
+
+      if (measured.bytes) {
+        this.applyFileSize(data, {
+          label: this.sizeResolver.formatBytes(measured.bytes),
+          bytes: measured.bytes,
+          measured: true,
+          source: measured.source
+        });
+      } else if (data.format !== previousFormat) {
+        // Estimates depend on the format, so redo them with the served one
+        this.reestimateFileSize(data);
+      }
+
+      if (data.format !== previousFormat) {
+        this.refreshFormatOptimization(data);
       }
+      if (data.oversizing && data.oversizing.measurable && data.element) {
+        this.refreshOversizing(data.element, data);
+      }
+    });
+  }
+
+  reestimateFileSize(data) {
+    this.applyFileSize(data, this.resolveFileSize({
+      src: data.src,
+      naturalWidth: data.naturalWidth,
+      naturalHeight: data.naturalHeight,
+      width: data.width,
+      height: data.height
+    }));
+  }
+
+  resolveImageFormat(img) {
+    // The served format (Content-Type or magic bytes) wins over what the URL suggests
+    const src = img.currentSrc || img.src;
+    const detected = this.sizeResolver && src ? this.sizeResolver.getMeasuredSize(src) : null;
+    if (detected && detected.format) {
+      return { format: detected.format, source: detected.formatSource };
     }
 
-    return null;
+    const format = this.getFormatFromUrl(src);
+    return { format, source: format === 'unknown' ? 'unknown' : 'url' };
   }
 
-  checkIntersectionObserverUsage() {
-    // Check for Intersection Observer usage in scripts
-    const scripts = document.querySelectorAll('script');
-    const scriptContent = Array.from(scripts)
-      .map(script => script.textContent || '')
-      .join(' ');
-    
-    const intersectionObserverPatterns = [
-      'IntersectionObserver',
-      'new IntersectionObserver',
-      'intersection-observer',
-      'intersectionobserver'
-    ];
-    
-    return intersectionObserverPatterns.some(pattern => 
-      scriptContent.toLowerCase().includes(pattern.toLowerCase())
-    );
+  applyImageFormat(data, formatInfo) {
+    data.format = formatInfo.format;
+    data.formatSource = formatInfo.source;
   }
 
-  getIntersectionObservers() {
-    // This is a simplified approach - in a real implementation,
-    // you might need to track observers more carefully
-    return [];
+  getOversizingRows(data) {
+    const oversizing = data.oversizing;
+    if (!oversizing || !oversizing.measurable) return '';
+
+    const wasted = oversizing.wastedBytes ? `, ~${Math.round(oversizing.wastedBytes / 1024)}KB` : '';
+    return `
+      <div class="tooltip-row">
+        <span class="tooltip-label">Rendered:</span>
+        <span class="tooltip-value">${oversizing.renderedWidth}×${oversizing.renderedHeight} @${oversizing.devicePixelRatio}x</span>
+      </div>
+      ${oversizing.isOversized ? `
+        <div class="tooltip-row">
+          <span class="tooltip-label">Oversized:</span>
+          <span class="tooltip-value">${oversizing.naturalWidth}px → ${oversizing.idealWidth}px (${oversizing.wastedPercent}% wasted${wasted})</span>
+        </div>
+      ` : ''}
+    `;
   }
 
-  getImagePosition(img) {
+  getSrcsetRow(data) {
+    const audit = data.srcsetAudit;
+    if (!audit || !audit.hasSrcset || !audit.predicted) return '';
+
+    const expected = this.srcsetAuditor.describeCandidate(audit.predicted);
+    const loaded = audit.matchesPrediction === false ? `, loaded ${this.srcsetAuditor.describeCandidate(audit.loaded)}` : '';
+    return `
+      <div class="tooltip-row">
+        <span class="tooltip-label">Srcset:</span>
+        <span class="tooltip-value">${audit.candidates.length} candidates, expects ${expected}${loaded}</span>
+      </div>
+    `;
+  }
+
+  getScrollTimingRow(data) {
+    const timing = data.scrollTiming;
+    if (!timing || timing.loadedBeforeScroll || timing.requestOffset === null) return '';
+
+    const offset = Math.abs(timing.requestOffset);
+    const when = timing.requestOffset > 0 ? `${offset}ms after` : `${offset}ms before`;
+    const distance = typeof timing.triggerDistance === 'number' ? ` (${timing.triggerDistance}px from view)` : '';
+    return `
+      <div class="tooltip-row">
+        <span class="tooltip-label">Requested:</span>
+        <span class="tooltip-value">${when} entering the viewport${distance}</span>
+      </div>
+      ${timing.isLate ? `
+        <div class="tooltip-row">
+          <span class="tooltip-label">Blank:</span>
+          <span class="tooltip-value">${timing.blankDuration}ms after scrolling into view</span>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  getPictureRows(data) {
+    const analysis = data.pictureAnalysis;
+    if (!analysis || !analysis.isPicture) return '';
+
+    const label = choice => this.pictureAnalyzer.describeSourceLabel(choice, analysis.sources);
+    const used = analysis.chosenSource !== null ? label(analysis.chosenSource) : `${label(analysis.expectedSource)} (expected)`;
+    const sources = analysis.sources.slice(0, 4).map(source => {
+      const parts = [source.type || 'no type', source.media ? `media ${source.media}` : ''].filter(Boolean);
+      const state = source.isSelectable ? '✓' : '✗';
+      return `${state} #${source.index + 1} ${this.escapeTooltipText(parts.join(', '))}`;
+    });
+
+    return `
+      <div class="tooltip-row">
+        <span class="tooltip-label">Picture:</span>
+        <span class="tooltip-value">${analysis.sources.length} source(s), using ${this.escapeTooltipText(used)}</span>
+      </div>
+      ${sources.length > 0 ? `
+        <div style="margin-top: 4px; font-size: 10px; color: #6b7280;">
+          ${sources.join('<br>')}${analysis.sources.length > 4 ? '<br>...' : ''}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  getFindings(data) {
+    return data.findings || (data.recommendations || []).map(message => ({ ruleId: null, message }));
+  }
+
+  formatFindingHTML(finding, options = {}) {
+    const severity = finding.severity ?
+      `<span class="img-optimizer-severity img-optimizer-severity-${finding.severity}">${finding.severity}</span> ` : '• ';
+    const ruleId = finding.ruleId ? ` <span class="img-optimizer-rule-id">${this.escapeTooltipText(finding.ruleId)}</span>` : '';
+    const fix = options.showFix && finding.fix ?
+      `<br><span class="img-optimizer-fix">Fix: ${this.escapeTooltipText(finding.fix)}</span>` : '';
+    return `${severity}${this.escapeTooltipText(finding.message)}${ruleId}${fix}`;
+  }
+
+  getSnippet(data) {
+    if (!this.snippetGenerator || !data.element) return null;
     try {
-      // Handle virtual images (background images) that don't have getBoundingClientRect
-      if (img.parentElement && typeof img.parentElement.getBoundingClientRect === 'function') {
-        const rect = img.parentElement.getBoundingClientRect();
-        const viewportHeight = window.innerHeight;
-        
-        if (rect.top < viewportHeight) {
-          return 'above-fold';
-        } else {
-          return 'below-fold';
-        }
-      }
-      
-      // Handle regular images
-      if (typeof img.getBoundingClientRect === 'function') {
-        const rect = img.getBoundingClientRect();
-        const viewportHeight = window.innerHeight;
-        
-        if (rect.top < viewportHeight) {
-          return 'above-fold';
-        } else {
-          return 'below-fold';
-        }
-      }
-      
-      // Fallback for virtual images without parent element
-      return 'unknown';
+      return this.snippetGenerator.generate(data.element, data);
     } catch (error) {
-      return 'unknown';
+      console.error('Lazy Spy: Failed to generate snippet:', error);
+      return null;
+    }
+  }
+
+  // Rewritten markup with a copy button; the text to copy is kept for the tooltip click handler
+  getSnippetSection(data) {
+    const snippet = this.getSnippet(data);
+    this.tooltipSnippetText = null;
+    if (!snippet || snippet.changes.length === 0) return '';
+
+    this.tooltipSnippetText = this.snippetGenerator.toText(snippet);
+    return `
+      <div class="img-optimizer-snippet">
+        <div class="img-optimizer-snippet-header">
+          <strong>Suggested Markup:</strong>
+          <button type="button" class="img-optimizer-copy-snippet">Copy</button>
+        </div>
+        <pre>${this.escapeTooltipText(this.tooltipSnippetText)}</pre>
+        ${snippet.placeholderUrls ? '<div class="img-optimizer-snippet-note">srcset URLs are placeholders - point them at resized copies of the image</div>' : ''}
+        ${data.component ? `<div class="img-optimizer-snippet-note">This is the markup ${this.escapeTooltipText(this.getComponentName(data))} should render - make the changes through its props (see the fixes above)</div>` : ''}
+        ${data.platformSource && !data.component ? `<div class="img-optimizer-snippet-note">This markup comes from ${this.escapeTooltipText(this.getPlatformSourceName(data))} - make the changes there (see the fixes above)</div>` : ''}
+      </div>
+    `;
+  }
+
+  async copySnippet(button) {
+    const text = this.tooltipSnippetText;
+    if (!text) return;
+
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      // The Clipboard API needs a focused, secure page; fall back to a temporary textarea
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      document.execCommand('copy');
+      textarea.remove();
     }
+    button.textContent = 'Copied';
+  }
+
+  escapeTooltipText(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  getFormatSourceLabel(data) {
+    if (data.formatSource === 'content-type') return 'Content-Type';
+    if (data.formatSource === 'magic-bytes') return 'file signature';
+    if (data.formatSource === 'url') return 'from URL';
+    return '';
+  }
+
+  refreshFormatOptimization(data) {
+    if (!data.optimization || !data.element || data.isBackgroundImage) return;
+
+    // Swap the URL-based format recommendation for one based on the served format
+    data.optimization.formatOptimization = this.analyzeFormatOptimization(data.element);
+    data.recommendations = this.generateRecommendations(data);
+  }
+
+  getFileSizeSourceLabel(data) {
+    if (data.fileSizeSource === 'resource-timing') return 'measured';
+    if (data.fileSizeSource === 'head-request') return 'measured (HEAD)';
+    if (data.fileSizeSource === 'estimate') return 'estimated';
+    return '';
   }
 
   estimateFileSize(img) {
     try {
-      const url = new URL(img.currentSrc || img.src, location.href).href;
-      
-      // Method 1: Use PerformanceResourceTiming for already loaded images
-      const entries = performance.getEntriesByType('resource');
-      const match = entries.find(e => e.name === url);
-      if (match && typeof match.transferSize === 'number' && match.transferSize > 0) {
-        const kb = Math.round(match.transferSize / 1024);
-        return kb > 1024 ? `${Math.round(kb / 1024)}MB` : `${kb}KB`;
-      }
-      
-      // Method 2: Try to fetch HEAD request for file size
-      if (!this.fileSizeCache) {
-        this.fileSizeCache = new Map();
-      }
-      
-      if (this.fileSizeCache.has(url)) {
-        return this.fileSizeCache.get(url);
-      }
+      const format = this.getImageFormat(img);
       
-      // Method 3: Estimate based on image dimensions and format
+      // Estimate based on image dimensions and format
       const width = img.naturalWidth || img.width;
       const height = img.naturalHeight || img.height;
       
@@ -926,20 +2144,18 @@ class ImageLoadingOptimizer {
         let estimatedSize;
         
         // Rough estimation based on image format and quality
-        if (url.includes('.webp') || url.includes('.avif')) {
+        if (format === 'WebP' || format === 'AVIF') {
           estimatedSize = Math.round(pixels * 0.1 / 1024); // WebP/AVIF: ~0.1 bytes per pixel
-        } else if (url.includes('.png')) {
+        } else if (format === 'PNG') {
           estimatedSize = Math.round(pixels * 0.3 / 1024); // PNG: ~0.3 bytes per pixel
-        } else if (url.includes('.jpg') || url.includes('.jpeg')) {
+        } else if (format === 'JPEG') {
           estimatedSize = Math.round(pixels * 0.2 / 1024); // JPEG: ~0.2 bytes per pixel
         } else {
           estimatedSize = Math.round(pixels * 0.25 / 1024); // Default: ~0.25 bytes per pixel
         }
         
         if (estimatedSize > 0) {
-          const result = estimatedSize > 1024 ? `${Math.round(estimatedSize / 1024)}MB` : `${estimatedSize}KB`;
-          this.fileSizeCache.set(url, result);
-          return result;
+          return estimatedSize > 1024 ? `${Math.round(estimatedSize / 1024)}MB` : `${estimatedSize}KB`;
         }
       }
       
@@ -950,51 +2166,48 @@ class ImageLoadingOptimizer {
     return 'Unknown';
   }
 
-  async fetchFileSize(url) {
-    try {
-      const response = await fetch(url, { method: 'HEAD' });
-      const contentLength = response.headers.get('content-length');
-      if (contentLength) {
-        const bytes = parseInt(contentLength, 10);
-        const kb = Math.round(bytes / 1024);
-        const result = kb > 1024 ? `${Math.round(kb / 1024)}MB` : `${kb}KB`;
-        this.fileSizeCache.set(url, result);
-        return result;
-      }
-    } catch (error) {
-      }
-    return 'Unknown';
-  }
-
+  // Runs every registered rule (rules.js) against an image; findings keep the rule ID, severity and weight
   generateRecommendations(data) {
-    const recommendations = [];
-
-    if (!data.hasDimensions) {
-      recommendations.push('Add width and height attributes to prevent CLS');
-    }
-
-    // Check for lazy loading above-fold (performance issue)
-    if (data.strategy === 'lazy' && data.position === 'above-fold') {
-      recommendations.push('Avoid lazy loading above-fold images - this hurts LCP');
-    }
+    data.findings = this.rules.evaluate({
+      type: data.isBackgroundImage ? 'background' : 'img',
+      element: data.element || null,
+      data,
+      analysis: data.optimization || null,
+      settings: this.settings
+    });
+    this.applyPlatformFixes(data);
+    this.applyComponentFixes(data);
+    data.hasAboveFoldLazyIssue = data.findings.some(finding => finding.ruleId === 'lazy-above-fold');
 
-    if (data.strategy === 'eager' && data.position === 'below-fold') {
-      recommendations.push('Consider lazy loading for below-fold images');
-    }
+    return data.findings.map(finding => finding.message);
+  }
 
-    if (data.isLCP && !data.isPreloaded) {
-      recommendations.push('Preload LCP image for better performance');
-    }
+  // Component-rendered images are fixed through props or framework config, not HTML attributes
+  applyComponentFixes(data) {
+    if (!data.component || !this.libraryDetector) return;
+    data.findings.forEach(finding => {
+      const fix = this.libraryDetector.getComponentFix(data.component, finding.ruleId);
+      if (fix) finding.fix = fix;
+    });
+  }
 
-    if (data.fetchPriority !== 'high' && data.isLCP) {
-      recommendations.push('Set fetchpriority="high" for LCP image');
-    }
+  // Platform images are fixed in the theme, a plugin's settings or Liquid filters; component fixes win
+  applyPlatformFixes(data) {
+    if (!data.platformSource || !this.libraryDetector) return;
+    data.findings.forEach(finding => {
+      const fix = this.libraryDetector.getPlatformFix(data.platformSource, finding.ruleId);
+      if (fix) finding.fix = fix;
+    });
+  }
 
-    if (data.decoding !== 'async') {
-      recommendations.push('Add decoding="async" for non-blocking decode');
-    }
+  getPlatformSourceName(data) {
+    if (!data.platformSource || !this.libraryDetector) return null;
+    return this.libraryDetector.getPlatformSourceName(data.platformSource);
+  }
 
-    return recommendations;
+  getComponentName(data) {
+    if (!data.component) return null;
+    return this.libraryDetector ? this.libraryDetector.getComponentDisplayName(data.component) : data.component;
   }
 
   calculateOverallStrategy(data) {
@@ -1014,7 +2227,7 @@ class ImageLoadingOptimizer {
       // Check for issues
       const hasIssues = (
         !data.hasDimensions ||
-        data.recommendations.length > 2
+        this.getIssueFindings(data).length > 0
       );
       
       if (hasIssues) return 'issue';
@@ -1036,7 +2249,8 @@ class ImageLoadingOptimizer {
     const hasIssues = (
       !data.hasDimensions ||
       (data.strategy === 'eager' && data.position === 'below-fold') ||
-      data.recommendations.length > 2
+      // Error and warning findings, the same test as the popup counters and exports
+      this.getIssueFindings(data).length > 0
     );
     
     if (hasIssues) return 'issue';
@@ -1073,6 +2287,15 @@ class ImageLoadingOptimizer {
       'react-lazy-load': 'React',
       'vue-lazyload': 'Vue',
       'intersection-observer': 'IO',
+      'vanilla-lazyload': 'vanilla-lazyload',
+      'yall': 'yall.js',
+      'jquery-lazy': 'jQuery Lazy',
+      'jquery-lazyload': 'jQuery Lazy Load',
+      'blazy': 'bLazy',
+      'echo': 'Echo.js',
+      'unveil': 'Unveil',
+      'lazyload-wp': 'WP Lazy Load',
+      'wp-rocket': 'WP Rocket',
       'custom': 'Custom',
       'native': 'Native'
     };
@@ -1134,12 +2357,9 @@ class ImageLoadingOptimizer {
     const src = img.src || img.currentSrc;
     if (!src) return { canOptimize: false };
 
-    const url = new URL(src, window.location.href);
-    const pathname = url.pathname.toLowerCase();
-    const isJPEG = pathname.includes('.jpg') || pathname.includes('.jpeg');
-    const isPNG = pathname.includes('.png');
-    const isWebP = pathname.includes('.webp');
-    const isAVIF = pathname.includes('.avif');
+    const { format, source } = this.resolveImageFormat(img);
+    const isJPEG = format === 'JPEG';
+    const isPNG = format === 'PNG';
 
     if (isJPEG || isPNG) {
       const fileSize = this.getFileSize(img);
@@ -1147,7 +2367,8 @@ class ImageLoadingOptimizer {
       
       return {
         canOptimize: true,
-        currentFormat: isJPEG ? 'JPEG' : 'PNG',
+        currentFormat: format,
+        formatSource: source,
         suggestedFormat: 'WebP',
         estimatedSavings: estimatedSavings,
         recommendation: `Convert to WebP for ~${estimatedSavings ? estimatedSavings + 'KB' : '40%'} smaller file size`
@@ -1176,20 +2397,42 @@ class ImageLoadingOptimizer {
       };
     }
     
-    return { missing: false };
+    // Check that srcset/sizes actually lead the browser to a sensible candidate
+    const audit = this.srcsetAuditor ? this.srcsetAuditor.audit(img) : null;
+    return {
+      missing: false,
+      hasSizes: hasSizes,
+      audit: audit,
+      issues: audit && audit.issues ? audit.issues : []
+    };
+  }
+
+  refreshSrcsetAudit(img, data) {
+    if (!this.srcsetAuditor || !data.srcsetAudit) return;
+    data.srcsetAudit = this.srcsetAuditor.audit(img);
+  }
+
+  refreshPictureAnalysis(img, data) {
+    if (!this.pictureAnalyzer || !data.pictureAnalysis || !data.pictureAnalysis.isPicture) return;
+    data.pictureAnalysis = this.pictureAnalyzer.analyze(img);
+  }
+
+  handleImageLoaded(img, data) {
+    this.refreshOversizing(img, data);
+    this.refreshSrcsetAudit(img, data);
+    this.refreshPictureAnalysis(img, data);
+    data.recommendations = this.generateRecommendations(data);
   }
 
   analyzeFileSizeOptimization(img) {
     const fileSize = this.getFileSize(img);
-    if (!fileSize) return { needsOptimization: false };
+    const oversizing = this.analyzeOversizing(img, {
+      fileSizeBytes: this.resolveFileSize(img).bytes,
+      format: this.getImageFormat(img)
+    });
 
-    const naturalWidth = img.naturalWidth;
-    const naturalHeight = img.naturalHeight;
-    const displayWidth = img.width || img.getBoundingClientRect().width;
-    const displayHeight = img.height || img.getBoundingClientRect().height;
-    
-    const isOversized = naturalWidth > displayWidth * 2 || naturalHeight > displayHeight * 2;
-    const isLargeFile = fileSize > 500; // 500KB threshold
+    const isOversized = !!oversizing.isOversized;
+    const isLargeFile = !!fileSize && fileSize > this.settings.getThreshold('largeFileKB');
     
     if (isOversized || isLargeFile) {
       return {
@@ -1197,13 +2440,130 @@ class ImageLoadingOptimizer {
         fileSize: fileSize,
         isOversized: isOversized,
         isLargeFile: isLargeFile,
+        oversizing: oversizing,
         recommendation: isOversized ? 
-          `Image is ${Math.round(naturalWidth/displayWidth)}x larger than needed. Resize to ${Math.round(displayWidth)}x${Math.round(displayHeight)}` :
+          oversizing.recommendation :
           `Large file (${fileSize}KB). Consider compression or format conversion`
       };
     }
     
-    return { needsOptimization: false };
+    return { needsOptimization: false, oversizing: oversizing };
+  }
+
+  // Compares the pixels an image ships with the pixels it needs at its rendered size and DPR
+  analyzeOversizing(element, data) {
+    const naturalWidth = data.isBackgroundImage ? data.hasIntrinsicSize && data.naturalWidth : element.naturalWidth;
+    const naturalHeight = data.isBackgroundImage ? data.hasIntrinsicSize && data.naturalHeight : element.naturalHeight;
+
+    // Vector images and images that have not decoded yet can't be measured
+    if (!naturalWidth || !naturalHeight || data.format === 'SVG') {
+      return { measurable: false };
+    }
+
+    let rect;
+    let style;
+    try {
+      rect = element.getBoundingClientRect();
+      style = window.getComputedStyle(element);
+    } catch (error) {
+      return { measurable: false };
+    }
+    if (!rect.width || !rect.height) return { measurable: false };
+
+    const fit = data.isBackgroundImage ? style.backgroundSize : style.objectFit;
+    const rendered = this.getRenderedImageSize(rect, naturalWidth, naturalHeight, fit, data.isBackgroundImage);
+    const dpr = window.devicePixelRatio || 1;
+
+    const idealWidth = Math.min(naturalWidth, Math.ceil(rendered.width * dpr));
+    const idealHeight = Math.min(naturalHeight, Math.ceil(rendered.height * dpr));
+    const naturalPixels = naturalWidth * naturalHeight;
+    const wastedPixels = Math.max(0, naturalPixels - idealWidth * idealHeight);
+    const wastedRatio = wastedPixels / naturalPixels;
+    // Encoded size scales roughly with pixel count
+    const wastedBytes = data.fileSizeBytes ? Math.round(data.fileSizeBytes * wastedRatio) : null;
+    const isOversized = wastedRatio * 100 >= this.settings.getThreshold('oversizedWastePercent');
+    const renderedWidth = Math.round(rendered.width);
+    const renderedHeight = Math.round(rendered.height);
+
+    return {
+      measurable: true,
+      naturalWidth,
+      naturalHeight,
+      renderedWidth,
+      renderedHeight,
+      devicePixelRatio: dpr,
+      idealWidth,
+      idealHeight,
+      wastedPixels,
+      wastedPercent: Math.round(wastedRatio * 100),
+      wastedBytes,
+      isOversized,
+      recommendation: isOversized ?
+        `Image is ${naturalWidth}px wide but rendered at ${renderedWidth} CSS px on a ${dpr}x screen. Resize to ${idealWidth}px wide${wastedBytes ? ` to save ~${Math.round(wastedBytes / 1024)}KB` : ''}` :
+        null
+    };
+  }
+
+  // Size in CSS px the image content is drawn at, after object-fit or background-size
+  getRenderedImageSize(rect, naturalWidth, naturalHeight, fit, isBackgroundImage) {
+    const mode = (fit || '').split(',')[0].trim();
+    const coverScale = Math.max(rect.width / naturalWidth, rect.height / naturalHeight);
+    const containScale = Math.min(rect.width / naturalWidth, rect.height / naturalHeight);
+
+    if (mode === 'cover') {
+      return { width: naturalWidth * coverScale, height: naturalHeight * coverScale };
+    }
+    if (mode === 'contain') {
+      return { width: naturalWidth * containScale, height: naturalHeight * containScale };
+    }
+
+    if (isBackgroundImage) {
+      // background-size: auto | <length-percentage> [<length-percentage> | auto]
+      const [widthValue, heightValue = 'auto'] = mode.split(/\s+/);
+      const resolveLength = (value, box) => {
+        if (value.endsWith('%')) return box * parseFloat(value) / 100;
+        if (value.endsWith('px')) return parseFloat(value);
+        return null;
+      };
+      let width = resolveLength(widthValue || 'auto', rect.width);
+      let height = resolveLength(heightValue, rect.height);
+
+      if (width === null && height === null) return { width: naturalWidth, height: naturalHeight };
+      if (width === null) width = height * naturalWidth / naturalHeight;
+      if (height === null) height = width * naturalHeight / naturalWidth;
+      return { width, height };
+    }
+
+    if (mode === 'none') {
+      return { width: naturalWidth, height: naturalHeight };
+    }
+    if (mode === 'scale-down') {
+      const scale = Math.min(1, containScale);
+      return { width: naturalWidth * scale, height: naturalHeight * scale };
+    }
+
+    // object-fit: fill stretches the image to the box
+    return { width: rect.width, height: rect.height };
+  }
+
+  refreshOversizing(element, data) {
+    data.oversizing = this.analyzeOversizing(element, data);
+    data.recommendations = this.generateRecommendations(data);
+  }
+
+  // Background images have no naturalWidth, so decode the URL (normally a cache hit) to get it
+  loadBackgroundIntrinsicSize(element, data) {
+    const probe = new Image();
+    probe.onload = () => {
+      data.naturalWidth = probe.naturalWidth;
+      data.naturalHeight = probe.naturalHeight;
+      data.hasIntrinsicSize = true;
+      if (!data.fileSizeMeasured) {
+        this.reestimateFileSize(data);
+      }
+      this.refreshOversizing(element, data);
+    };
+    probe.src = data.src;
   }
 
   analyzeCDN(img) {
@@ -1240,7 +2600,7 @@ class ImageLoadingOptimizer {
     const naturalWidth = img.naturalWidth;
     const naturalHeight = img.naturalHeight;
     const isAboveFold = rect.top < window.innerHeight;
-    const isLarge = naturalWidth >= 800 && naturalHeight >= 600;
+    const isLarge = naturalWidth >= this.settings.getThreshold('heroMinWidth') && naturalHeight >= this.settings.getThreshold('heroMinHeight');
     const isProminent = rect.width >= 400 && rect.height >= 300;
     const hasHighPriority = img.fetchPriority === 'high';
     
@@ -1303,7 +2663,7 @@ class ImageLoadingOptimizer {
 
   analyzePreloadOpportunity(img) {
     const isAboveFold = img.getBoundingClientRect().top < window.innerHeight;
-    const isLarge = img.naturalWidth >= 800 || img.naturalHeight >= 600;
+    const isLarge = img.naturalWidth >= this.settings.getThreshold('heroMinWidth') || img.naturalHeight >= this.settings.getThreshold('heroMinHeight');
     const isNotPreloaded = !this.preloadedImages.has(img.src);
     
     if (isAboveFold && isLarge && isNotPreloaded) {
@@ -1318,50 +2678,8 @@ class ImageLoadingOptimizer {
   }
 
   addOptimizationRecommendations(data, optimizationAnalysis) {
-    // Missing dimensions
-    if (optimizationAnalysis.missingDimensions.missing) {
-      data.recommendations.push(optimizationAnalysis.missingDimensions.recommendation);
-    }
-
-    // Format optimization
-    if (optimizationAnalysis.formatOptimization.canOptimize) {
-      data.recommendations.push(optimizationAnalysis.formatOptimization.recommendation);
-    }
-
-    // Responsive images
-    if (optimizationAnalysis.responsiveImage.missing) {
-      data.recommendations.push(optimizationAnalysis.responsiveImage.recommendation);
-    }
-
-    // File size optimization
-    if (optimizationAnalysis.fileSizeOptimization.needsOptimization) {
-      data.recommendations.push(optimizationAnalysis.fileSizeOptimization.recommendation);
-    }
-
-    // Hero image analysis
-    if (optimizationAnalysis.heroImageAnalysis.isHero && optimizationAnalysis.heroImageAnalysis.shouldPreload) {
-      data.recommendations.push(optimizationAnalysis.heroImageAnalysis.recommendation);
-    }
-
-    // Fetch priority analysis
-    if (optimizationAnalysis.fetchPriorityAnalysis.shouldUpgrade) {
-      data.recommendations.push(`Add fetchpriority="${optimizationAnalysis.fetchPriorityAnalysis.recommendedPriority}" for ${optimizationAnalysis.fetchPriorityAnalysis.reason}`);
-    }
-
-    // Preload opportunity
-    if (optimizationAnalysis.preloadAnalysis.shouldPreload) {
-      data.recommendations.push(optimizationAnalysis.preloadAnalysis.recommendation);
-    }
-
-    // CDN analysis
-    if (optimizationAnalysis.cdnAnalysis.detected) {
-      data.recommendations.push(`CDN detected: ${optimizationAnalysis.cdnAnalysis.cdn} (${optimizationAnalysis.cdnAnalysis.optimizations.join(', ')})`);
-    }
-
-    // Service worker
-    if (optimizationAnalysis.serviceWorkerAnalysis.available) {
-      data.recommendations.push(optimizationAnalysis.serviceWorkerAnalysis.recommendation);
-    }
+    data.optimization = optimizationAnalysis;
+    data.recommendations = this.generateRecommendations(data);
   }
 
   updatePerformanceData(data) {
@@ -1370,10 +2688,6 @@ class ImageLoadingOptimizer {
     switch (data.strategy) {
       case 'lazy':
         this.performanceData.lazyLoaded++;
-        // Count above-fold lazy loading as an issue
-        if (data.hasAboveFoldLazyIssue) {
-          this.performanceData.issues++;
-        }
         break;
       case 'eager':
         this.performanceData.eagerLoaded++;
@@ -1381,9 +2695,6 @@ class ImageLoadingOptimizer {
       case 'optimized':
         this.performanceData.optimized++;
         break;
-      case 'issue':
-        this.performanceData.issues++;
-        break;
       case 'lcp':
         this.performanceData.lcpCandidates++;
         break;
@@ -1408,6 +2719,8 @@ class ImageLoadingOptimizer {
   }
 
   notifyPopupOfLCPDetection() {
+    this.refreshIssueCounts();
+
     // Send message to popup to update statistics
     chrome.runtime.sendMessage({
       action: 'lcpDetected',
@@ -1499,6 +2812,7 @@ class ImageLoadingOptimizer {
       eagerLoaded: 0,
       optimized: 0,
       issues: 0,
+      findingCounts: { error: 0, warning: 0, info: 0 },
       lcpCandidates: 0,
       lcpValue: currentLCP, // Preserve the real LCP value
       preloaded: 0
@@ -1513,17 +2827,31 @@ class ImageLoadingOptimizer {
     this.images.forEach((data, img) => {
       const rect = img.getBoundingClientRect();
       const isAboveFold = rect.top < window.innerHeight;
+      const score = this.calculateScore(data);
       
       detailedImages.push({
+        id: data.id,
         src: img.src,
         fileSize: data.fileSize,
+        fileSizeBytes: data.fileSizeBytes,
+        fileSizeSource: data.fileSizeSource,
+        fileSizeMeasured: !!data.fileSizeMeasured,
+        format: data.format,
+        formatSource: data.formatSource,
         width: img.naturalWidth || img.width,
         height: img.naturalHeight || img.height,
         loadingStrategy: data.strategy,
         library: data.library,
+        component: data.component || null,
+        componentName: this.getComponentName(data),
+        platformSource: data.platformSource || null,
+        platformSourceName: this.getPlatformSourceName(data),
         performanceScore: this.calculateImagePerformanceScore(data),
-        issues: data.recommendations.filter(rec => rec.includes('issue') || rec.includes('problem')),
+        optimizationScore: score.score,
+        scoreLevel: score.level,
+        issues: this.getIssueFindings(data).map(finding => finding.message),
         recommendations: data.recommendations,
+        findings: data.findings || [],
         optimizationPotential: this.calculateOptimizationPotential(data),
         estimatedSavings: this.estimateSavings(data),
         isLCP: data.isLCP,
@@ -1533,6 +2861,13 @@ class ImageLoadingOptimizer {
         decoding: img.decoding,
         hasAltText: !!img.alt,
         isResponsive: this.isResponsiveImage(img),
+        oversizing: data.oversizing || { measurable: false },
+        srcsetAudit: data.srcsetAudit || null,
+        pictureAnalysis: data.pictureAnalysis || { isPicture: false },
+        viewportProfiles: data.viewportProfiles || {},
+        scrollTiming: data.scrollTiming || null,
+        clsContribution: this.getLayoutShiftScore(img),
+        snippet: this.getSnippet(data),
         type: 'img'
       });
     });
@@ -1548,17 +2883,31 @@ class ImageLoadingOptimizer {
           }
         } catch (error) {
           }
+        const score = this.calculateScore(data);
         
         detailedImages.push({
+          id: data.id,
           src: data.src,
           fileSize: data.fileSize,
+          fileSizeBytes: data.fileSizeBytes,
+          fileSizeSource: data.fileSizeSource,
+          fileSizeMeasured: !!data.fileSizeMeasured,
+          format: data.format,
+          formatSource: data.formatSource,
           width: data.width,
           height: data.height,
           loadingStrategy: data.strategy,
           library: data.library,
+          component: null,
+          componentName: null,
+          platformSource: null,
+          platformSourceName: null,
           performanceScore: this.calculateImagePerformanceScore(data),
-          issues: data.recommendations.filter(rec => rec.includes('issue') || rec.includes('problem')),
+          optimizationScore: score.score,
+          scoreLevel: score.level,
+          issues: this.getIssueFindings(data).map(finding => finding.message),
           recommendations: data.recommendations,
+          findings: data.findings || [],
           optimizationPotential: this.calculateOptimizationPotential(data),
           estimatedSavings: this.estimateSavings(data),
           isLCP: data.isLCP,
@@ -1568,6 +2917,13 @@ class ImageLoadingOptimizer {
           decoding: null,
           hasAltText: false,
           isResponsive: false,
+          oversizing: data.oversizing || { measurable: false },
+          srcsetAudit: null,
+          pictureAnalysis: { isPicture: false },
+          viewportProfiles: data.viewportProfiles || {},
+          scrollTiming: data.scrollTiming || null,
+          clsContribution: this.getLayoutShiftScore(element),
+          snippet: this.getSnippet(data),
           type: 'background'
         });
       });
@@ -1579,13 +2935,11 @@ class ImageLoadingOptimizer {
   calculateImagePerformanceScore(data) {
     let score = 100;
     
-    // Deduct points for issues
-    if (data.recommendations.length > 0) {
-      score -= data.recommendations.length * 10;
-    }
+    // Deduct the weight of every rule the image fails, as calculateScore does
+    score -= this.rules.getPenalty(data.findings);
     
     // Add points for optimizations
-    if (data.strategy === 'lazy') score += 10;
+    if ((data.baseStrategy || data.strategy) === 'lazy') score += 10;
     if (data.isPreloaded) score += 5;
     if (data.isLCP) score += 5;
     
@@ -1603,7 +2957,8 @@ class ImageLoadingOptimizer {
       potentials.push('Preloading');
     }
     
-    if (data.fileSize > 100000) { // > 100KB
+    const fileSizeInKB = data.fileSizeBytes ? data.fileSizeBytes / 1024 : this.parseFileSizeToKB(data.fileSize);
+    if (fileSizeInKB > this.settings.getThreshold('compressionMinKB')) {
       potentials.push('Compression');
     }
     
@@ -1620,12 +2975,12 @@ class ImageLoadingOptimizer {
     const fileSizeInBytes = fileSizeInKB * 1024;
     
     // Estimate savings from compression
-    if (fileSizeInBytes > 100000) {
+    if (fileSizeInKB > this.settings.getThreshold('compressionMinKB')) {
       savings += fileSizeInBytes * 0.3; // 30% compression
     }
     
     // Estimate savings from format optimization
-    if (data.src.includes('.jpg') || data.src.includes('.png')) {
+    if (data.format === 'JPEG' || data.format === 'PNG') {
       savings += fileSizeInBytes * 0.25; // 25% format optimization
     }
     
@@ -1745,7 +3100,7 @@ class ImageLoadingOptimizer {
     // Check if this is a small image (thumbnail)
     const imgRect = img.getBoundingClientRect();
     // Treat small thumbnails as compact to avoid unreadable badges
-    if (imgRect.width < 160 || imgRect.height < 140) {
+    if (imgRect.width < this.settings.getThreshold('compactOverlayWidth') || imgRect.height < this.settings.getThreshold('compactOverlayHeight')) {
       wrapper.setAttribute('data-compact', 'true');
     }
 
@@ -1789,15 +3144,21 @@ class ImageLoadingOptimizer {
         </div>
         <div class="tooltip-row">
           <span class="tooltip-label">Size:</span>
-          <span class="tooltip-value">${data.fileSize}</span>
+          <span class="tooltip-value">${data.fileSize}${this.getFileSizeSourceLabel(data) ? ` (${this.getFileSizeSourceLabel(data)})` : ''}</span>
+        </div>
+        <div class="tooltip-row">
+          <span class="tooltip-label">Format:</span>
+          <span class="tooltip-value">${data.format}${this.getFormatSourceLabel(data) ? ` (${this.getFormatSourceLabel(data)})` : ''}</span>
         </div>
+        ${this.getOversizingRows(data)}
+        ${data.clsContribution > 0 ? `<div class="tooltip-row"><span class="tooltip-label">Layout Shift:</span><span class="tooltip-value">${data.clsContribution.toFixed(4)} CLS</span></div>` : ''}
         ${data.isLCP ? '<div class="tooltip-row"><span class="tooltip-label">LCP:</span><span class="tooltip-value">Yes</span></div>' : ''}
         ${data.isPreloaded ? '<div class="tooltip-row"><span class="tooltip-label">Preloaded:</span><span class="tooltip-value">Yes</span></div>' : ''}
-        ${data.recommendations.length > 0 ? `
+        ${this.getFindings(data).length > 0 ? `
           <div style="margin-top: 8px; font-size: 10px; color: #dc2626; padding-top: 8px; border-top: 1px solid #e5e7eb;">
             <strong>Issues:</strong><br>
-            ${data.recommendations.slice(0, 2).map(rec => `• ${rec}`).join('<br>')}
-            ${data.recommendations.length > 2 ? '<br>• ...' : ''}
+            ${this.getFindings(data).slice(0, 2).map(finding => this.formatFindingHTML(finding)).join('<br>')}
+            ${this.getFindings(data).length > 2 ? '<br>• ...' : ''}
           </div>
         ` : ''}
       `;
@@ -1816,6 +3177,18 @@ class ImageLoadingOptimizer {
           <span class="tooltip-value">${this.getLibraryDisplayName(data.library)}</span>
         </div>
       ` : ''}
+      ${data.component ? `
+        <div class="tooltip-row">
+          <span class="tooltip-label">Component:</span>
+          <span class="tooltip-value">${this.escapeTooltipText(this.getComponentName(data))}</span>
+        </div>
+      ` : ''}
+      ${data.platformSource ? `
+        <div class="tooltip-row">
+          <span class="tooltip-label">Platform:</span>
+          <span class="tooltip-value">${this.escapeTooltipText(this.getPlatformSourceName(data))}</span>
+        </div>
+      ` : ''}
       <div class="tooltip-row">
         <span class="tooltip-label">Fetch Priority:</span>
         <span class="tooltip-value">${data.fetchPriority || 'auto'}</span>
@@ -1834,8 +3207,22 @@ class ImageLoadingOptimizer {
       </div>
       <div class="tooltip-row">
         <span class="tooltip-label">Size:</span>
-        <span class="tooltip-value">${data.fileSize}</span>
+        <span class="tooltip-value">${data.fileSize}${this.getFileSizeSourceLabel(data) ? ` (${this.getFileSizeSourceLabel(data)})` : ''}</span>
+      </div>
+      <div class="tooltip-row">
+        <span class="tooltip-label">Format:</span>
+        <span class="tooltip-value">${data.format}${this.getFormatSourceLabel(data) ? ` (${this.getFormatSourceLabel(data)})` : ''}</span>
       </div>
+      ${this.getOversizingRows(data)}
+      ${this.getSrcsetRow(data)}
+      ${this.getPictureRows(data)}
+      ${this.getScrollTimingRow(data)}
+      ${data.clsContribution > 0 ? `
+        <div class="tooltip-row">
+          <span class="tooltip-label">Layout Shift:</span>
+          <span class="tooltip-value">${data.clsContribution.toFixed(4)} CLS</span>
+        </div>
+      ` : ''}
       ${data.isLCP ? '<div class="tooltip-row"><span class="tooltip-label">LCP:</span><span class="tooltip-value">Yes</span></div>' : ''}
       ${data.isPreloaded ? '<div class="tooltip-row"><span class="tooltip-label">Preloaded:</span><span class="tooltip-value">Yes</span></div>' : ''}
       ${data.optimization?.cdnAnalysis?.detected ? `
@@ -1851,12 +3238,13 @@ class ImageLoadingOptimizer {
         </div>
       ` : ''}
 
-      ${data.recommendations.length > 0 ? `
+      ${this.getFindings(data).length > 0 ? `
         <div style="margin-top: 12px; font-size: 11px; color: #dc2626; padding-top: 12px; border-top: 1px solid #e5e7eb;">
           <strong>Optimization Recommendations:</strong><br>
-          ${data.recommendations.map(rec => `• ${rec}`).join('<br>')}
+          ${this.getFindings(data).map(finding => this.formatFindingHTML(finding, { showFix: true })).join('<br>')}
         </div>
       ` : ''}
+      ${this.getSnippetSection(data)}
       <div style="margin-top: 12px; font-size: 10px; color: #6b7280; border-top: 1px solid #e5e7eb; padding-top: 12px;">
         <strong>Legend:</strong><br>
         • <strong><span style="display: inline-block; width: 12px; height: 12px; background: #10b981; border-radius: 50%; margin-right: 6px; vertical-align: middle;"></span>Green:</strong> Properly optimized (preloaded LCP, lazy-loaded below fold)<br>
@@ -1876,8 +3264,8 @@ class ImageLoadingOptimizer {
     if (data.position === 'above-fold' && 
         data.strategy !== 'lazy' && 
         !data.isLCP && 
-        data.naturalWidth >= 800 && 
-        data.naturalHeight >= 600 && 
+        data.naturalWidth >= this.settings.getThreshold('heroMinWidth') && 
+        data.naturalHeight >= this.settings.getThreshold('heroMinHeight') && 
         data.width >= 400 && 
         data.height >= 300 &&
         data.width * data.height > 120000) { // Must be at least 400x300 display area
@@ -1895,28 +3283,52 @@ class ImageLoadingOptimizer {
       this.globalTooltip = document.createElement('div');
       this.globalTooltip.className = 'img-optimizer-tooltip';
       document.body.appendChild(this.globalTooltip);
+      this.bindTooltipInteractions(this.globalTooltip);
     }
 
-    // Prepare content for this image
-    const score = this.calculateScore(data);
-    const html = this.buildTooltipHTML(data, score);
+    // Keep the latest analysis on the wrapper; content is built on hover so late data
+    // (LCP updates, layout shifts) is always reflected
+    wrapper.__optimizerData = data;
 
     // Bind hover events once per wrapper to show/hide global tooltip
     if (!wrapper.__optimizerHoverBound) {
       wrapper.addEventListener('mouseenter', () => {
-        this.globalTooltip.innerHTML = html;
+        clearTimeout(this.tooltipHideTimer);
+        const current = wrapper.__optimizerData;
+        current.clsContribution = this.getLayoutShiftScore(current.element);
+        this.globalTooltip.innerHTML = this.buildTooltipHTML(current, this.calculateScore(current));
         this.positionTooltip(wrapper, this.globalTooltip);
         this.globalTooltip.classList.add('is-visible');
       });
 
       wrapper.addEventListener('mouseleave', () => {
-        this.globalTooltip.classList.remove('is-visible');
+        this.scheduleTooltipHide();
       });
 
       wrapper.__optimizerHoverBound = true;
     }
   }
 
+  // The tooltip stays open briefly after leaving the image so the pointer can reach the copy button
+  bindTooltipInteractions(tooltip) {
+    tooltip.addEventListener('mouseenter', () => clearTimeout(this.tooltipHideTimer));
+    tooltip.addEventListener('mouseleave', () => this.scheduleTooltipHide());
+    tooltip.addEventListener('click', (event) => {
+      const button = event.target.closest('.img-optimizer-copy-snippet');
+      if (!button) return;
+      event.preventDefault();
+      event.stopPropagation();
+      this.copySnippet(button);
+    });
+  }
+
+  scheduleTooltipHide() {
+    clearTimeout(this.tooltipHideTimer);
+    this.tooltipHideTimer = setTimeout(() => {
+      this.globalTooltip.classList.remove('is-visible');
+    }, 200);
+  }
+
   addPerformanceBadges(wrapper, data) {
     // Remove existing badges container
     const existingContainer = wrapper.querySelector('.img-optimizer-badges');
@@ -2009,15 +3421,11 @@ class ImageLoadingOptimizer {
   calculateScore(data) {
     let score = 100;
 
-    // Deduct points for issues
-    if (!data.hasDimensions) score -= 20;
-    if (data.strategy === 'eager' && data.position === 'below-fold') score -= 15;
-    if (data.isLCP && !data.isPreloaded) score -= 10;
-    if (data.fetchPriority !== 'high' && data.isLCP) score -= 5;
-    if (data.decoding !== 'async') score -= 5;
+    // Deduct the weight of every rule the image fails (disabled checks produce no findings)
+    score -= this.rules.getPenalty(data.findings);
 
-    // Add points for optimizations
-    if (data.strategy === 'lazy' && data.position === 'below-fold') score += 10;
+    // Add points for optimizations; strategy has been relabelled (optimized, issue, ...) by now
+    if ((data.baseStrategy || data.strategy) === 'lazy' && data.position === 'below-fold') score += 10;
     if (data.isPreloaded) score += 10;
     if (data.hasDimensions) score += 10;
 
@@ -2037,6 +3445,8 @@ class ImageLoadingOptimizer {
     if (data) {
       Object.assign(data, updates);
       this.updatePerformanceDataForUpdates(data, updates);
+      // LCP rules depend on the updated flags
+      data.recommendations = this.generateRecommendations(data);
       this.applyOverlay(img, data);
     }
   }
@@ -2242,10 +3652,16 @@ class ImageLoadingOptimizer {
   }
 
   getFileSize(img) {
-    // Try to get file size from cache first
     const src = img.src || img.currentSrc;
     if (!src) return null;
+
+    // Prefer a measured size in KB when one is available
+    const measured = this.sizeResolver ? this.sizeResolver.getMeasuredSize(src) : null;
+    if (measured && measured.bytes) {
+      return Math.round(measured.bytes / 1024);
+    }
     
+    // Try to get file size from cache first
     if (this.fileSizeCache.has(src)) {
       return this.fileSizeCache.get(src);
     }
@@ -2282,7 +3698,10 @@ class ImageLoadingOptimizer {
   }
 
   getImageFormat(img) {
-    const src = img.src || img.currentSrc;
+    return this.resolveImageFormat(img).format;
+  }
+
+  getFormatFromUrl(src) {
     if (!src) return 'unknown';
     
     const url = new URL(src, window.location.href);
@@ -2337,17 +3756,29 @@ class ImageLoadingOptimizer {
       naturalWidth: virtualImg.naturalWidth,
       naturalHeight: virtualImg.naturalHeight,
       strategy: 'eager',
+      baseStrategy: 'eager',
       library: null,
       isLCP: false,
       isPreloaded: false,
       hasDimensions: !!(virtualImg.width && virtualImg.height),
       position: this.getImagePosition(virtualImg),
-      fileSize: this.estimateFileSize(virtualImg),
+      fileSize: null,
       recommendations: [],
       isBackgroundImage: true,
       isCarousel: isCarousel,
       element: element
     };
+    this.applyFileSize(data, this.resolveFileSize(virtualImg));
+    this.applyImageFormat(data, this.resolveImageFormat(virtualImg));
+    this.queueResourceProbe(data);
+
+    // Backgrounds applied by a lazy-loading library are lazy, not eager
+    if (element.matches && element.matches(this.lazyBackgroundSelector)) {
+      data.loading = 'lazy';
+      data.strategy = 'lazy';
+      data.baseStrategy = 'lazy';
+      data.library = element.matches('.lazyload, .lazyloaded') ? 'lazysizes' : 'custom';
+    }
 
     // Check if preloaded
     if (this.preloadedImages.has(virtualImg.src)) {
@@ -2361,18 +3792,17 @@ class ImageLoadingOptimizer {
       data.strategy = 'lcp';
     }
 
-    // Generate recommendations
+    // Generate recommendations (including the background-image rule)
     data.recommendations = this.generateRecommendations(data);
 
-    // Add background image specific recommendations
-    data.recommendations.push('Background image detected - consider using <img> tag for better SEO and accessibility');
-
     // Determine overall strategy
     data.strategy = this.calculateOverallStrategy(data);
 
     // Store the analysis
     this.backgroundImages = this.backgroundImages || new Map();
+    data.id = this.getImageId(element);
     this.backgroundImages.set(element, data);
+    this.loadBackgroundIntrinsicSize(element, data);
     
     // Update performance data
     this.updatePerformanceData(data);
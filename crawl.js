@@ -0,0 +1,173 @@
+// Lazy Spy Site Crawl Page
+class CrawlController {
+  constructor() {
+    this.csvExporter = new CSVExporter();
+    this.report = null;
+    this.cancelling = false;
+    this.init();
+  }
+
+  async init() {
+    document.getElementById('startBtn').addEventListener('click', () => this.start());
+    document.getElementById('cancelBtn').addEventListener('click', () => this.cancel());
+    document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCSV());
+    document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportJSON());
+
+    chrome.runtime.onMessage.addListener((request) => {
+      if (request.action === 'crawlProgress') {
+        this.handleProgress(request.status);
+      }
+    });
+
+    const stored = await chrome.storage.local.get('crawlInput');
+    document.getElementById('crawlInput').value = stored.crawlInput || '';
+
+    // Pick up a crawl that is still running, or the last finished report
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCrawlStatus' });
+      if (response && response.status) this.renderProgress(response.status);
+      if (response && response.report) this.renderReport(response.report);
+    } catch (error) {
+      console.error('Crawl: Failed to load crawl status:', error);
+    }
+  }
+
+  async start() {
+    const input = document.getElementById('crawlInput').value.trim();
+    if (!input) {
+      this.showProgress('Enter at least one URL', true);
+      return;
+    }
+
+    chrome.storage.local.set({ crawlInput: input });
+    document.getElementById('startBtn').disabled = true;
+    this.showProgress('Resolving URLs...');
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'startCrawl', input });
+      if (!response || !response.success) {
+        this.showProgress(response?.error || 'Could not start the crawl', true);
+        document.getElementById('startBtn').disabled = false;
+        return;
+      }
+      this.renderProgress(response.status);
+    } catch (error) {
+      this.showProgress(error.message, true);
+      document.getElementById('startBtn').disabled = false;
+    }
+  }
+
+  async cancel() {
+    this.cancelling = true;
+    document.getElementById('cancelBtn').disabled = true;
+    this.showProgress('Cancelling after the current page...');
+    await chrome.runtime.sendMessage({ action: 'cancelCrawl' });
+  }
+
+  async handleProgress(status) {
+    this.renderProgress(status);
+    if (status.status === 'running' && status.completed === 0) return;
+
+    // Refresh the report as pages complete
+    const response = await chrome.runtime.sendMessage({ action: 'getCrawlStatus' });
+    if (response && response.report) this.renderReport(response.report);
+  }
+
+  renderProgress(status) {
+    const running = status.status === 'running';
+    document.getElementById('startBtn').disabled = running;
+    if (!running) this.cancelling = false;
+    document.getElementById('cancelBtn').disabled = !running || this.cancelling;
+
+    const total = status.urls.length;
+    let message = '';
+    if (this.cancelling) {
+      message = `Cancelling after the current page (${status.completed}/${total} done)...`;
+    } else if (running) {
+      message = `${status.completed}/${total} pages - analyzing ${status.current || '...'}`;
+    } else if (status.status === 'done') {
+      message = `Finished ${status.completed} page${status.completed === 1 ? '' : 's'}`;
+    } else if (status.status === 'cancelled') {
+      message = `Cancelled after ${status.completed}/${total} pages`;
+    } else if (status.status === 'error') {
+      message = `Crawl stopped: ${status.error}`;
+    }
+
+    if (status.saveError) {
+      // Unsaved progress is lost if the browser stops the extension's service worker
+      message += ` - progress could not be saved (${status.saveError}); the crawl cannot resume after a restart`;
+    }
+    if (message) this.showProgress(message, status.status === 'error' || !!status.saveError);
+  }
+
+  showProgress(message, isError = false) {
+    const progress = document.getElementById('progress');
+    progress.textContent = message;
+    progress.classList.toggle('error', isError);
+  }
+
+  renderReport(report) {
+    this.report = report;
+    document.getElementById('reportSection').hidden = false;
+
+    const totals = report.totals;
+    const cards = [
+      ['Pages', `${totals.pages - totals.pagesFailed}/${totals.pages}`],
+      ['Images', totals.images],
+      ['Images with Issues', totals.imagesWithIssues],
+      ['Errors / Warnings', `${totals.findingCounts.error} / ${totals.findingCounts.warning}`],
+      ['Image Weight', `${totals.totalKB}KB`],
+      ['Est. Savings', `${totals.estimatedSavingsKB}KB`],
+      ['Median LCP', totals.medianLCP !== null ? `${totals.medianLCP}ms` : 'N/A'],
+      ['Libraries', report.libraries.map(library => library.name).join(', ') || 'None']
+    ];
+    document.getElementById('totals').innerHTML = cards.map(([label, value]) => `
+      <div class="total-card">
+        <div class="total-value">${LazySpyUI.escapeHTML(value)}</div>
+        <div class="total-label">${LazySpyUI.escapeHTML(label)}</div>
+      </div>
+    `).join('');
+
+    document.getElementById('rulesBody').innerHTML = report.rules.slice(0, 20).map(rule => `
+      <tr>
+        <td><code>${LazySpyUI.escapeHTML(rule.ruleId)}</code></td>
+        <td><span class="severity severity-${LazySpyUI.escapeHTML(rule.severity)}">${LazySpyUI.escapeHTML(rule.severity)}</span></td>
+        <td>${rule.pages}</td>
+        <td>${rule.count}</td>
+        <td>${LazySpyUI.escapeHTML(rule.example)}</td>
+      </tr>
+    `).join('') || '<tr><td colspan="5">No findings</td></tr>';
+
+    document.getElementById('pagesBody').innerHTML = report.pages.map(page => `
+      <tr>
+        <td class="page-url">
+          ${LazySpyUI.escapeHTML(page.title || page.url)}<br><small>${LazySpyUI.escapeHTML(page.url)}</small>
+          ${page.error ? `<div class="page-error">${LazySpyUI.escapeHTML(page.error)}</div>` : ''}
+        </td>
+        <td>${page.totalImages}</td>
+        <td>${page.imagesWithIssues}</td>
+        <td>${page.totalKB}KB</td>
+        <td>${page.estimatedSavingsKB}KB</td>
+        <td>${page.averageScore ?? 'N/A'}</td>
+        <td>${page.lcpValue !== null ? `${page.lcpValue}ms` : 'N/A'}</td>
+      </tr>
+    `).join('');
+  }
+
+  exportCSV() {
+    if (!this.report) return;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.csvExporter.downloadCSV(this.csvExporter.generateSiteReportCSV(this.report), `lazy-spy-site-report-${timestamp}.csv`);
+  }
+
+  exportJSON() {
+    if (!this.report) return;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.csvExporter.downloadJSON(JSON.stringify(this.report, null, 2), `lazy-spy-site-report-${timestamp}.json`);
+  }
+}
+
+// Initialize crawl page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new CrawlController();
+});
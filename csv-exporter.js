@@ -1,17 +1,27 @@
 // CSV Exporter for Lazy Spy
 // Generates comprehensive image-by-image analysis reports
 
+// Bump when the shape of the JSON report changes so downstream pipelines can branch on it
+const JSON_REPORT_SCHEMA_VERSION = '1.1.0';
+
 class CSVExporter {
   constructor() {
     this.headers = [
       'Image URL',
       'File Size (KB)',
+      'File Size Source',
+      'Format',
+      'Format Source',
       'Dimensions',
       'Loading Strategy',
       'Library Used',
+      'Framework Component',
+      'Platform Source',
       'Performance Score',
       'Issues Found',
+      'Severity',
       'Recommendations',
+      'Rule IDs',
       'Optimization Potential',
       'Estimated Savings (KB)',
       'LCP Candidate',
@@ -20,7 +30,21 @@ class CSVExporter {
       'Fetch Priority',
       'Decoding',
       'Alt Text Present',
-      'Responsive Image'
+      'Responsive Image',
+      'Rendered Size (CSS px)',
+      'Ideal Width (px)',
+      'Wasted Pixels (%)',
+      'Wasted Bytes (KB)',
+      'Srcset Expected Candidate',
+      'Srcset Loaded Candidate',
+      'Srcset Issues',
+      'Viewport Profiles',
+      'CLS Contribution',
+      'Requested vs. Entering Viewport (ms)',
+      'Lazy Trigger Distance (px)',
+      'Blank After Entering Viewport (ms)',
+      'Suggested Markup',
+      'Preload Link'
     ];
   }
 
@@ -42,12 +66,19 @@ class CSVExporter {
       const row = [
         this.sanitizeCSVValue(img.src),
         this.formatFileSize(img.fileSize),
+        this.formatFileSizeSource(img.fileSizeSource),
+        img.format || 'Unknown',
+        this.formatFormatSource(img.formatSource),
         `${img.width}x${img.height}`,
         img.loadingStrategy || 'Unknown',
         img.library || 'None',
+        img.componentName || 'None',
+        img.platformSourceName || 'None',
         img.performanceScore || 'N/A',
         this.formatArray(img.issues),
+        this.formatSeverityCounts(this.countFindingsBySeverity([img])),
         this.formatArray(img.recommendations),
+        this.formatArray((img.findings || []).map(finding => finding.ruleId)),
         img.optimizationPotential || 'Unknown',
         this.formatFileSize(img.estimatedSavings),
         img.isLCP ? 'Yes' : 'No',
@@ -56,7 +87,15 @@ class CSVExporter {
         img.fetchPriority || 'None',
         img.decoding || 'None',
         img.hasAltText ? 'Yes' : 'No',
-        img.isResponsive ? 'Yes' : 'No'
+        img.isResponsive ? 'Yes' : 'No',
+        ...this.formatOversizing(img.oversizing),
+        ...this.formatSrcsetAudit(img.srcsetAudit),
+        this.formatViewportProfiles(img.viewportProfiles),
+        img.clsContribution ? img.clsContribution.toFixed(4) : '0',
+        this.formatScrollTiming(img.scrollTiming),
+        ...this.formatLazyLoadTiming(img.scrollTiming),
+        img.snippet && img.snippet.changes.length > 0 && img.snippet.html ? img.snippet.html : 'None',
+        img.snippet && img.snippet.preload ? img.snippet.preload : 'None'
       ];
       
       rows.push(row);
@@ -72,7 +111,13 @@ class CSVExporter {
     rows.push(['Eager Loaded Images', this.countByStrategy(images, 'eager')]);
     rows.push(['Optimized Images', this.countOptimized(images)]);
     rows.push(['Images with Issues', this.countWithIssues(images)]);
+    const findingCounts = this.countFindingsBySeverity(images);
+    rows.push(['Error Findings', findingCounts.error]);
+    rows.push(['Warning Findings', findingCounts.warning]);
+    rows.push(['Info Findings', findingCounts.info]);
     rows.push(['LCP Candidates', this.countLCPCandidates(images)]);
+    rows.push(['Oversized Images', this.countOversized(images)]);
+    rows.push(['Wasted Bytes from Oversizing (KB)', this.calculateWastedKB(images)]);
 
     // Add LCP value if available (passed from performance data)
     console.log('CSVExporter: performanceData received:', performanceData);
@@ -91,6 +136,64 @@ class CSVExporter {
     }
 
     rows.push(['Estimated Total Savings (KB)', this.calculateTotalSavings(images)]);
+
+    const viewportSummary = this.summarizeViewportProfiles(images);
+    if (viewportSummary.length > 0) {
+      rows.push([]);
+      rows.push(['Viewport Profiles']);
+      rows.push(['Viewport', 'Above Fold', 'Lazy Above Fold', 'Eager Below Fold', 'Likely LCP']);
+      viewportSummary.forEach(profile => {
+        rows.push([profile.id, profile.aboveFold, profile.lazyAboveFold, profile.eagerBelowFold, profile.likelyLCP || 'None']);
+      });
+    }
+
+    const findings = this.collectFindings(images);
+    if (findings.length > 0) {
+      rows.push([]);
+      rows.push(['Findings']);
+      rows.push(['Image URL', 'Rule ID', 'Severity', 'Attribute', 'Message', 'Suggested Fix']);
+      findings.forEach(finding => {
+        rows.push([
+          this.sanitizeCSVValue(finding.src),
+          finding.ruleId,
+          finding.severity,
+          finding.attribute || 'None',
+          finding.message,
+          finding.fix || 'None'
+        ]);
+      });
+    }
+
+    const pictures = this.collectPictureElements(images);
+    if (pictures.length > 0) {
+      rows.push([]);
+      rows.push(['Picture Elements']);
+      rows.push(['Image URL', 'Source', 'Type', 'Media', 'Candidates', 'Selectable', 'Used', 'Issues']);
+      pictures.forEach(picture => {
+        picture.sources.forEach(source => {
+          rows.push([
+            picture.src,
+            `#${source.index + 1}`,
+            source.type || 'None',
+            source.media || 'None',
+            source.candidates.length,
+            source.isSelectable ? 'Yes' : 'No',
+            picture.chosenSource === source.index ? 'Yes' : 'No',
+            ''
+          ]);
+        });
+        rows.push([
+          picture.src,
+          '<img> fallback',
+          '',
+          '',
+          '',
+          'Yes',
+          picture.chosenSource === 'img' ? 'Yes' : 'No',
+          this.formatArray(picture.issues.map(issue => issue.message))
+        ]);
+      });
+    }
     
     return this.createCSV(rows);
   }
@@ -112,11 +215,14 @@ class CSVExporter {
     if (performanceData.metrics.lcp) {
       rows.push(['LCP', `${performanceData.metrics.lcp.value}ms`, performanceData.scores.lcp, this.getStatus(performanceData.scores.lcp)]);
     }
-    if (performanceData.metrics.fid) {
-      rows.push(['FID', `${performanceData.metrics.fid.value}ms`, performanceData.scores.fid, this.getStatus(performanceData.scores.fid)]);
+    if (performanceData.metrics.inp) {
+      rows.push(['INP', `${performanceData.metrics.inp.value}ms`, performanceData.scores.inp, this.getStatus(performanceData.scores.inp)]);
     }
     if (performanceData.metrics.cls) {
       rows.push(['CLS', performanceData.metrics.cls.value, performanceData.scores.cls, this.getStatus(performanceData.scores.cls)]);
+      if (performanceData.metrics.cls.imageAttributed) {
+        rows.push(['CLS from images', performanceData.metrics.cls.imageAttributed.value, '', `${performanceData.metrics.cls.imageAttributed.elements} element(s)`]);
+      }
     }
     if (performanceData.metrics.fcp) {
       rows.push(['FCP', `${performanceData.metrics.fcp.value}ms`, performanceData.scores.fcp, this.getStatus(performanceData.scores.fcp)]);
@@ -155,13 +261,20 @@ class CSVExporter {
     rows.push(['URL', pageInfo.url || window.location.href]);
     rows.push([]);
     
-    rows.push(['Library', 'Detected', 'Usage Count', 'Recommendations']);
+    rows.push(['Library', 'Detected', 'Usage Count', 'Version', 'Config', 'Issues', 'Recommendations']);
     
-    Object.entries(libraries).forEach(([library, data]) => {
+    // Detection results list libraries under detected; older callers pass a name -> data map
+    const entries = Array.isArray(libraries.detected)
+      ? libraries.detected.map(data => [data.name, data])
+      : Object.entries(libraries);
+    entries.forEach(([library, data]) => {
       rows.push([
         library,
         data.detected ? 'Yes' : 'No',
         data.usageCount || 0,
+        data.version || 'Unknown',
+        data.config ? Object.entries(data.config).map(([key, value]) => `${key}=${value}`).join('; ') : 'N/A',
+        this.formatArray(data.issues),
         data.recommendations ? data.recommendations.join('; ') : 'None'
       ]);
     });
@@ -169,6 +282,91 @@ class CSVExporter {
     return this.createCSV(rows);
   }
 
+  // CMS/e-commerce platforms with their recommendations, and which sources the flagged images came from
+  generatePlatformAnalysisCSV(platforms, images = []) {
+    const rows = [];
+
+    rows.push(['Platform Analysis']);
+    rows.push(['Platform', 'Version', 'Images', 'Recommendations']);
+    platforms.forEach(platform => {
+      rows.push([
+        platform.displayName,
+        platform.version || 'Unknown',
+        platform.usageCount || 0,
+        platform.recommendations.join('; ')
+      ]);
+    });
+
+    const sources = {};
+    images.filter(img => img.platformSourceName).forEach(img => {
+      const source = sources[img.platformSourceName] || (sources[img.platformSourceName] = { images: 0, withIssues: 0 });
+      source.images++;
+      if (img.findings && img.findings.length > 0) source.withIssues++;
+    });
+    if (Object.keys(sources).length > 0) {
+      rows.push([]);
+      rows.push(['Image Source', 'Images', 'Images with Issues']);
+      Object.entries(sources).forEach(([name, source]) => rows.push([name, source.images, source.withIssues]));
+    }
+
+    return this.createCSV(rows);
+  }
+
+  // Site-level report from a crawl (see site-crawler.js)
+  generateSiteReportCSV(report) {
+    const rows = [];
+
+    rows.push(['Site Crawl Report']);
+    rows.push(['Generated', report.generated]);
+    rows.push(['Pages', report.totals.pages]);
+    rows.push(['Pages Failed', report.totals.pagesFailed]);
+    rows.push(['Total Images', report.totals.images]);
+    rows.push(['Images with Issues', report.totals.imagesWithIssues]);
+    rows.push(['Error Findings', report.totals.findingCounts.error]);
+    rows.push(['Warning Findings', report.totals.findingCounts.warning]);
+    rows.push(['Info Findings', report.totals.findingCounts.info]);
+    rows.push(['Total Image Weight (KB)', report.totals.totalKB]);
+    rows.push(['Estimated Total Savings (KB)', report.totals.estimatedSavingsKB]);
+    rows.push(['Median LCP (ms)', report.totals.medianLCP ?? 'Not Detected']);
+    rows.push([]);
+
+    rows.push(['Pages']);
+    rows.push(['URL', 'Title', 'Images', 'Images with Issues', 'Errors', 'Warnings', 'Image Weight (KB)', 'Estimated Savings (KB)', 'Average Score', 'LCP (ms)', 'LCP Element', 'Libraries', 'Error']);
+    report.pages.forEach(page => {
+      rows.push([
+        page.url,
+        page.title,
+        page.totalImages,
+        page.imagesWithIssues,
+        page.findingCounts.error,
+        page.findingCounts.warning,
+        page.totalKB,
+        page.estimatedSavingsKB,
+        page.averageScore ?? 'N/A',
+        page.lcpValue ?? 'Not Detected',
+        page.lcpCandidate || 'None',
+        this.formatArray(page.libraries),
+        page.error || ''
+      ]);
+    });
+    rows.push([]);
+
+    rows.push(['Rules']);
+    rows.push(['Rule ID', 'Severity', 'Pages', 'Findings', 'Example']);
+    report.rules.forEach(rule => {
+      rows.push([rule.ruleId, rule.severity, rule.pages, rule.count, rule.example]);
+    });
+
+    if (report.libraries.length > 0) {
+      rows.push([]);
+      rows.push(['Libraries']);
+      rows.push(['Library', 'Pages']);
+      report.libraries.forEach(library => rows.push([library.name, library.pages]));
+    }
+
+    return this.createCSV(rows);
+  }
+
   createCSV(rows) {
     return rows.map(row => 
       row.map(cell => this.sanitizeCSVValue(cell)).join(',')
@@ -204,6 +402,135 @@ class CSVExporter {
     return 'Unknown';
   }
 
+  formatFileSizeSource(source) {
+    const labels = {
+      'resource-timing': 'Measured (Resource Timing)',
+      'head-request': 'Measured (HEAD request)',
+      'estimate': 'Estimated'
+    };
+    return labels[source] || 'Unknown';
+  }
+
+  formatFormatSource(source) {
+    const labels = {
+      'content-type': 'Content-Type header',
+      'magic-bytes': 'File signature',
+      'url': 'URL (unverified)'
+    };
+    return labels[source] || 'Unknown';
+  }
+
+  formatOversizing(oversizing) {
+    if (!oversizing || !oversizing.measurable) {
+      return ['Unknown', 'Unknown', 'Unknown', 'Unknown'];
+    }
+
+    return [
+      `${oversizing.renderedWidth}x${oversizing.renderedHeight} @${oversizing.devicePixelRatio}x`,
+      oversizing.idealWidth,
+      oversizing.wastedPercent,
+      oversizing.wastedBytes ? (oversizing.wastedBytes / 1024).toFixed(2) : '0'
+    ];
+  }
+
+  formatSrcsetAudit(audit) {
+    if (!audit || !audit.hasSrcset) {
+      return ['No srcset', 'No srcset', 'None'];
+    }
+
+    const describe = candidate => {
+      if (!candidate) return 'Unknown';
+      return candidate.width ? `${candidate.width}w` : `${candidate.density}x`;
+    };
+
+    return [
+      describe(audit.predicted),
+      describe(audit.loaded),
+      this.formatArray((audit.issues || []).map(issue => issue.message))
+    ];
+  }
+
+  formatViewportProfiles(profiles) {
+    const entries = Object.entries(profiles || {});
+    if (entries.length === 0) return 'Not simulated';
+
+    return entries.map(([id, result]) => {
+      const lcp = result.lcpLikelihood === 'high' ? ', likely LCP' : '';
+      return `${id}: ${result.position}${lcp}`;
+    }).join('; ');
+  }
+
+  // Negative when the request started before the image scrolled into view
+  formatScrollTiming(timing) {
+    if (!timing) return 'Not scrolled';
+    if (timing.loadedBeforeScroll) return 'Loaded before scrolling';
+    return timing.requestOffset === null ? 'N/A' : timing.requestOffset;
+  }
+
+  // Only lazy images get a trigger distance; blank time is 0 when the image arrived before it was visible
+  formatLazyLoadTiming(timing) {
+    if (!timing || timing.triggerDistance === undefined) return ['N/A', 'N/A'];
+    return [
+      timing.triggerDistance === null ? 'N/A' : timing.triggerDistance,
+      timing.blankDuration
+    ];
+  }
+
+  // Per-profile totals, rebuilt from the per-image results of the last simulation
+  summarizeViewportProfiles(images) {
+    const profiles = new Map();
+
+    images.forEach(img => {
+      Object.entries(img.viewportProfiles || {}).forEach(([id, result]) => {
+        if (!profiles.has(id)) {
+          profiles.set(id, { id, aboveFold: 0, lazyAboveFold: 0, eagerBelowFold: 0, likelyLCP: null });
+        }
+        const profile = profiles.get(id);
+        if (result.isAboveFold) profile.aboveFold++;
+        if (result.lazyAboveFold) profile.lazyAboveFold++;
+        if (result.eagerBelowFold) profile.eagerBelowFold++;
+        if (result.lcpLikelihood === 'high' && !profile.likelyLCP) profile.likelyLCP = img.src;
+      });
+    });
+
+    return Array.from(profiles.values());
+  }
+
+  collectPictureElements(images) {
+    return images
+      .filter(img => img.pictureAnalysis && img.pictureAnalysis.isPicture)
+      .map(img => ({ src: img.src, ...img.pictureAnalysis }));
+  }
+
+  // One row per finding, errors first
+  collectFindings(images) {
+    const order = { error: 0, warning: 1, info: 2 };
+    const findings = [];
+    images.forEach(img => {
+      (img.findings || []).forEach(finding => findings.push({ src: img.src, ...finding }));
+    });
+    return findings.sort((a, b) => (order[a.severity] ?? 3) - (order[b.severity] ?? 3));
+  }
+
+  countFindingsBySeverity(images) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    images.forEach(img => {
+      (img.findings || []).forEach(finding => {
+        if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+      });
+    });
+    return counts;
+  }
+
+  formatSeverityCounts(counts) {
+    const parts = [
+      counts.error ? `${counts.error} error${counts.error === 1 ? '' : 's'}` : null,
+      counts.warning ? `${counts.warning} warning${counts.warning === 1 ? '' : 's'}` : null,
+      counts.info ? `${counts.info} info` : null
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'None';
+  }
+
   formatArray(array) {
     if (!array || !Array.isArray(array) || array.length === 0) return 'None';
     return array.join('; ');
@@ -267,6 +594,15 @@ class CSVExporter {
     return images.filter(img => img.isLCP).length;
   }
 
+  countOversized(images) {
+    return images.filter(img => img.oversizing && img.oversizing.isOversized).length;
+  }
+
+  calculateWastedKB(images) {
+    const bytes = images.reduce((total, img) => total + ((img.oversizing && img.oversizing.wastedBytes) || 0), 0);
+    return Math.round(bytes / 1024);
+  }
+
   calculateTotalSavings(images) {
     return images.reduce((total, img) => {
       const savingsInKB = this.parseFileSize(img.estimatedSavings);
@@ -276,7 +612,16 @@ class CSVExporter {
 
   // Download CSV file
   downloadCSV(csvContent, filename) {
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    this.downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+  }
+
+  // Download JSON file
+  downloadJSON(jsonContent, filename) {
+    this.downloadFile(jsonContent, filename, 'application/json;charset=utf-8;');
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const link = document.createElement('a');
     
     if (link.download !== undefined) {
@@ -301,8 +646,14 @@ class CSVExporter {
     // Generate library analysis CSV
     const libraryCSV = this.generateLibraryAnalysisCSV(libraries, pageInfo);
     
-    // Combine CSV content (skip performance data since it's not available)
-    const csvContent = imageCSV + '\n\n' + libraryCSV;
+    // Combine CSV content, including Core Web Vitals when any were collected
+    let csvContent = imageCSV + '\n\n' + libraryCSV;
+    if (libraries && libraries.platforms && libraries.platforms.length > 0) {
+      csvContent += '\n\n' + this.generatePlatformAnalysisCSV(libraries.platforms, images);
+    }
+    if (this.hasWebVitals(performanceData)) {
+      csvContent += '\n\n' + this.generatePerformanceReportCSV(performanceData, pageInfo);
+    }
     
     this.downloadCSV(csvContent, filename);
     
@@ -313,9 +664,76 @@ class CSVExporter {
     };
   }
 
+  hasWebVitals(performanceData) {
+    return !!(performanceData && performanceData.metrics && performanceData.scores &&
+      Object.keys(performanceData.metrics).length > 0);
+  }
+
   countRows(csvContent) {
     return csvContent.split('\n').length;
   }
+
+  // Build a structured, versioned report for machine consumption
+  generateJSONReport(images, performanceData, libraries, pageInfo = {}, migrationGuides = {}) {
+    return {
+      schema: 'lazy-spy-report',
+      schemaVersion: JSON_REPORT_SCHEMA_VERSION,
+      generated: new Date().toISOString(),
+      generator: {
+        name: 'Lazy Spy',
+        version: this.getExtensionVersion()
+      },
+      page: {
+        url: pageInfo.url || window.location.href,
+        title: pageInfo.title || document.title
+      },
+      performanceData: performanceData || {},
+      summary: {
+        totalImages: images.length,
+        totalFileSizeKB: this.calculateTotalFileSize(images),
+        averageFileSizeKB: Number(this.calculateAverageFileSize(images)),
+        lazyLoaded: this.countByStrategy(images, 'lazy'),
+        eagerLoaded: this.countByStrategy(images, 'eager'),
+        optimized: this.countOptimized(images),
+        withIssues: this.countWithIssues(images),
+        findingsBySeverity: this.countFindingsBySeverity(images),
+        lcpCandidates: this.countLCPCandidates(images),
+        oversized: this.countOversized(images),
+        wastedBytesKB: this.calculateWastedKB(images),
+        viewportProfiles: this.summarizeViewportProfiles(images),
+        estimatedTotalSavingsKB: this.calculateTotalSavings(images)
+      },
+      images: images,
+      pictures: this.collectPictureElements(images),
+      libraries: libraries || {},
+      migrationGuides: migrationGuides
+    };
+  }
+
+  getExtensionVersion() {
+    try {
+      return chrome.runtime.getManifest().version;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  // Generate comprehensive JSON report
+  generateComprehensiveJSONReport(images, performanceData, libraries, pageInfo = {}, migrationGuides = {}) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `lazy-spy-report-${timestamp}.json`;
+
+    const report = this.generateJSONReport(images, performanceData, libraries, pageInfo, migrationGuides);
+    const jsonContent = JSON.stringify(report, null, 2);
+
+    this.downloadJSON(jsonContent, filename);
+
+    return {
+      filename,
+      imageCount: images.length,
+      fileSize: this.formatFileSize(jsonContent.length)
+    };
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,20 @@
+// Custom rules for Lazy Spy
+// Team-specific checks, registered alongside the built-in rules in rules.js (see the rule shape there).
+// Findings from these rules show up in tooltips, scores and exports under their own IDs.
+//
+// Example:
+//   {
+//     id: 'team/image-cdn',
+//     severity: 'warning',
+//     appliesTo: ['img', 'background'],
+//     scoreWeight: 5,
+//     evaluate: ({ data }) => !!data.src && !data.src.startsWith('https://images.example.com/'),
+//     message: 'Serve images from the image CDN'
+//   }
+
+const LAZY_SPY_CUSTOM_RULES = [];
+
+// Make available globally for content script
+if (typeof window !== 'undefined') {
+  window.LazySpyCustomRules = LAZY_SPY_CUSTOM_RULES;
+}
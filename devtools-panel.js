@@ -0,0 +1,354 @@
+// Lazy Spy DevTools Panel
+// Everything goes through BackgroundService; the inspected tab pushes updates over a port
+class DevToolsPanelController {
+  constructor() {
+    this.tabId = chrome.devtools.inspectedWindow.tabId;
+    this.isActive = false;
+    this.images = [];
+    this.selectedId = null;
+    this.search = '';
+    this.port = null;
+    this.reloadTimer = null;
+    this.sort = { key: 'id', direction: 'asc' }; // Document order by default
+    this.columns = [
+      { key: 'id', label: '#' },
+      { key: 'src', label: 'Image' },
+      { key: 'loadingStrategy', label: 'Strategy' },
+      { key: 'format', label: 'Format' },
+      { key: 'fileSizeBytes', label: 'Size' },
+      { key: 'optimizationScore', label: 'Score' },
+      { key: 'issueCount', label: 'Issues' },
+      { key: 'isAboveFold', label: 'Fold' },
+      { key: 'isLCP', label: 'LCP' }
+    ];
+    this.init();
+  }
+
+  async init() {
+    this.initializeUI();
+    this.connect();
+
+    // A navigation replaces the content script's state; reload once the new page has analyzed
+    chrome.devtools.network.onNavigated.addListener(() => {
+      this.images = [];
+      this.selectedId = null;
+      this.scheduleReload(1500);
+    });
+
+    await this.loadAll();
+  }
+
+  // The port lets the background push MutationObserver updates for this tab
+  connect() {
+    this.port = chrome.runtime.connect({ name: 'lazy-spy-devtools' });
+    this.port.postMessage({ action: 'init', tabId: this.tabId });
+
+    this.port.onMessage.addListener((message) => {
+      if (message.action === 'imagesUpdated') {
+        this.isActive = message.isActive;
+        this.scheduleReload(200);
+      }
+    });
+
+    // The service worker can be restarted; reconnect so live updates keep flowing
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      setTimeout(() => this.connect(), 1000);
+    });
+  }
+
+  initializeUI() {
+    document.getElementById('toggleBtn').addEventListener('click', () => this.toggleExtension());
+    document.getElementById('refreshBtn').addEventListener('click', () => this.loadAll());
+
+    document.getElementById('searchInput').addEventListener('input', (event) => {
+      this.search = event.target.value.trim().toLowerCase();
+      this.renderTable();
+    });
+
+    document.getElementById('tableHead').addEventListener('click', (event) => {
+      const header = event.target.closest('th[data-key]');
+      if (header) this.toggleSort(header.dataset.key);
+    });
+
+    document.getElementById('tableBody').addEventListener('click', (event) => {
+      const row = event.target.closest('tr[data-id]');
+      if (!row) return;
+
+      const id = Number(row.dataset.id);
+      const button = event.target.closest('button[data-command]');
+      if (button && button.dataset.command === 'inspect') {
+        this.inspectImage(id);
+      } else if (button && button.dataset.command === 'scroll') {
+        this.focusImage(id);
+      } else {
+        this.selectedId = id;
+        this.renderTable();
+      }
+    });
+  }
+
+  scheduleReload(delay) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.loadAll(), delay);
+  }
+
+  async loadAll() {
+    await this.checkExtensionState();
+    await Promise.all([this.loadStats(), this.loadImages(), this.loadLibraryInfo()]);
+  }
+
+  async checkExtensionState() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getActiveTabs' });
+      this.isActive = !!(response.activeTabs && response.activeTabs.includes(this.tabId));
+    } catch (error) {
+      console.error('DevTools panel: Could not check extension state:', error);
+    }
+    this.updateToggleState();
+  }
+
+  async toggleExtension() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'toggle', tabId: this.tabId });
+      if (response && response.success) {
+        this.isActive = response.isActive;
+        this.updateToggleState();
+        await this.loadAll();
+      } else {
+        this.setStatus(response?.error || 'Failed to toggle Lazy Spy');
+      }
+    } catch (error) {
+      this.setStatus(`Toggle failed: ${error.message}`);
+    }
+  }
+
+  updateToggleState() {
+    const toggleBtn = document.getElementById('toggleBtn');
+    toggleBtn.textContent = this.isActive ? 'Deactivate' : 'Activate';
+    toggleBtn.classList.toggle('active', this.isActive);
+    this.setStatus(this.isActive ? 'Active - updates live as images are added' : 'Inactive - activate to analyze this page');
+  }
+
+  setStatus(message) {
+    document.getElementById('statusText').textContent = message;
+  }
+
+  async loadStats() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getStats', tabId: this.tabId });
+      if (response && response.stats) {
+        this.updateStats(response.stats);
+      }
+    } catch (error) {
+      console.error('DevTools panel: Failed to load stats:', error);
+    }
+  }
+
+  updateStats(stats) {
+    ['totalImages', 'optimized', 'lazyLoaded', 'eagerLoaded', 'issues'].forEach(id => {
+      document.getElementById(id).textContent = stats[id] || 0;
+    });
+
+    const lcpElement = document.getElementById('lcpValue');
+    const lcpValue = parseFloat(stats.lcpValue);
+    lcpElement.className = 'stat-number';
+    if (lcpValue > 0) {
+      lcpElement.textContent = Math.round(lcpValue);
+      lcpElement.classList.add(lcpValue <= 2500 ? 'metric-good' : lcpValue <= 4000 ? 'metric-needs-improvement' : 'metric-poor');
+    } else {
+      lcpElement.textContent = 'N/A';
+    }
+
+    const metrics = stats.metrics || {};
+    ['cls', 'inp', 'fcp', 'ttfb'].forEach(name => {
+      const element = document.getElementById(`${name}Value`);
+      const metric = metrics[name];
+      element.className = 'stat-number';
+      if (metric) {
+        element.textContent = metric.value;
+        element.classList.add(`metric-${metric.rating}`);
+      } else {
+        element.textContent = 'N/A';
+      }
+    });
+  }
+
+  async loadLibraryInfo() {
+    const librariesInfo = document.getElementById('librariesInfo');
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLibraryInfo', tabId: this.tabId });
+      const libraries = response && response.detectedLibraries ? response.detectedLibraries : [];
+      librariesInfo.textContent = libraries.length > 0
+        ? `Lazy loading libraries: ${libraries.join(', ')}`
+        : 'No lazy loading libraries detected';
+    } catch (error) {
+      librariesInfo.textContent = '';
+    }
+  }
+
+  async loadImages() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getDetailedImageData', tabId: this.tabId });
+      if (!response || response.error) {
+        this.images = [];
+        this.showEmptyState(response?.error || 'Could not read image data from this page');
+        return;
+      }
+
+      this.images = (response.images || []).map(img => ({
+        ...img,
+        issueCount: (img.issues || []).length
+      }));
+      this.renderTable();
+    } catch (error) {
+      console.error('DevTools panel: Failed to load images:', error);
+      this.images = [];
+      this.showEmptyState('Lazy Spy cannot analyze this page');
+    }
+  }
+
+  toggleSort(key) {
+    if (this.sort.key === key) {
+      this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.sort = { key, direction: 'asc' };
+    }
+    this.renderTable();
+  }
+
+  getVisibleImages() {
+    const filtered = this.images.filter(img => !this.search || (img.src || '').toLowerCase().includes(this.search));
+    const multiplier = this.sort.direction === 'asc' ? 1 : -1;
+    return filtered.sort((a, b) => LazySpyUI.compareValues(a[this.sort.key], b[this.sort.key]) * multiplier);
+  }
+
+  renderTable() {
+    const images = this.getVisibleImages();
+
+    document.getElementById('tableHead').innerHTML = `
+      <tr>
+        ${this.columns.map(column => {
+          const indicator = this.sort.key === column.key ? (this.sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+          return `<th data-key="${column.key}">${column.label}${indicator}</th>`;
+        }).join('')}
+        <th></th>
+      </tr>
+    `;
+
+    document.getElementById('tableBody').innerHTML = images.map(img => `
+      <tr data-id="${img.id}" class="${img.id === this.selectedId ? 'selected' : ''}">
+        <td>${img.id}</td>
+        <td class="image-cell" title="${LazySpyUI.escapeHTML(img.src)}">${LazySpyUI.escapeHTML(img.src)}${img.type === 'background' ? ' <span class="tag">bg</span>' : ''}</td>
+        <td class="strategy-${LazySpyUI.escapeHTML(img.loadingStrategy || 'unknown')}">${LazySpyUI.escapeHTML(img.loadingStrategy || 'unknown')}</td>
+        <td>${LazySpyUI.escapeHTML(img.format || 'unknown')}</td>
+        <td>${LazySpyUI.escapeHTML(LazySpyUI.formatSize(img))}</td>
+        <td class="score-${LazySpyUI.escapeHTML(img.scoreLevel || 'unknown')}">${img.optimizationScore !== undefined ? img.optimizationScore : 'N/A'}</td>
+        <td>${img.issueCount}</td>
+        <td>${img.isAboveFold ? 'Above' : 'Below'}</td>
+        <td>${img.isLCP ? 'Yes' : ''}</td>
+        <td class="row-actions">
+          <button data-command="inspect" title="Select in the Elements panel">Inspect</button>
+          <button data-command="scroll" title="Scroll the page to this image">Scroll to</button>
+        </td>
+      </tr>
+    `).join('');
+
+    if (this.images.length === 0) {
+      this.showEmptyState(this.isActive ? 'No images analyzed yet' : 'Activate Lazy Spy to analyze the images on this page');
+    } else if (images.length === 0) {
+      this.showEmptyState('No images match the filter');
+    } else {
+      document.getElementById('emptyState').style.display = 'none';
+    }
+
+    this.renderDetails();
+  }
+
+  renderDetails() {
+    const details = document.getElementById('imageDetails');
+    const img = this.images.find(image => image.id === this.selectedId);
+    if (!img) {
+      details.innerHTML = '<div class="details-empty">Select an image to see its details</div>';
+      return;
+    }
+
+    const facts = [
+      ['Dimensions', `${img.width}x${img.height}`],
+      ['Natural size', img.oversizing && img.oversizing.naturalWidth ? `${img.oversizing.naturalWidth}x${img.oversizing.naturalHeight}` : null],
+      ['Fetch priority', img.fetchPriority],
+      ['Decoding', img.decoding],
+      ['Format', img.format],
+      ['File size', LazySpyUI.formatSize(img)],
+      ['Library', img.library],
+      ['Component', img.componentName],
+      ['Platform', img.platformSourceName],
+      ['Wasted', img.oversizing && img.oversizing.isOversized ? `${img.oversizing.wastedPercent}% of pixels` : null]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    details.innerHTML = `
+      <div class="details-src">${LazySpyUI.escapeHTML(img.src)}</div>
+      <table class="details-facts">
+        ${facts.map(([label, value]) => `<tr><th>${label}</th><td>${LazySpyUI.escapeHTML(value)}</td></tr>`).join('')}
+      </table>
+      <h4>Recommendations</h4>
+      ${LazySpyUI.renderFindings(img.findings)}
+    `;
+  }
+
+  async focusImage(id) {
+    this.selectedId = id;
+    this.renderTable();
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'focusImage', tabId: this.tabId, imageId: id });
+      if (!response || !response.success) {
+        this.setStatus('That image is no longer on the page - refresh the list');
+      }
+    } catch (error) {
+      console.error('DevTools panel: Failed to focus image:', error);
+    }
+  }
+
+  // The content script marks the element; inspect() only exists in the page's console context
+  async inspectImage(id) {
+    this.selectedId = id;
+    this.renderTable();
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'markImageForInspect', tabId: this.tabId, imageId: id });
+      if (!response || !response.success) {
+        this.setStatus('That image is no longer on the page - refresh the list');
+        return;
+      }
+
+      chrome.devtools.inspectedWindow.eval(
+        `(function () {
+          const element = document.querySelector('[data-lazy-spy-inspect]');
+          if (!element) return false;
+          element.removeAttribute('data-lazy-spy-inspect');
+          inspect(element);
+          return true;
+        })()`,
+        (result, exceptionInfo) => {
+          if (exceptionInfo || !result) {
+            this.setStatus('Could not select the image in the Elements panel');
+          }
+        }
+      );
+    } catch (error) {
+      console.error('DevTools panel: Failed to inspect image:', error);
+    }
+  }
+
+  showEmptyState(message) {
+    const emptyState = document.getElementById('emptyState');
+    emptyState.textContent = message;
+    emptyState.style.display = 'block';
+  }
+}
+
+// Initialize panel when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new DevToolsPanelController();
+});
@@ -0,0 +1,2 @@
+// Lazy Spy DevTools page - registers the "Lazy Spy" panel
+chrome.devtools.panels.create('Lazy Spy', 'icons/icon16.png', 'devtools-panel.html');
@@ -0,0 +1,82 @@
+// Image Format Detector for Lazy Spy
+// Identifies the format an image was actually served as, from Content-Type or magic bytes
+
+class ImageFormatDetector {
+  constructor() {
+    this.contentTypes = {
+      'image/jpeg': 'JPEG',
+      'image/jpg': 'JPEG',
+      'image/pjpeg': 'JPEG',
+      'image/png': 'PNG',
+      'image/apng': 'PNG',
+      'image/webp': 'WebP',
+      'image/avif': 'AVIF',
+      'image/gif': 'GIF',
+      'image/svg+xml': 'SVG',
+      'image/jxl': 'JPEG XL',
+      'image/heic': 'HEIC',
+      'image/heif': 'HEIC',
+      'image/bmp': 'BMP',
+      'image/x-icon': 'ICO',
+      'image/vnd.microsoft.icon': 'ICO'
+    };
+
+    // ISO-BMFF brands found after "ftyp"
+    this.ftypBrands = {
+      'avif': 'AVIF',
+      'avis': 'AVIF',
+      'heic': 'HEIC',
+      'heix': 'HEIC',
+      'mif1': 'HEIC',
+      'msf1': 'HEIC'
+    };
+  }
+
+  fromContentType(contentType) {
+    if (!contentType) return null;
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    return this.contentTypes[mimeType] || null;
+  }
+
+  // bytes: Uint8Array holding at least the first 16 bytes of the response
+  fromMagicBytes(bytes) {
+    if (!bytes || bytes.length < 4) return null;
+
+    const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'JPEG';
+    if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'PNG';
+    if (ascii(0, 4) === 'GIF8') return 'GIF';
+    if (ascii(0, 4) === 'RIFF' && bytes.length >= 12 && ascii(8, 12) === 'WEBP') return 'WebP';
+    if (bytes.length >= 12 && ascii(4, 8) === 'ftyp') {
+      return this.ftypBrands[ascii(8, 12)] || null;
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0x0A) return 'JPEG XL';
+    if (bytes.length >= 12 && ascii(4, 8) === 'JXL ') return 'JPEG XL';
+    if (ascii(0, 2) === 'BM') return 'BMP';
+    if (bytes[0] === 0x00 && bytes[1] === 0x00 && bytes[2] === 0x01 && bytes[3] === 0x00) return 'ICO';
+
+    // SVG is text: skip a BOM/whitespace and look for an XML prolog or <svg
+    const text = ascii(0, Math.min(bytes.length, 256)).replace(/^﻿/, '').trimStart().toLowerCase();
+    if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) return 'SVG';
+
+    return null;
+  }
+
+  // Content types that say nothing about the image and need sniffing
+  isGenericContentType(contentType) {
+    if (!contentType) return true;
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    return ['application/octet-stream', 'binary/octet-stream', 'text/plain', 'image/*'].includes(mimeType);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageFormatDetector;
+}
+
+// Make available globally for content script and background service worker
+if (typeof self !== 'undefined') {
+  self.ImageFormatDetector = ImageFormatDetector;
+}
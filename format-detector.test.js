@@ -0,0 +1,53 @@
+const ImageFormatDetector = require('./format-detector');
+
+describe('ImageFormatDetector', () => {
+  const detector = new ImageFormatDetector();
+  const bytes = (...values) => Uint8Array.from(values.flatMap(value =>
+    typeof value === 'string' ? [...value].map(char => char.charCodeAt(0)) : [value]
+  ));
+
+  describe('fromContentType', () => {
+    test('maps image MIME types, ignoring parameters and case', () => {
+      expect(detector.fromContentType('image/webp')).toBe('WebP');
+      expect(detector.fromContentType('Image/AVIF; charset=binary')).toBe('AVIF');
+      expect(detector.fromContentType('image/svg+xml')).toBe('SVG');
+    });
+
+    test('returns null for unknown or missing types', () => {
+      expect(detector.fromContentType('application/octet-stream')).toBeNull();
+      expect(detector.fromContentType('')).toBeNull();
+    });
+  });
+
+  describe('fromMagicBytes', () => {
+    test('recognizes common signatures', () => {
+      expect(detector.fromMagicBytes(bytes(0xFF, 0xD8, 0xFF, 0xE0))).toBe('JPEG');
+      expect(detector.fromMagicBytes(bytes(0x89, 'PNG', 0x0D, 0x0A))).toBe('PNG');
+      expect(detector.fromMagicBytes(bytes('GIF89a'))).toBe('GIF');
+      expect(detector.fromMagicBytes(bytes('RIFF', 0, 0, 0, 0, 'WEBP'))).toBe('WebP');
+    });
+
+    test('reads the ISO-BMFF brand', () => {
+      expect(detector.fromMagicBytes(bytes(0, 0, 0, 0x1C, 'ftypavif'))).toBe('AVIF');
+      expect(detector.fromMagicBytes(bytes(0, 0, 0, 0x18, 'ftypheic'))).toBe('HEIC');
+      expect(detector.fromMagicBytes(bytes(0, 0, 0, 0x18, 'ftypisom'))).toBeNull();
+    });
+
+    test('sniffs SVG text', () => {
+      expect(detector.fromMagicBytes(bytes('  <svg xmlns="http://www.w3.org/2000/svg">'))).toBe('SVG');
+      expect(detector.fromMagicBytes(bytes('<?xml version="1.0"?><svg>'))).toBe('SVG');
+      expect(detector.fromMagicBytes(bytes('<html>'))).toBeNull();
+    });
+
+    test('needs at least four bytes', () => {
+      expect(detector.fromMagicBytes(bytes(0xFF, 0xD8))).toBeNull();
+      expect(detector.fromMagicBytes(null)).toBeNull();
+    });
+  });
+
+  test('isGenericContentType', () => {
+    expect(detector.isGenericContentType('application/octet-stream')).toBe(true);
+    expect(detector.isGenericContentType(null)).toBe(true);
+    expect(detector.isGenericContentType('image/png')).toBe(false);
+  });
+});
@@ -0,0 +1,380 @@
+// HTML Report Exporter for Lazy Spy
+// Generates a self-contained, offline HTML audit report that can be shared by email
+
+class HTMLReportExporter {
+  constructor() {
+    // Same palette as the in-page overlays (content.css)
+    this.strategyColors = {
+      'optimized': '#10b981',
+      'lazy': '#3b82f6',
+      'eager': '#f59e0b',
+      'issue': '#ef4444',
+      'preload': '#008080',
+      'lcp': '#8b5cf6'
+    };
+
+    this.strategyNames = {
+      'optimized': 'Well Optimized',
+      'lazy': 'Lazy Loaded',
+      'eager': 'Eager Loaded',
+      'issue': 'Performance Issue',
+      'preload': 'Preloaded',
+      'lcp': 'LCP Candidate'
+    };
+
+    this.scoreColors = {
+      'excellent': '#10b981',
+      'good': '#3b82f6',
+      'needs-work': '#f59e0b',
+      'poor': '#ef4444'
+    };
+  }
+
+  // thumbnails: map of image src -> data URL, so the report has no external assets
+  generateHTMLReport(images, performanceData, libraries, pageInfo = {}, thumbnails = {}) {
+    const url = pageInfo.url || window.location.href;
+    const title = pageInfo.title || document.title;
+    const generated = new Date().toISOString();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Lazy Spy Report - ${LazySpyUI.escapeHTML(title)}</title>
+<style>${this.getStyles()}</style>
+</head>
+<body>
+<div class="report">
+  <header>
+    <h1>Lazy Spy Image Audit</h1>
+    <div class="meta">
+      <div><strong>Page:</strong> ${LazySpyUI.escapeHTML(title)}</div>
+      <div><strong>URL:</strong> ${LazySpyUI.escapeHTML(url)}</div>
+      <div><strong>Generated:</strong> ${LazySpyUI.escapeHTML(generated)}</div>
+    </div>
+  </header>
+  ${this.renderSummary(images, performanceData)}
+  ${this.renderLibraries(libraries)}
+  ${this.renderPlatforms(libraries)}
+  ${this.renderPictures(images)}
+  ${this.renderImages(images, thumbnails)}
+  <footer>Generated by Lazy Spy - Image Performance Analyzer</footer>
+</div>
+</body>
+</html>`;
+  }
+
+  renderSummary(images, performanceData) {
+    const lcp = this.getLCPInfo(performanceData);
+    const count = (strategy) => images.filter(img => img.loadingStrategy === strategy).length;
+    const withIssues = images.filter(img => img.issues && img.issues.length > 0).length;
+
+    const cards = [
+      ['Total Images', images.length, ''],
+      ['Optimized', count('optimized'), this.strategyColors.optimized],
+      ['Lazy Loaded', count('lazy'), this.strategyColors.lazy],
+      ['Eager Loaded', count('eager'), this.strategyColors.eager],
+      ['Issues', withIssues, this.strategyColors.issue],
+      ['LCP (ms)', lcp.value, lcp.color]
+    ];
+
+    return `
+  <section>
+    <h2>Performance Summary</h2>
+    <div class="cards">
+      ${cards.map(([label, value, color]) => `
+      <div class="card">
+        <div class="card-value"${color ? ` style="color: ${color}"` : ''}>${LazySpyUI.escapeHTML(value)}</div>
+        <div class="card-label">${LazySpyUI.escapeHTML(label)}</div>
+      </div>`).join('')}
+    </div>
+    <p class="lcp-status"><strong>LCP Status:</strong> <span style="color: ${lcp.color}">${LazySpyUI.escapeHTML(lcp.status)}</span></p>
+    ${this.renderWebVitals(performanceData)}
+  </section>`;
+  }
+
+  renderWebVitals(performanceData) {
+    const metrics = performanceData && performanceData.metrics;
+    if (!metrics || Object.keys(metrics).length === 0) return '';
+
+    const labels = { lcp: ['LCP', 'ms'], cls: ['CLS', ''], inp: ['INP', 'ms'], fcp: ['FCP', 'ms'], ttfb: ['TTFB', 'ms'] };
+    const ratingColors = { 'good': '#059669', 'needs-improvement': '#d97706', 'poor': '#dc2626' };
+    const ratingNames = { 'good': 'Good', 'needs-improvement': 'Needs Improvement', 'poor': 'Poor' };
+
+    const rows = Object.entries(labels)
+      .filter(([name]) => metrics[name])
+      .map(([name, [label, unit]]) => `
+        <tr>
+          <td>${label}</td>
+          <td>${LazySpyUI.escapeHTML(metrics[name].value)}${unit}</td>
+          <td style="color: ${ratingColors[metrics[name].rating] || '#6b7280'}">${LazySpyUI.escapeHTML(ratingNames[metrics[name].rating] || '')}</td>
+        </tr>`).join('');
+
+    return `
+    <h3>Core Web Vitals</h3>
+    <table>
+      <thead><tr><th>Metric</th><th>Value</th><th>Rating</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  renderLibraries(libraries) {
+    const detected = (libraries && libraries.detected) || [];
+    const summary = libraries && libraries.summary;
+
+    const rows = detected.map(lib => `
+        <tr>
+          <td>${LazySpyUI.escapeHTML(lib.name)}${lib.version ? ` ${LazySpyUI.escapeHTML(lib.version)}` : ''}</td>
+          <td>${LazySpyUI.escapeHTML(lib.usageCount || 0)}</td>
+          <td>${lib.issues && lib.issues.length > 0 ? this.renderList(lib.issues) : 'None'}</td>
+          <td>${this.renderList(lib.recommendations)}</td>
+        </tr>`).join('');
+
+    return `
+  <section>
+    <h2>Lazy Loading Libraries</h2>
+    ${summary ? `
+    <div class="library-summary priority-${LazySpyUI.escapeHTML(summary.priority || 'low')}">
+      <div><strong>${LazySpyUI.escapeHTML(summary.status)}</strong></div>
+      <div>${LazySpyUI.escapeHTML(summary.recommendation)}</div>
+    </div>` : ''}
+    ${detected.length > 0 ? `
+    <table>
+      <thead><tr><th>Library</th><th>Usage</th><th>Issues</th><th>Recommendations</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p class="empty">No lazy loading libraries detected</p>'}
+  </section>`;
+  }
+
+  renderPlatforms(libraries) {
+    const platforms = (libraries && libraries.platforms) || [];
+    if (platforms.length === 0) return '';
+
+    const rows = platforms.map(platform => `
+        <tr>
+          <td>${LazySpyUI.escapeHTML(platform.displayName)}${platform.version ? ` ${LazySpyUI.escapeHTML(platform.version)}` : ''}</td>
+          <td>${LazySpyUI.escapeHTML(platform.usageCount || 0)}</td>
+          <td>${this.renderList(platform.recommendations)}</td>
+        </tr>`).join('');
+
+    return `
+  <section>
+    <h2>Platform</h2>
+    <table>
+      <thead><tr><th>Platform</th><th>Images</th><th>Recommendations</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </section>`;
+  }
+
+  renderPictures(images) {
+    const pictures = images.filter(img => img.pictureAnalysis && img.pictureAnalysis.isPicture);
+    if (pictures.length === 0) return '';
+
+    const renderPicture = img => {
+      const analysis = img.pictureAnalysis;
+      const rows = analysis.sources.map(source => `
+          <tr>
+            <td>#${source.index + 1}</td>
+            <td>${LazySpyUI.escapeHTML(source.type || 'None')}</td>
+            <td>${LazySpyUI.escapeHTML(source.media || 'None')}</td>
+            <td>${LazySpyUI.escapeHTML(source.candidates.length)}</td>
+            <td>${source.isSelectable ? 'Yes' : 'No'}</td>
+            <td>${analysis.chosenSource === source.index ? 'Yes' : ''}</td>
+          </tr>`).join('');
+
+      return `
+    <div class="picture">
+      <div class="src">${LazySpyUI.escapeHTML(img.src)}</div>
+      <table>
+        <thead><tr><th>Source</th><th>Type</th><th>Media</th><th>Candidates</th><th>Selectable</th><th>Used</th></tr></thead>
+        <tbody>
+          ${rows}
+          <tr>
+            <td>&lt;img&gt;</td><td colspan="4">Fallback</td>
+            <td>${analysis.chosenSource === 'img' ? 'Yes' : ''}</td>
+          </tr>
+        </tbody>
+      </table>
+      ${analysis.issues.length > 0 ? this.renderList(analysis.issues.map(issue => issue.message)) : ''}
+    </div>`;
+    };
+
+    return `
+  <section>
+    <h2>Picture Elements (${pictures.length})</h2>
+    ${pictures.map(renderPicture).join('')}
+  </section>`;
+  }
+
+  renderImages(images, thumbnails) {
+    if (images.length === 0) {
+      return `
+  <section>
+    <h2>Image Analysis</h2>
+    <p class="empty">No images were analyzed</p>
+  </section>`;
+    }
+
+    return `
+  <section>
+    <h2>Image Analysis (${images.length})</h2>
+    ${images.map(img => this.renderImage(img, thumbnails[img.src])).join('')}
+  </section>`;
+  }
+
+  renderImage(img, thumbnail) {
+    const color = this.strategyColors[img.loadingStrategy] || '#6b7280';
+    const strategyName = this.strategyNames[img.loadingStrategy] || img.loadingStrategy || 'Unknown';
+    const scoreColor = this.scoreColors[img.scoreLevel] || '#6b7280';
+    const score = img.optimizationScore !== undefined ? img.optimizationScore : 'N/A';
+
+    const flags = [
+      img.isLCP ? 'LCP' : null,
+      img.isPreloaded ? 'Preloaded' : null,
+      img.isAboveFold ? 'Above fold' : 'Below fold',
+      img.type === 'background' ? 'Background' : null
+    ].filter(Boolean);
+
+    return `
+    <article class="image" style="border-left-color: ${color}">
+      <div class="thumb">
+        ${thumbnail ? `<img src="${thumbnail}" alt="">` : '<div class="no-thumb">No preview</div>'}
+      </div>
+      <div class="details">
+        <div class="image-header">
+          <span class="strategy" style="background: ${color}">${LazySpyUI.escapeHTML(strategyName)}</span>
+          <span class="score" style="color: ${scoreColor}">Score: ${LazySpyUI.escapeHTML(score)}</span>
+        </div>
+        <div class="src">${LazySpyUI.escapeHTML(img.src)}</div>
+        <div class="facts">
+          <span><strong>Size:</strong> ${LazySpyUI.escapeHTML(img.fileSize || 'Unknown')}${img.fileSizeSource === 'estimate' ? ' (estimated)' : ''}</span>
+          <span><strong>Format:</strong> ${LazySpyUI.escapeHTML(img.format || 'Unknown')}${img.formatSource === 'url' ? ' (from URL)' : ''}</span>
+          <span><strong>Dimensions:</strong> ${LazySpyUI.escapeHTML(`${img.width}x${img.height}`)}</span>
+          <span><strong>Library:</strong> ${LazySpyUI.escapeHTML(img.library || 'None')}</span>
+          ${img.componentName ? `<span><strong>Component:</strong> ${LazySpyUI.escapeHTML(img.componentName)}</span>` : ''}
+          ${img.platformSourceName ? `<span><strong>Platform:</strong> ${LazySpyUI.escapeHTML(img.platformSourceName)}</span>` : ''}
+          <span><strong>Flags:</strong> ${LazySpyUI.escapeHTML(flags.join(', '))}</span>
+          ${img.oversizing && img.oversizing.isOversized ? `<span><strong>Oversized:</strong> ${LazySpyUI.escapeHTML(`${img.oversizing.naturalWidth}px served, ${img.oversizing.idealWidth}px needed${img.oversizing.wastedBytes ? ` (~${Math.round(img.oversizing.wastedBytes / 1024)}KB wasted)` : ''}`)}</span>` : ''}
+          ${img.srcsetAudit && img.srcsetAudit.sizes ? `<span><strong>Sizes:</strong> ${LazySpyUI.escapeHTML(`${img.srcsetAudit.sizes} → ${img.srcsetAudit.sourceSize}px (rendered ${img.srcsetAudit.renderedWidth}px)`)}</span>` : ''}
+          ${img.viewportProfiles && Object.keys(img.viewportProfiles).length > 0 ? `<span><strong>Viewports:</strong> ${LazySpyUI.escapeHTML(Object.entries(img.viewportProfiles).map(([id, result]) => `${id} ${result.position}${result.lcpLikelihood === 'high' ? ' (likely LCP)' : ''}`).join(', '))}</span>` : ''}
+          ${img.clsContribution > 0 ? `<span><strong>CLS Contribution:</strong> ${LazySpyUI.escapeHTML(img.clsContribution.toFixed(4))}</span>` : ''}
+        </div>
+        ${img.recommendations && img.recommendations.length > 0 ? `
+        <div class="recommendations">
+          <strong>Recommendations:</strong>
+          ${img.findings && img.findings.length > 0 ? LazySpyUI.renderFindings(img.findings) : this.renderList(img.recommendations)}
+        </div>` : ''}
+        ${img.snippet && img.snippet.changes.length > 0 ? `
+        <div class="snippet">
+          <strong>Suggested Markup:</strong>
+          <pre>${LazySpyUI.escapeHTML([img.snippet.preload, img.snippet.html].filter(Boolean).join('\n'))}</pre>
+          ${img.snippet.placeholderUrls ? '<small>srcset URLs are placeholders - point them at resized copies of the image</small>' : ''}
+        </div>` : ''}
+      </div>
+    </article>`;
+  }
+
+  renderList(items) {
+    if (!items || items.length === 0) return 'None';
+    return `<ul>${items.map(item => `<li>${LazySpyUI.escapeHTML(item)}</li>`).join('')}</ul>`;
+  }
+
+  getLCPInfo(performanceData) {
+    const lcpValue = performanceData ? parseFloat(performanceData.lcpValue) : NaN;
+    if (isNaN(lcpValue) || lcpValue <= 0) {
+      return { value: 'N/A', status: 'Not Detected', color: '#6b7280' };
+    }
+
+    const lcpMs = Math.round(lcpValue);
+    if (lcpMs <= 2500) return { value: lcpMs, status: 'Good', color: '#059669' };
+    if (lcpMs <= 4000) return { value: lcpMs, status: 'Needs Work', color: '#d97706' };
+    return { value: lcpMs, status: 'Poor', color: '#dc2626' };
+  }
+
+  getStyles() {
+    return `
+body { margin: 0; padding: 24px; background: #f8fafc; color: #1f2937; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; }
+.report { max-width: 1100px; margin: 0 auto; }
+header { background: white; border: 1px solid #e5e7eb; border-radius: 12px; padding: 20px 24px; margin-bottom: 20px; }
+h1 { margin: 0 0 12px 0; font-size: 22px; }
+h2 { margin: 0 0 16px 0; font-size: 18px; }
+h3 { margin: 20px 0 8px 0; font-size: 15px; }
+.meta { color: #6b7280; font-size: 12px; line-height: 1.8; word-break: break-all; }
+section { background: white; border: 1px solid #e5e7eb; border-radius: 12px; padding: 20px 24px; margin-bottom: 20px; }
+.cards { display: grid; grid-template-columns: repeat(6, 1fr); gap: 12px; }
+.card { background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; text-align: center; }
+.card-value { font-size: 20px; font-weight: 700; }
+.card-label { font-size: 11px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px; }
+.lcp-status { margin: 16px 0 0 0; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { color: #6b7280; font-weight: 600; }
+.picture { margin-bottom: 16px; }
+ul { margin: 4px 0 0 0; padding-left: 18px; }
+.library-summary { padding: 12px; border-radius: 8px; margin-bottom: 16px; background: #f9fafb; border: 1px solid #e5e7eb; }
+.library-summary.priority-high { background: #fef2f2; border-color: #fecaca; }
+.library-summary.priority-medium { background: #fef3c7; border-color: #f59e0b; }
+.empty { color: #6b7280; font-style: italic; }
+.image { display: flex; gap: 16px; padding: 12px; margin-bottom: 12px; border: 1px solid #e5e7eb; border-left: 6px solid; border-radius: 8px; page-break-inside: avoid; }
+.thumb { flex: 0 0 120px; display: flex; align-items: center; justify-content: center; background: #f3f4f6; border-radius: 4px; min-height: 90px; }
+.thumb img { max-width: 120px; max-height: 120px; border-radius: 4px; }
+.no-thumb { color: #9ca3af; font-size: 11px; }
+.details { flex: 1; min-width: 0; }
+.image-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px; }
+.strategy { color: white; font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 10px; }
+.score { font-weight: 700; }
+.src { font-family: monospace; font-size: 11px; color: #6b7280; word-break: break-all; margin-bottom: 8px; }
+.facts { display: flex; flex-wrap: wrap; gap: 4px 16px; font-size: 12px; }
+.recommendations { margin-top: 8px; font-size: 12px; color: #dc2626; }
+.rule-id { font-size: 10px; color: #6b7280; }
+.severity { display: inline-block; padding: 0 4px; border-radius: 3px; font-size: 10px; font-weight: 600; text-transform: uppercase; color: #fff; background: #6b7280; }
+.severity-error { background: #dc2626; }
+.severity-warning { background: #d97706; }
+.finding-fix { font-size: 11px; color: #4b5563; }
+.snippet { margin-top: 8px; font-size: 12px; }
+.snippet pre { margin: 4px 0; padding: 8px; background: #f3f4f6; border-radius: 4px; font-size: 11px; white-space: pre-wrap; word-break: break-all; }
+footer { text-align: center; color: #9ca3af; font-size: 11px; padding: 12px; }
+@media (max-width: 700px) { .cards { grid-template-columns: repeat(3, 1fr); } .image { flex-direction: column; } }
+`;
+  }
+
+  // Generate the report and download it from a Blob URL; a data: URL would
+  // triple the size of a report carrying embedded thumbnails
+  async generateComprehensiveHTMLReport(images, performanceData, libraries, pageInfo = {}, thumbnails = {}) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `lazy-spy-report-${timestamp}.html`;
+
+    const htmlContent = this.generateHTMLReport(images, performanceData, libraries, pageInfo, thumbnails);
+    const blob = new Blob([htmlContent], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    try {
+      await chrome.downloads.download({
+        url: url,
+        filename: filename,
+        saveAs: true
+      });
+    } finally {
+      // The download keeps its own reference once started
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    return {
+      filename,
+      imageCount: images.length,
+      thumbnailCount: Object.keys(thumbnails).length
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HTMLReportExporter;
+}
+
+// Make available globally for popup
+if (typeof window !== 'undefined') {
+  window.HTMLReportExporter = HTMLReportExporter;
+}
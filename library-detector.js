@@ -87,6 +87,548 @@ class LibraryDetector {
           'Consider using native lazy loading',
           'Optimize for mobile performance'
         ]
+      },
+      // genericMarkup: the library marks images only with data-src / class="lazy", which many
+      // libraries share, so images are credited to it when it is the one loaded on the page
+      'vanilla-lazyload': {
+        detected: false,
+        usageCount: 0,
+        patterns: ['data-ll-status'],
+        classNames: [],
+        globalObject: 'LazyLoad',
+        genericMarkup: true,
+        recommendations: [
+          'Use use_native: true so supporting browsers lazy load natively',
+          'Raise thresholds (default 300px) if images appear blank while scrolling',
+          'Exclude above-fold images from the "lazy" class and load them with src',
+          'Call lazyLoadInstance.update() after adding images dynamically'
+        ]
+      },
+      'yall': {
+        detected: false,
+        usageCount: 0,
+        patterns: [],
+        classNames: ['lazy-bg', 'lazy-bg-loaded'],
+        globalObject: 'yall',
+        genericMarkup: true,
+        recommendations: [
+          'Use native loading="lazy" for <img> and keep yall.js for lazy backgrounds only',
+          'Set the threshold option so images load before they scroll into view',
+          'Enable observeChanges for images added after the initial call',
+          'Add a <noscript> fallback for each lazy image'
+        ]
+      },
+      'jquery-lazy': {
+        detected: false,
+        usageCount: 0,
+        patterns: ['data-loader'],
+        classNames: [],
+        globalObject: 'jQuery.fn.Lazy',
+        genericMarkup: true,
+        recommendations: [
+          'Replace the plugin with native loading="lazy" to drop the jQuery dependency',
+          'Increase the threshold option (default 500px) if images load late',
+          'Keep visibleOnly disabled so hidden tab content still loads',
+          'Add width and height attributes to prevent CLS'
+        ]
+      },
+      'jquery-lazyload': {
+        detected: false,
+        usageCount: 0,
+        patterns: [],
+        classNames: [],
+        globalObject: 'jQuery.fn.lazyload',
+        genericMarkup: true,
+        recommendations: [
+          'This plugin is unmaintained - migrate to native loading="lazy"',
+          'Move data-original to src so crawlers and preload scanners see the image',
+          'Use the threshold option to start loading before images are visible',
+          'Add width and height attributes to prevent CLS'
+        ]
+      },
+      'blazy': {
+        detected: false,
+        usageCount: 0,
+        patterns: [],
+        classNames: ['b-lazy', 'b-loaded'],
+        globalObject: 'Blazy',
+        genericMarkup: false,
+        recommendations: [
+          'bLazy is no longer maintained - migrate to native loading="lazy"',
+          'Raise the offset option (default 100px) so images load before they are visible',
+          'Call revalidate() after adding images dynamically',
+          'Use data-srcset instead of the breakpoints option for responsive images'
+        ]
+      },
+      'echo': {
+        detected: false,
+        usageCount: 0,
+        patterns: ['data-echo', 'data-echo-background'],
+        classNames: [],
+        globalObject: 'echo',
+        genericMarkup: false,
+        recommendations: [
+          'Echo.js polls scroll position without IntersectionObserver - migrate to native loading="lazy"',
+          'Increase offsetVertical so images start loading before they are visible',
+          'Enable the unload option only if memory is a real problem',
+          'Add width and height attributes to prevent CLS'
+        ]
+      },
+      'unveil': {
+        detected: false,
+        usageCount: 0,
+        patterns: ['data-src-retina'],
+        classNames: [],
+        globalObject: 'jQuery.fn.unveil',
+        genericMarkup: true,
+        recommendations: [
+          'Replace Unveil with native loading="lazy" and srcset instead of data-src-retina',
+          'Pass a threshold to unveil() so images load before they are visible',
+          'Remove the jQuery dependency if Unveil is its only user',
+          'Add width and height attributes to prevent CLS'
+        ]
+      },
+      'lazyload-wp': {
+        detected: false,
+        usageCount: 0,
+        patterns: [],
+        classNames: ['lazy-hidden'],
+        globalObject: null,
+        genericMarkup: false,
+        recommendations: [
+          'WordPress 5.5+ adds loading="lazy" itself - deactivate the Lazy Load plugin',
+          'Exclude the header logo and hero image from lazy loading',
+          'Remove the jQuery Sonar dependency along with the plugin',
+          'Make sure the theme outputs width and height attributes'
+        ]
+      },
+      'wp-rocket': {
+        detected: false,
+        usageCount: 0,
+        patterns: ['data-lazy-src', 'data-lazy-srcset'],
+        classNames: ['rocket-lazyload'],
+        globalObject: 'lazyLoadOptions',
+        genericMarkup: false,
+        recommendations: [
+          'Exclude above-fold images in WP Rocket (Media > LazyLoad > Excluded images) or use its "exclude above the fold" option',
+          'Enable "Add missing image dimensions" to prevent CLS',
+          'Consider turning off WP Rocket LazyLoad for images and relying on native loading="lazy"',
+          'Keep "Replace YouTube iframe with preview image" for embeds'
+        ]
+      }
+    };
+
+    // Framework image components generate the <img> markup, so their fixes go through component
+    // props or framework config instead of HTML attributes. selector matches the <img> itself or the
+    // wrapper the component renders around it. fixes are keyed by rule ID (or the part before "/").
+    const priorityFix = 'Add the priority prop to this next/image';
+    const nuxtPreloadFix = 'Set loading="eager", preload and fetchpriority="high" on this <NuxtImg>';
+    const gatsbyEagerFix = 'Set loading="eager" on this GatsbyImage and pass fetchpriority="high"';
+    const angularPriorityFix = 'Add the priority attribute to this ngSrc image';
+    const astroEagerFix = 'Set loading="eager" and fetchpriority="high" on this Astro <Image>';
+    const ampHeroFix = 'Add data-hero to this amp-img (up to two per page) so AMP renders it server-side';
+    this.frameworks = {
+      'next-image': {
+        displayName: 'Next.js <Image>',
+        detected: false,
+        usageCount: 0,
+        selector: 'img[data-nimg], img[src*="/_next/image"], img[srcset*="/_next/image"]',
+        recommendations: [
+          'Add priority to the LCP image instead of a manual preload',
+          'Pass sizes to every responsive next/image so it does not default to 100vw',
+          "Enable AVIF with images.formats: ['image/avif', 'image/webp'] in next.config.js",
+          'Keep deviceSizes/imageSizes close to the widths the layout actually renders'
+        ],
+        fixes: {
+          'lazy-above-fold': `${priorityFix} (it removes loading="lazy")`,
+          'lcp-not-preloaded': `${priorityFix} so Next.js preloads it`,
+          'lcp-fetchpriority': priorityFix,
+          'above-fold-fetchpriority': priorityFix,
+          'hero-not-preloaded': priorityFix,
+          'preload-opportunity': priorityFix,
+          'eager-below-fold': 'Remove priority and loading="eager" from this next/image',
+          'late-lazy-load': 'Add priority if it sits just below the fold; next/image uses native lazy loading',
+          'missing-dimensions': 'Pass width and height props, or use fill inside a parent with a set size',
+          'missing-srcset': 'Pass a sizes prop matching the rendered width',
+          'srcset': 'Set the sizes prop to the rendered width',
+          'oversized-image': 'Set the sizes prop to the rendered width so a smaller candidate is chosen',
+          'legacy-format': "Set images.formats: ['image/avif', 'image/webp'] in next.config.js"
+        }
+      },
+      'nuxt-image': {
+        displayName: 'Nuxt Image',
+        detected: false,
+        usageCount: 0,
+        selector: 'img[data-nuxt-img], img[data-nuxt-pic], img[src*="/_ipx/"]',
+        recommendations: [
+          'Add preload and loading="eager" to the LCP <NuxtImg>',
+          'Use the sizes prop (e.g. sizes="sm:100vw md:50vw lg:400px") to generate srcset',
+          'Use <NuxtPicture> or format="webp" for modern formats',
+          'Configure a provider or the built-in IPX with sensible screen sizes'
+        ],
+        fixes: {
+          'lazy-above-fold': nuxtPreloadFix,
+          'lcp-not-preloaded': nuxtPreloadFix,
+          'lcp-fetchpriority': nuxtPreloadFix,
+          'above-fold-fetchpriority': 'Pass fetchpriority="high" to this <NuxtImg>',
+          'hero-not-preloaded': nuxtPreloadFix,
+          'preload-opportunity': 'Add the preload prop to this <NuxtImg>',
+          'eager-below-fold': 'Set loading="lazy" on this <NuxtImg>',
+          'missing-dimensions': 'Pass width and height props to this <NuxtImg>',
+          'missing-srcset': 'Pass a sizes prop so <NuxtImg> generates a srcset',
+          'srcset': 'Match the sizes prop of this <NuxtImg> to the rendered width',
+          'oversized-image': 'Pass a sizes prop (or a smaller width) to this <NuxtImg>',
+          'legacy-format': 'Pass format="webp", or use <NuxtPicture> for AVIF and WebP'
+        }
+      },
+      'gatsby-image': {
+        displayName: 'Gatsby Image',
+        detected: false,
+        usageCount: 0,
+        selector: '.gatsby-image-wrapper, img[data-main-image]',
+        recommendations: [
+          'Set loading="eager" on the above-fold GatsbyImage or StaticImage',
+          'Request formats: [AUTO, WEBP, AVIF] in gatsbyImageData',
+          'Use layout="constrained" with the real display width to avoid oversized files',
+          'Keep the blurred or dominant-color placeholder small'
+        ],
+        fixes: {
+          'lazy-above-fold': 'Set loading="eager" on this GatsbyImage/StaticImage',
+          'lcp-not-preloaded': `${gatsbyEagerFix}, and preload it from onRenderBody in gatsby-ssr.js`,
+          'lcp-fetchpriority': gatsbyEagerFix,
+          'above-fold-fetchpriority': gatsbyEagerFix,
+          'hero-not-preloaded': gatsbyEagerFix,
+          'eager-below-fold': 'Remove loading="eager" from this GatsbyImage',
+          'missing-dimensions': 'Query gatsbyImageData with a width or aspectRatio so the wrapper reserves space',
+          'missing-srcset': 'Use layout="constrained" or "fullWidth" in gatsbyImageData',
+          'srcset': 'Pass the rendered width as width (or breakpoints) in gatsbyImageData',
+          'oversized-image': 'Lower the width in gatsbyImageData to the rendered width',
+          'legacy-format': 'Add formats: [AUTO, WEBP, AVIF] to gatsbyImageData'
+        }
+      },
+      'angular-image': {
+        displayName: 'Angular NgOptimizedImage',
+        detected: false,
+        usageCount: 0,
+        selector: 'img[ng-img], img[ngsrc]',
+        recommendations: [
+          'Mark the LCP image with the priority attribute',
+          'Add sizes to responsive images so NgOptimizedImage generates a srcset',
+          'Use an image loader (provideImgixLoader, provideCloudinaryLoader, ...) for resizing and formats',
+          'Add a preconnect for the image CDN origin'
+        ],
+        fixes: {
+          'lazy-above-fold': angularPriorityFix,
+          'lcp-not-preloaded': `${angularPriorityFix}; with server-side rendering Angular also emits a preload link for it`,
+          'lcp-fetchpriority': angularPriorityFix,
+          'above-fold-fetchpriority': angularPriorityFix,
+          'hero-not-preloaded': angularPriorityFix,
+          'preload-opportunity': angularPriorityFix,
+          'eager-below-fold': 'Remove priority and loading="eager" from this ngSrc image',
+          'missing-dimensions': 'Set width and height (or fill) on this ngSrc image',
+          'missing-srcset': 'Add a sizes attribute, or set ngSrcset, on this ngSrc image',
+          'srcset': 'Match the sizes attribute of this ngSrc image to the rendered width',
+          'oversized-image': 'Add a sizes attribute so NgOptimizedImage picks a smaller candidate',
+          'legacy-format': 'Use an image loader that serves WebP/AVIF for this ngSrc image'
+        }
+      },
+      'astro-image': {
+        displayName: 'Astro <Image>',
+        detected: false,
+        usageCount: 0,
+        selector: 'img[data-astro-image], img[src*="/_image?href="], img[src*="/_astro/"]',
+        recommendations: [
+          'Set loading="eager" and fetchpriority="high" on the LCP <Image>',
+          'Pass widths and sizes (or use <Picture>) for responsive images',
+          'Use <Picture formats={["avif", "webp"]}> for modern formats',
+          'Import local images so Astro can infer width and height'
+        ],
+        fixes: {
+          'lazy-above-fold': astroEagerFix,
+          'lcp-not-preloaded': `${astroEagerFix}, and add a preload link in the layout <head>`,
+          'lcp-fetchpriority': astroEagerFix,
+          'above-fold-fetchpriority': astroEagerFix,
+          'hero-not-preloaded': astroEagerFix,
+          'eager-below-fold': 'Leave loading at its default (lazy) on this Astro <Image>',
+          'missing-dimensions': 'Pass width and height, or import the image so Astro infers them',
+          'missing-srcset': 'Pass widths and sizes props (or use <Picture>) to generate a srcset',
+          'srcset': 'Match the sizes prop of this Astro <Image> to the rendered width',
+          'oversized-image': 'Pass a smaller width, or widths and sizes, to this Astro <Image>',
+          'legacy-format': 'Pass format="avif", or use <Picture formats={["avif", "webp"]}>'
+        }
+      },
+      'amp-img': {
+        displayName: 'AMP <amp-img>',
+        detected: false,
+        usageCount: 0,
+        selector: 'amp-img',
+        recommendations: [
+          'Add data-hero to the LCP amp-img (up to two per page)',
+          'Use layout="responsive" with width and height on every amp-img',
+          'Add srcset and sizes for responsive images',
+          'Serve AMP pages through an AMP cache for image optimization'
+        ],
+        fixes: {
+          'lazy-above-fold': ampHeroFix,
+          'lcp-not-preloaded': ampHeroFix,
+          'lcp-fetchpriority': ampHeroFix,
+          'above-fold-fetchpriority': ampHeroFix,
+          'hero-not-preloaded': ampHeroFix,
+          'eager-below-fold': 'AMP schedules amp-img loading itself; remove data-hero from below-fold images',
+          'missing-dimensions': 'Give the amp-img width, height and layout="responsive"',
+          'missing-srcset': 'Add srcset and sizes to the amp-img',
+          'srcset': 'Match the sizes attribute of the amp-img to the rendered width',
+          'oversized-image': 'Add srcset and sizes to the amp-img so a smaller file is chosen',
+          'legacy-format': 'Serve WebP through the amp-img srcset, with a fallback child amp-img'
+        }
+      }
+    };
+
+    // Script URL fragments that identify each library (CDN paths and file names)
+    this.scriptPatterns = {
+      'lazysizes': ['lazysizes', 'lazysizes.min.js'],
+      'lozad': ['lozad', 'lozad.min.js'],
+      'react-lazy-load': ['react-lazy-load', 'react-lazyload'],
+      'vue-lazyload': ['vue-lazyload', 'vue-lazyload.min.js'],
+      'vanilla-lazyload': ['vanilla-lazyload'],
+      'yall': ['yall.min.js', 'yall.js', '/yall@', '/yall-js'],
+      'jquery-lazy': ['jquery.lazy.', 'jquery-lazy'],
+      'jquery-lazyload': ['jquery.lazyload', 'jquery_lazyload'],
+      'blazy': ['blazy'],
+      'echo': ['/echo.min.js', '/echo.js', 'echo-js'],
+      'unveil': ['jquery.unveil', 'unveil.js', 'unveil.min.js'],
+      'lazyload-wp': ['/wp-content/plugins/lazy-load/'],
+      'wp-rocket': ['/wp-rocket/assets/js/lazyload', 'rocket-lazyload']
+    };
+
+    // Current release, and the oldest one not flagged as outdated
+    this.versions = {
+      'lazysizes': { latest: '5.3.2', minimum: '5.0.0' },
+      'lozad': { latest: '1.16.0', minimum: '1.14.0' },
+      'vanilla-lazyload': { latest: '19.1.3', minimum: '17.0.0' },
+      'yall': { latest: '3.2.0', minimum: '3.0.0' },
+      'jquery-lazy': { latest: '1.7.11', minimum: '1.7.0' },
+      'blazy': { latest: '1.8.2', minimum: '1.8.0' }
+    };
+
+    // Globals holding runtime config, most authoritative first (lazySizes.cfg is the live config)
+    this.configGlobals = {
+      'lazysizes': ['lazySizes.cfg', 'lazySizesConfig'],
+      'vanilla-lazyload': ['lazyLoadOptions'],
+      'wp-rocket': ['lazyLoadOptions']
+    };
+
+    // Images should start loading at least this far below the viewport
+    this.minLoadAheadPx = 200;
+
+    // Globals and instances read from the page's main world (see setRuntime); null until then
+    this.runtime = null;
+
+    // CMS and e-commerce platforms add their own lazy loading and image markup. markers detect the
+    // platform on the page; sources attribute an image to core, a plugin or the theme (first match
+    // wins, by selector or by the lazy loading library from this.libraries). Source fixes override
+    // the platform fixes, both keyed by rule ID like the framework fixes.
+    const wpSkipLazyFix = 'Add the skip-lazy class to this image, or exclude it in the plugin settings';
+    const shopifyEagerFix = "Pass loading: 'eager' and fetchpriority: 'high' to image_tag for this image";
+    const magentoViewXmlFix = "Set the width and height for this image ID in the theme's etc/view.xml";
+    this.platforms = {
+      'wordpress': {
+        displayName: 'WordPress',
+        detected: false,
+        usageCount: 0,
+        version: null,
+        generator: 'WordPress',
+        // Core assets enqueued with the WordPress version; bundled ones (jquery.min.js?ver=3.7.1) carry their own
+        versionAssets: 'link[href*="/wp-includes/css/dist/block-library/style"][href*="ver="], script[src*="/wp-includes/js/wp-emoji-release"][src*="ver="], script[src*="/wp-includes/js/wp-embed"][src*="ver="]',
+        markers: 'meta[name="generator"][content^="WordPress"], link[rel="https://api.w.org/"], script[src*="/wp-includes/"], link[href*="/wp-content/"], script[src*="/wp-content/"]',
+        imageSelector: 'img[class*="wp-image-"], img.wp-post-image, img[src*="/wp-content/"], img[data-src*="/wp-content/"], img[data-lazy-src*="/wp-content/"]',
+        sources: [
+          {
+            id: 'wp-rocket',
+            name: 'WP Rocket (plugin)',
+            library: 'wp-rocket',
+            fixes: {
+              'lazy-above-fold': 'Add this image to WP Rocket > Media > LazyLoad > Excluded images, or add data-no-lazy="1"',
+              'late-lazy-load': 'Raise the distance with the rocket_lazyload_threshold filter (default 300px) so images start loading earlier'
+            }
+          },
+          {
+            id: 'lazyload-wp',
+            name: 'Lazy Load plugin',
+            library: 'lazyload-wp',
+            fixes: {
+              'lazy-above-fold': wpSkipLazyFix
+            }
+          },
+          {
+            id: 'jetpack',
+            name: 'Jetpack Lazy Images (plugin)',
+            selector: 'img.jetpack-lazy-image',
+            fixes: {
+              'lazy-above-fold': 'Add the skip-lazy class to this image, or use the jetpack_lazy_images_blocked_classes filter'
+            }
+          },
+          {
+            id: 'litespeed',
+            name: 'LiteSpeed Cache (plugin)',
+            selector: 'img[data-lazyloaded]',
+            fixes: {
+              'lazy-above-fold': 'Add this image to LiteSpeed Cache > Page Optimization > Media Excludes > Lazy Load Image Excludes'
+            }
+          },
+          {
+            id: 'perfmatters',
+            name: 'Perfmatters (plugin)',
+            selector: 'img.perfmatters-lazy',
+            fixes: {
+              'lazy-above-fold': 'Raise "Exclude Leading Images" in Perfmatters > Lazy Loading, or add this image to its exclusions'
+            }
+          },
+          {
+            id: 'featured-image',
+            name: 'WordPress featured image',
+            selector: 'img.wp-post-image',
+            fixes: {
+              'lazy-above-fold': "Pass 'loading' => 'eager' and 'fetchpriority' => 'high' to the_post_thumbnail() for this featured image",
+              'lcp-fetchpriority': "Pass 'fetchpriority' => 'high' to the_post_thumbnail() for this featured image",
+              'eager-below-fold': "Pass 'loading' => 'lazy' to the_post_thumbnail() for this featured image"
+            }
+          },
+          {
+            id: 'core',
+            name: 'WordPress core (content image)',
+            selector: 'img[class*="wp-image-"]',
+            fixes: {
+              'lazy-above-fold': 'WordPress core added loading="lazy" - remove it for this image with the wp_img_tag_add_loading_optimization_attrs filter (wp_img_tag_add_loading_attr before 6.3)',
+              'lcp-fetchpriority': 'Remove loading="lazy" and add fetchpriority="high" with the wp_img_tag_add_loading_optimization_attrs filter'
+            }
+          },
+          {
+            id: 'theme',
+            name: 'WordPress theme',
+            selector: 'img'
+          }
+        ],
+        recommendations: [
+          'Keep one lazy loading method: WordPress core already adds loading="lazy" to content images',
+          'Exclude the hero and first content image from lazy loading plugins',
+          'Register image sizes close to the widths your theme renders so srcset has useful candidates',
+          'Use a plugin or host that serves WebP/AVIF for /wp-content/uploads/'
+        ],
+        fixes: {
+          'missing-dimensions': 'Insert the image through the media library so WordPress outputs width and height',
+          'missing-srcset': 'Use wp_get_attachment_image() so WordPress adds srcset and sizes',
+          'srcset': 'Adjust sizes with the wp_calculate_image_sizes filter to match the rendered width',
+          'oversized-image': 'Use a smaller registered image size (add_image_size) for this slot',
+          'legacy-format': 'Convert uploads to WebP/AVIF with the image_editor_output_format filter or an image plugin',
+          'preload-opportunity': 'Preload this image from wp_head, or let WordPress 6.3+ mark it fetchpriority="high"'
+        }
+      },
+      'shopify': {
+        displayName: 'Shopify',
+        detected: false,
+        usageCount: 0,
+        version: null,
+        markers: 'script[src*="cdn.shopify.com"], link[href*="cdn.shopify.com"], meta[name="shopify-checkout-api-token"], script#shopify-features',
+        imageSelector: 'img[src*="cdn.shopify.com"], img[src*="/cdn/shop/"], img[srcset*="/cdn/shop/"], img[data-src*="/cdn/shop/"]',
+        sources: [
+          {
+            id: 'theme',
+            name: 'Shopify theme (image_url / image_tag)',
+            selector: 'img'
+          }
+        ],
+        recommendations: [
+          "Render images with image_tag so width, height and srcset come from image_url",
+          "Set loading: 'eager' for the first section's images; themes usually switch on section.index",
+          "Use image_tag's preload: true for the hero image",
+          'Request widths close to the rendered size with image_url: width:'
+        ],
+        fixes: {
+          'lazy-above-fold': `${shopifyEagerFix} (themes usually set loading from section.index)`,
+          'lcp-not-preloaded': "Pass preload: true to image_tag so Shopify sends a preload header for this image",
+          'lcp-fetchpriority': shopifyEagerFix,
+          'above-fold-fetchpriority': shopifyEagerFix,
+          'hero-not-preloaded': "Pass preload: true to image_tag for this image",
+          'preload-opportunity': "Pass preload: true to image_tag for this image",
+          'eager-below-fold': "Pass loading: 'lazy' to image_tag for this image",
+          'missing-dimensions': 'Render the image with image_tag, which adds width and height from image_url',
+          'missing-srcset': 'Pass widths: and sizes: to image_tag so it generates a srcset',
+          'srcset': 'Pass a sizes: value to image_tag that matches the rendered width',
+          'oversized-image': 'Request a smaller size with image_url: width:, or pass widths and sizes to image_tag',
+          'legacy-format': "Remove format: 'jpg'/'pjpg' from image_url - Shopify's CDN serves WebP/AVIF on its own"
+        }
+      },
+      'magento': {
+        displayName: 'Magento',
+        detected: false,
+        usageCount: 0,
+        version: null,
+        markers: 'script[type="text/x-magento-init"], [data-mage-init], script[src*="/static/version"]',
+        imageSelector: 'img[src*="/media/catalog/"], img.product-image-photo, img.fotorama__img',
+        sources: [
+          {
+            id: 'gallery',
+            name: 'Magento product gallery (Fotorama)',
+            selector: 'img.fotorama__img',
+            fixes: {
+              'lazy-above-fold': 'Fotorama inserts the main product image with JavaScript - render it in the page template and preload it',
+              'lcp-not-preloaded': 'Preload the main product image from the catalog_product_view layout; Fotorama only adds it after its JavaScript runs'
+            }
+          },
+          {
+            id: 'catalog',
+            name: 'Magento catalog image',
+            selector: 'img.product-image-photo',
+            fixes: {
+              'lazy-above-fold': 'Magento lazy-loads product list images - override Magento_Catalog::product/image_with_borders.phtml to load the first row eagerly'
+            }
+          },
+          {
+            id: 'theme',
+            name: 'Magento theme',
+            selector: 'img'
+          }
+        ],
+        recommendations: [
+          'Load the first row of product images and the main gallery image eagerly',
+          'Match image sizes in etc/view.xml to the rendered sizes',
+          'Serve WebP/AVIF through an image optimization extension or CDN',
+          'Preload the main product image; the Fotorama gallery inserts it late'
+        ],
+        fixes: {
+          'missing-dimensions': magentoViewXmlFix,
+          'oversized-image': magentoViewXmlFix,
+          'srcset': magentoViewXmlFix,
+          'legacy-format': 'Magento serves uploads as-is - add an extension or CDN that converts them to WebP/AVIF'
+        }
+      },
+      'wix': {
+        displayName: 'Wix',
+        detected: false,
+        usageCount: 0,
+        version: null,
+        markers: 'meta[name="generator"][content*="Wix.com"], script[src*="static.parastorage.com"], link[href*="static.parastorage.com"]',
+        imageSelector: 'img[src*="static.wixstatic.com"], wow-image img',
+        sources: [
+          {
+            id: 'editor',
+            name: 'Wix editor image',
+            selector: 'img'
+          }
+        ],
+        recommendations: [
+          'Wix controls loading attributes - keep the hero image in the first section so it loads eagerly',
+          'Upload images close to their display size; Wix resizes them through the wixstatic URL',
+          'Avoid slideshows and entrance animations on the LCP image'
+        ],
+        fixes: {
+          'lazy-above-fold': 'Wix decides loading itself - move this image into the first section, or remove the entrance animation that defers it',
+          'late-lazy-load': 'Wix decides loading itself - move this image higher on the page or lighten it',
+          'oversized-image': 'Crop or upload a smaller image; Wix resizes from the uploaded original',
+          'large-file': 'Upload a smaller or more compressed image; Wix resizes from the uploaded original',
+          'legacy-format': 'Wix converts to WebP on its own - check the image is not a GIF or an animated upload'
+        }
       }
     };
   }
@@ -99,6 +641,9 @@ class LibraryDetector {
     
     // Check for DOM patterns
     this.detectDOMPatterns();
+
+    // Check for library class names
+    this.detectClassNames();
     
     // Check for script tags
     this.detectScriptTags();
@@ -108,20 +653,29 @@ class LibraryDetector {
     
     // Check for native lazy loading
     this.detectNativeLazyLoading();
+
+    // Check for framework image components
+    this.detectFrameworks();
+
+    // Check for CMS and e-commerce platforms
+    this.detectPlatforms();
     
     return this.getDetectionResults();
   }
 
   resetDetection() {
-    Object.values(this.libraries).forEach(lib => {
+    [...Object.values(this.libraries), ...Object.values(this.frameworks), ...Object.values(this.platforms)].forEach(lib => {
       lib.detected = false;
       lib.usageCount = 0;
     });
+    Object.values(this.platforms).forEach(platform => {
+      platform.version = null;
+    });
   }
 
   detectGlobalObjects() {
     Object.entries(this.libraries).forEach(([name, lib]) => {
-      if (lib.globalObject && window[lib.globalObject]) {
+      if (lib.globalObject && this.readGlobal(lib.globalObject)) {
         lib.detected = true;
         lib.usageCount = 1;
         console.log(`Library Detector: Detected ${name} via global object`);
@@ -142,19 +696,156 @@ class LibraryDetector {
     });
   }
 
+  // Resolves dotted paths such as jQuery.fn.Lazy for jQuery plugins
+  getGlobal(path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), window);
+  }
+
+  // Page globals are invisible to the content script; prefer the copy read from the main world
+  readGlobal(path) {
+    if (this.runtime && this.runtime.globals && path in this.runtime.globals) {
+      return this.runtime.globals[path];
+    }
+    return this.getGlobal(path);
+  }
+
+  // Globals the main-world probe should copy: each library's global (for its version) and config
+  getRuntimePaths() {
+    const paths = Object.values(this.libraries).map(lib => lib.globalObject);
+    Object.values(this.configGlobals).forEach(configPaths => paths.push(...configPaths));
+    return [...new Set(paths.filter(Boolean))];
+  }
+
+  // runtime: { globals: { path: copy }, instances: { lozad: [...], 'vanilla-lazyload': [...] } }
+  setRuntime(runtime) {
+    this.runtime = runtime || null;
+  }
+
+  // Version from the library's global (version / VERSION) or a versioned script URL, e.g. lazysizes@5.3.2
+  getLibraryVersion(name) {
+    const lib = this.libraries[name];
+    if (!lib) return null;
+
+    const global = lib.globalObject ? this.readGlobal(lib.globalObject) : null;
+    const globalVersion = global && (global.version || global.VERSION);
+    if (typeof globalVersion === 'string' && /^\d+(\.\d+)+/.test(globalVersion)) return globalVersion;
+
+    const patterns = this.scriptPatterns[name] || [];
+    for (const src of this.getScriptSources()) {
+      if (!patterns.some(pattern => src.includes(pattern))) continue;
+      const match = src.match(/[@\/-]v?(\d+\.\d+\.\d+)(?=[/.-]|$)/);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  getVersionIssue(name, version) {
+    const known = this.versions[name];
+    if (!known || !version || this.compareVersions(version, known.minimum) >= 0) return null;
+    return `${name} ${version} is outdated - update to ${known.latest}`;
+  }
+
+  // Runtime settings that decide how early images load, or null when they cannot be read
+  getLibraryConfig(name) {
+    // WP Rocket's bundled vanilla-lazyload reads the same lazyLoadOptions; report it once, as WP Rocket
+    if (name === 'vanilla-lazyload' && this.hasWPRocketScript()) return null;
+
+    const instances = (this.runtime && this.runtime.instances && this.runtime.instances[name]) || [];
+    const source = instances[0] || (this.configGlobals[name] || [])
+      .map(path => this.readGlobal(path))
+      .map(value => (Array.isArray(value) ? value[0] : value))
+      .find(value => value && typeof value === 'object');
+    if (!source) return null;
+
+    const keys = {
+      'lazysizes': ['expand', 'expFactor', 'loadMode'],
+      'lozad': ['rootMargin', 'threshold'],
+      'vanilla-lazyload': ['threshold', 'thresholds', 'use_native'],
+      'wp-rocket': ['threshold', 'thresholds', 'use_native']
+    }[name] || [];
+    const config = {};
+    keys.forEach(key => {
+      if (source[key] !== undefined && source[key] !== null && source[key] !== '') config[key] = source[key];
+    });
+    return Object.keys(config).length > 0 ? config : null;
+  }
+
+  // Settings that make images start loading late, phrased for the library's own option names
+  getConfigIssues(name, config) {
+    if (!config) return [];
+    const issues = [];
+    const min = this.minLoadAheadPx;
+
+    if (name === 'lazysizes') {
+      if (typeof config.loadMode === 'number' && config.loadMode < 2) {
+        issues.push(`lazySizesConfig.loadMode is ${config.loadMode} - lazysizes waits until images are in the viewport (default 2)`);
+      }
+      if (typeof config.expand === 'number' && config.expand < min) {
+        issues.push(`lazySizesConfig.expand is ${config.expand}px - images start loading only ${config.expand}px before the viewport (default 370-500px)`);
+      }
+    } else if (name === 'lozad') {
+      const margin = this.getBottomMarginPx(config.rootMargin);
+      if (margin !== null && margin < min) {
+        issues.push(`lozad rootMargin is "${config.rootMargin}" - images start loading only ${margin}px before the viewport; pass rootMargin: "${min * 2}px 0px"`);
+      }
+      const threshold = Array.isArray(config.threshold) ? Math.min(...config.threshold) : config.threshold;
+      if (typeof threshold === 'number' && threshold > 0) {
+        issues.push(`lozad threshold is ${threshold} - images wait until ${Math.round(threshold * 100)}% is visible; use 0`);
+      }
+    } else if ((name === 'vanilla-lazyload' || name === 'wp-rocket') && !config.use_native) {
+      // WP Rocket bundles vanilla-lazyload; use_native hands loading to the browser instead
+      const margin = config.thresholds ? this.getBottomMarginPx(config.thresholds) : config.threshold;
+      if (typeof margin === 'number' && margin < min) {
+        const option = config.thresholds ? `thresholds is "${config.thresholds}"` : `threshold is ${config.threshold}px`;
+        issues.push(`${name} ${option} - images start loading only ${margin}px before the viewport (default 300px)`);
+      }
+    }
+
+    return issues;
+  }
+
+  // Bottom edge of a CSS margin shorthand (rootMargin), in px; percentages are of the viewport height
+  getBottomMarginPx(margin) {
+    if (typeof margin !== 'string') return null;
+    const parts = margin.trim().split(/\s+/);
+    const bottom = parts.length >= 3 ? parts[2] : parts[0];
+    const value = parseFloat(bottom);
+    if (isNaN(value)) return null;
+    if (bottom.endsWith('%')) {
+      return typeof window !== 'undefined' ? Math.round(value * window.innerHeight / 100) : null;
+    }
+    return value;
+  }
+
+  detectClassNames() {
+    Object.entries(this.libraries).forEach(([name, lib]) => {
+      (lib.classNames || []).forEach(className => {
+        const elements = document.getElementsByClassName(className);
+        if (elements.length > 0) {
+          lib.detected = true;
+          lib.usageCount += elements.length;
+          console.log(`Library Detector: Detected ${name} via class ${className}`);
+        }
+      });
+    });
+  }
+
+  // The one library on the page that marks images only with shared data-src / class="lazy" markup,
+  // or null when there is none or several
+  getGenericMarkupLibrary() {
+    const candidates = Object.entries(this.libraries)
+      .filter(([, lib]) => lib.detected && lib.genericMarkup)
+      .map(([name]) => name);
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
   detectScriptTags() {
-    const scripts = document.querySelectorAll('script[src]');
-    const scriptSources = Array.from(scripts).map(script => script.src.toLowerCase());
+    const scriptSources = this.getScriptSources();
     
     // Check for common lazy loading library CDNs
-    const cdnPatterns = {
-      'lazysizes': ['lazysizes', 'lazysizes.min.js'],
-      'lozad': ['lozad', 'lozad.min.js'],
-      'react-lazy-load': ['react-lazy-load', 'react-lazyload'],
-      'vue-lazyload': ['vue-lazyload', 'vue-lazyload.min.js']
-    };
-    
-    Object.entries(cdnPatterns).forEach(([name, patterns]) => {
+    Object.entries(this.scriptPatterns).forEach(([name, patterns]) => {
+      // vanilla-lazyload ships inside WP Rocket; credit the plugin rather than the bundled copy
+      if (name === 'vanilla-lazyload' && this.hasWPRocketScript(scriptSources)) return;
       if (scriptSources.some(src => patterns.some(pattern => src.includes(pattern)))) {
         this.libraries[name].detected = true;
         this.libraries[name].usageCount = 1;
@@ -163,6 +854,15 @@ class LibraryDetector {
     });
   }
 
+  getScriptSources() {
+    return Array.from(document.querySelectorAll('script[src]')).map(script => script.src.toLowerCase());
+  }
+
+  hasWPRocketScript(scriptSources = this.getScriptSources()) {
+    return scriptSources.some(src => src.includes('/wp-rocket/') ||
+      this.scriptPatterns['wp-rocket'].some(pattern => src.includes(pattern)));
+  }
+
   detectIntersectionObserver() {
     // Check if Intersection Observer is being used
     if ('IntersectionObserver' in window) {
@@ -206,19 +906,154 @@ class LibraryDetector {
     }
   }
 
+  detectFrameworks() {
+    Object.entries(this.frameworks).forEach(([name, framework]) => {
+      const elements = document.querySelectorAll(framework.selector);
+      if (elements.length > 0) {
+        framework.detected = true;
+        framework.usageCount = elements.length;
+        console.log(`Library Detector: Detected ${name} (${elements.length} elements)`);
+      }
+    });
+  }
+
+  // The framework component that rendered an image, or null for plain markup
+  identifyImageComponent(img) {
+    if (!img || typeof img.closest !== 'function') return null;
+    const match = Object.entries(this.frameworks).find(([, framework]) => img.closest(framework.selector));
+    return match ? match[0] : null;
+  }
+
+  getComponentDisplayName(component) {
+    const framework = this.frameworks[component];
+    return framework ? framework.displayName : component;
+  }
+
+  // Component-specific fix for a finding, e.g. "Add the priority prop to this next/image"
+  getComponentFix(component, ruleId) {
+    const framework = this.frameworks[component];
+    if (!framework || !ruleId) return null;
+    return framework.fixes[ruleId] || framework.fixes[ruleId.split('/')[0]] || null;
+  }
+
+  detectPlatforms() {
+    Object.entries(this.platforms).forEach(([name, platform]) => {
+      if (!document.querySelector(platform.markers)) return;
+      platform.detected = true;
+      platform.usageCount = document.querySelectorAll(platform.imageSelector).length;
+      platform.version = this.detectPlatformVersion(platform);
+      console.log(`Library Detector: Detected ${name} platform (${platform.usageCount} images)`);
+    });
+  }
+
+  // Version from <meta name="generator"> or the ?ver= on core-versioned assets; often hidden by security plugins
+  detectPlatformVersion(platform) {
+    if (!platform.generator) return null;
+    const generator = document.querySelector(`meta[name="generator"][content^="${platform.generator}"]`);
+    const match = generator && generator.content.match(/(\d+(?:\.\d+)+)/);
+    if (match) return match[1];
+
+    const asset = platform.versionAssets ? document.querySelector(platform.versionAssets) : null;
+    const ver = asset && (asset.src || asset.href).match(/[?&]ver=(\d+(?:\.\d+)+)/);
+    return ver ? ver[1] : null;
+  }
+
+  // Compare dotted version strings: negative if a < b, 0 if equal, positive if a > b
+  compareVersions(a, b) {
+    const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  getPlatformRecommendations(name) {
+    const platform = this.platforms[name];
+    if (!platform) return [];
+    if (name === 'wordpress' && platform.version && this.compareVersions(platform.version, '5.9') < 0) {
+      return [
+        `WordPress ${platform.version} lazy-loads the first content image too - update to 5.9 or later`,
+        ...platform.recommendations
+      ];
+    }
+    return platform.recommendations;
+  }
+
+  // Where a platform image came from, e.g. { platform: 'wordpress', source: 'core' }, or null
+  identifyImageSource(img, library = null) {
+    if (!img || typeof img.matches !== 'function') return null;
+    for (const [name, platform] of Object.entries(this.platforms)) {
+      if (!platform.detected || !img.matches(platform.imageSelector)) continue;
+      const source = platform.sources.find(candidate =>
+        candidate.library ? candidate.library === library : img.matches(candidate.selector));
+      return { platform: name, source: source ? source.id : null };
+    }
+    return null;
+  }
+
+  getPlatformSourceName(attribution) {
+    if (!attribution) return null;
+    const platform = this.platforms[attribution.platform];
+    if (!platform) return attribution.platform;
+    const source = platform.sources.find(candidate => candidate.id === attribution.source);
+    return source ? source.name : platform.displayName;
+  }
+
+  // Platform-specific fix for a finding; the image's source (core, plugin, theme) takes precedence
+  getPlatformFix(attribution, ruleId) {
+    const platform = attribution && this.platforms[attribution.platform];
+    if (!platform || !ruleId) return null;
+    const baseId = ruleId.split('/')[0];
+    const source = platform.sources.find(candidate => candidate.id === attribution.source);
+    const sourceFixes = (source && source.fixes) || {};
+    return sourceFixes[ruleId] || sourceFixes[baseId] ||
+      platform.fixes[ruleId] || platform.fixes[baseId] || null;
+  }
+
   getDetectionResults() {
     const detected = Object.entries(this.libraries)
       .filter(([name, lib]) => lib.detected)
-      .map(([name, lib]) => ({
+      .map(([name, lib]) => {
+        const version = this.getLibraryVersion(name);
+        const config = this.getLibraryConfig(name);
+        return {
+          name,
+          detected: lib.detected,
+          usageCount: lib.usageCount,
+          version,
+          latestVersion: this.versions[name] ? this.versions[name].latest : null,
+          config,
+          issues: [this.getVersionIssue(name, version), ...this.getConfigIssues(name, config)].filter(Boolean),
+          recommendations: lib.recommendations
+        };
+      });
+    
+    const frameworks = Object.entries(this.frameworks)
+      .filter(([name, framework]) => framework.detected)
+      .map(([name, framework]) => ({
+        name,
+        displayName: framework.displayName,
+        usageCount: framework.usageCount,
+        recommendations: framework.recommendations
+      }));
+    
+    const platforms = Object.entries(this.platforms)
+      .filter(([name, platform]) => platform.detected)
+      .map(([name, platform]) => ({
         name,
-        detected: lib.detected,
-        usageCount: lib.usageCount,
-        recommendations: lib.recommendations
+        displayName: platform.displayName,
+        version: platform.version,
+        usageCount: platform.usageCount,
+        recommendations: this.getPlatformRecommendations(name)
       }));
     
     return {
       detected,
       totalLibraries: detected.length,
+      frameworks,
+      platforms,
       summary: this.generateSummary(detected)
     };
   }
@@ -296,6 +1131,150 @@ class LibraryDetector {
           'Improved performance'
         ]
       },
+      'vanilla-lazyload': {
+        title: 'Migrating from vanilla-lazyload to Native Lazy Loading',
+        steps: [
+          'As a first step, set use_native: true so supporting browsers take over',
+          'Replace data-src, data-srcset and data-sizes with src, srcset and sizes',
+          'Add loading="lazy" to below-fold images and remove the "lazy" class',
+          'Remove the LazyLoad instance and the vanilla-lazyload script',
+          'Move data-bg backgrounds to <img> elements or load them with CSS'
+        ],
+        benefits: [
+          'Images are discovered by the preload scanner',
+          'No JavaScript needed before images can load',
+          'Browser-tuned loading distance based on connection speed',
+          'Smaller bundle size'
+        ]
+      },
+      'yall': {
+        title: 'Migrating from yall.js to Native Lazy Loading',
+        steps: [
+          'Replace data-src and data-srcset with src and srcset on <img> and <source>',
+          'Add loading="lazy" to below-fold images and remove the "lazy" class',
+          'Keep yall.js only for lazy-bg backgrounds, or move them to <img> elements',
+          'Remove the yall() call and its script once no lazy-bg elements remain',
+          'Drop the <noscript> fallbacks, which native lazy loading no longer needs'
+        ],
+        benefits: [
+          'No JavaScript needed before images can load',
+          'Simpler markup without <noscript> duplicates',
+          'Images are discovered by the preload scanner',
+          'Smaller bundle size'
+        ]
+      },
+      'jquery-lazy': {
+        title: 'Migrating from jQuery Lazy to Native Lazy Loading',
+        steps: [
+          'Replace data-src and data-srcset with src and srcset',
+          'Add loading="lazy" to below-fold images',
+          'Handle data-loader custom loaders (AJAX, iframes) separately, e.g. loading="lazy" on iframes',
+          'Remove the $(...).Lazy() call and the plugin script',
+          'Remove jQuery if nothing else depends on it'
+        ],
+        benefits: [
+          'No jQuery needed for image loading',
+          'Images are discovered by the preload scanner',
+          'Browser-tuned loading distance',
+          'Reduced JavaScript overhead'
+        ]
+      },
+      'jquery-lazyload': {
+        title: 'Migrating from jQuery Lazy Load to Native Lazy Loading',
+        steps: [
+          'Move data-original (or data-src) to src',
+          'Add loading="lazy" to below-fold images',
+          'Remove the placeholder src images the plugin required',
+          'Remove the $(...).lazyload() call and the plugin script',
+          'Remove jQuery if nothing else depends on it'
+        ],
+        benefits: [
+          'Replaces an unmaintained plugin',
+          'Real image URLs visible to crawlers and the preload scanner',
+          'No placeholder image requests',
+          'Reduced JavaScript overhead'
+        ]
+      },
+      'blazy': {
+        title: 'Migrating from bLazy to Native Lazy Loading',
+        steps: [
+          'Replace data-src with src, and breakpoint data-src-* attributes with srcset and sizes',
+          'Add loading="lazy" to below-fold images and remove the "b-lazy" class',
+          'Move the .b-loaded fade-in styles to an onload handler or drop them',
+          'Remove the new Blazy() call and the bLazy script',
+          'Test background images that used data-src on non-img elements'
+        ],
+        benefits: [
+          'Replaces an unmaintained library',
+          'Responsive images with standard srcset',
+          'Images are discovered by the preload scanner',
+          'Smaller bundle size'
+        ]
+      },
+      'echo': {
+        title: 'Migrating from Echo.js to Native Lazy Loading',
+        steps: [
+          'Replace data-echo with src and remove the placeholder src',
+          'Add loading="lazy" to below-fold images',
+          'Move data-echo-background to <img> elements or plain CSS backgrounds',
+          'Remove the echo.init() call and the Echo.js script',
+          'Check scroll performance, which no longer runs a scroll handler'
+        ],
+        benefits: [
+          'No scroll-event polling on the main thread',
+          'Images are discovered by the preload scanner',
+          'No placeholder image requests',
+          'Smaller bundle size'
+        ]
+      },
+      'unveil': {
+        title: 'Migrating from Unveil to Native Lazy Loading',
+        steps: [
+          'Replace data-src with src',
+          'Replace data-src-retina with a srcset containing a 2x candidate',
+          'Add loading="lazy" to below-fold images',
+          'Remove the $(...).unveil() call and the plugin script',
+          'Remove jQuery if nothing else depends on it'
+        ],
+        benefits: [
+          'Standard srcset instead of a retina-only attribute',
+          'No jQuery needed for image loading',
+          'Images are discovered by the preload scanner',
+          'Reduced JavaScript overhead'
+        ]
+      },
+      'lazyload-wp': {
+        title: 'Migrating from the WordPress Lazy Load Plugin to Native Lazy Loading',
+        steps: [
+          'Confirm WordPress is 5.5 or later, which adds loading="lazy" to content images',
+          'Deactivate the Lazy Load plugin',
+          'Clear page and CDN caches so data-lazy-src markup is gone',
+          'Use the wp_img_tag_add_loading_attr filter to keep the hero image eager',
+          'Check that the theme outputs width and height attributes'
+        ],
+        benefits: [
+          'One less plugin to maintain',
+          'No jQuery Sonar script',
+          'Images are discovered by the preload scanner',
+          'Core WordPress keeps the first content image eager'
+        ]
+      },
+      'wp-rocket': {
+        title: 'Migrating from WP Rocket LazyLoad to Native Lazy Loading',
+        steps: [
+          'Turn off "Enable for images" under WP Rocket > Media > LazyLoad',
+          'Keep WordPress core loading="lazy" (5.5+) for content images',
+          'Enable "Add missing image dimensions" to prevent CLS',
+          'Clear the WP Rocket cache so data-lazy-src markup is gone',
+          'Verify the hero image is eager and has fetchpriority="high"'
+        ],
+        benefits: [
+          'No lazyload script injected into every page',
+          'Images are discovered by the preload scanner',
+          'Fewer <noscript> duplicates in the HTML',
+          'Core WordPress keeps the first content image eager'
+        ]
+      },
       'custom': {
         title: 'Migrating Custom Lazy Loading to Native',
         steps: [
@@ -0,0 +1,124 @@
+// Lazy Spy Options Page
+class OptionsController {
+  constructor() {
+    this.settings = new LazySpySettings();
+
+    this.thresholdFields = [
+      { name: 'compressionMinKB', label: 'Compression candidate', unit: 'KB', help: 'Images larger than this are flagged for compression' },
+      { name: 'largeFileKB', label: 'Large file', unit: 'KB', help: 'Images larger than this get a "large file" recommendation' },
+      { name: 'oversizedWastePercent', label: 'Oversized image', unit: '% wasted', help: 'Flag images when at least this share of their pixels is never displayed' },
+      { name: 'heroMinWidth', label: 'Hero image width', unit: 'px', help: 'Minimum intrinsic width of a hero / preload candidate' },
+      { name: 'heroMinHeight', label: 'Hero image height', unit: 'px', help: 'Minimum intrinsic height of a hero / preload candidate' },
+      { name: 'carouselLazyLoadCount', label: 'Carousel lazy-load limit', unit: 'images', help: 'Carousels with more images should lazy load the hidden slides' },
+      { name: 'carouselOptimizeCount', label: 'Carousel optimize limit', unit: 'images', help: 'Carousels with more images get an optimization recommendation' },
+      { name: 'lateLoadMs', label: 'Late lazy image', unit: 'ms', help: 'Flag lazy images still blank this long after the scroll-through brings them into view' },
+      { name: 'compactOverlayWidth', label: 'Compact overlay width', unit: 'px', help: 'Images narrower than this show compact badges' },
+      { name: 'compactOverlayHeight', label: 'Compact overlay height', unit: 'px', help: 'Images shorter than this show compact badges' }
+    ];
+
+    this.checkFields = [
+      { name: 'missingDimensions', label: 'Missing width/height attributes' },
+      { name: 'lazyAboveFold', label: 'Lazy loading above the fold' },
+      { name: 'eagerBelowFold', label: 'Eager loading below the fold' },
+      { name: 'lateLazyLoad', label: 'Lazy images arriving after they scroll into view' },
+      { name: 'lcpPreload', label: 'LCP image not preloaded' },
+      { name: 'fetchPriority', label: 'Missing fetchpriority="high"' },
+      { name: 'asyncDecoding', label: 'Missing decoding="async"' },
+      { name: 'formatOptimization', label: 'Legacy formats (JPEG/PNG)' },
+      { name: 'responsiveImages', label: 'Srcset and sizes' },
+      { name: 'fileSize', label: 'Large and oversized files' },
+      { name: 'pictureElement', label: '<picture> sources' },
+      { name: 'heroPreload', label: 'Hero image preload' },
+      { name: 'carousel', label: 'Carousel images' },
+      { name: 'backgroundImage', label: 'CSS background images' },
+      { name: 'cdn', label: 'CDN detection notes' },
+      { name: 'serviceWorker', label: 'Service worker caching notes' }
+    ];
+
+    this.init();
+  }
+
+  async init() {
+    const values = await this.settings.load();
+    this.render(values);
+
+    document.getElementById('settingsForm').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    document.getElementById('resetBtn').addEventListener('click', () => this.reset());
+  }
+
+  render(values) {
+    document.getElementById('thresholdFields').innerHTML = this.thresholdFields.map(field => `
+      <label class="threshold-field">
+        <span class="field-label">${LazySpyUI.escapeHTML(field.label)}</span>
+        <span class="field-input">
+          <input type="number" min="0" step="1" name="${field.name}" value="${values.thresholds[field.name]}">
+          <span class="field-unit">${LazySpyUI.escapeHTML(field.unit)}</span>
+        </span>
+        <span class="field-help">${LazySpyUI.escapeHTML(field.help)} (default ${this.settings.defaults.thresholds[field.name]})</span>
+      </label>
+    `).join('');
+
+    document.getElementById('checkFields').innerHTML = this.checkFields.map(field => `
+      <label class="check-field">
+        <input type="checkbox" name="${field.name}" ${values.checks[field.name] ? 'checked' : ''}>
+        ${LazySpyUI.escapeHTML(field.label)}
+      </label>
+    `).join('');
+  }
+
+  readForm() {
+    const form = document.getElementById('settingsForm');
+    const thresholds = {};
+    this.thresholdFields.forEach(field => {
+      thresholds[field.name] = form.elements[field.name].value;
+    });
+
+    const checks = {};
+    this.checkFields.forEach(field => {
+      checks[field.name] = form.elements[field.name].checked;
+    });
+
+    return { thresholds, checks };
+  }
+
+  async save() {
+    try {
+      // Invalid entries fall back to defaults; re-render so the form shows what was stored
+      const values = await this.settings.save(this.readForm());
+      this.render(values);
+      this.showStatus('Settings saved');
+    } catch (error) {
+      console.error('Options: Failed to save settings:', error);
+      this.showStatus(`Failed to save: ${error.message}`, true);
+    }
+  }
+
+  async reset() {
+    try {
+      const values = await this.settings.reset();
+      this.render(values);
+      this.showStatus('Defaults restored');
+    } catch (error) {
+      console.error('Options: Failed to reset settings:', error);
+      this.showStatus(`Failed to reset: ${error.message}`, true);
+    }
+  }
+
+  showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, 3000);
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -0,0 +1,254 @@
+// Picture Analyzer for Lazy Spy
+// Treats <picture> as a unit: which <source> the browser should pick, which it picked, and what is missing
+
+class PictureAnalyzer {
+  constructor(srcsetAuditor) {
+    this.srcsetAuditor = srcsetAuditor;
+
+    // Image types Chromium can decode; other types are skipped during source selection
+    this.supportedTypes = [
+      'image/avif', 'image/webp', 'image/apng', 'image/png', 'image/jpeg', 'image/jpg',
+      'image/gif', 'image/svg+xml', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon'
+    ];
+
+    this.typeFormats = {
+      'image/avif': 'AVIF',
+      'image/webp': 'WebP',
+      'image/jxl': 'JPEG XL',
+      'image/png': 'PNG',
+      'image/apng': 'PNG',
+      'image/jpeg': 'JPEG',
+      'image/jpg': 'JPEG',
+      'image/gif': 'GIF',
+      'image/svg+xml': 'SVG'
+    };
+
+    // Common screens used to decide whether a media query can ever win
+    this.sampleViewports = this.buildSampleViewports();
+  }
+
+  buildSampleViewports() {
+    const widths = [320, 360, 375, 390, 412, 480, 600, 768, 820, 1024, 1280, 1366, 1440, 1536, 1920, 2560, 3840];
+    const viewports = [];
+    widths.forEach(width => {
+      [1, 2, 3].forEach(devicePixelRatio => {
+        // Phones in portrait, everything else in landscape, plus the rotated variant
+        const height = width < 768 ? Math.round(width * 1.8) : Math.round(width * 0.5625);
+        viewports.push({ width, height, devicePixelRatio });
+        viewports.push({ width: height, height: width, devicePixelRatio });
+      });
+    });
+    return viewports;
+  }
+
+  analyze(img) {
+    const picture = this.getPictureElement(img);
+    if (!picture || !this.srcsetAuditor) return { isPicture: false };
+
+    const viewport = this.srcsetAuditor.getViewport();
+    const sources = Array.from(picture.children)
+      .filter(child => child.tagName === 'SOURCE')
+      .map((source, index) => this.describeSource(source, index, viewport));
+
+    const issues = [];
+    this.checkModernFormats(img, sources, issues);
+    this.checkSourceOrder(sources, issues);
+    this.checkMediaQueries(sources, issues);
+    this.checkMisplacedAttributes(picture, img, sources, issues);
+
+    sources.filter(source => source.candidates.length === 0).forEach(source => {
+      issues.push({
+        type: 'source-missing-srcset',
+        message: `<source> #${source.index + 1} has no srcset${source.hasSrcAttribute ? ' (src is ignored on <source>)' : ''} - it can never be chosen`
+      });
+    });
+
+    const expected = sources.find(source => source.isSelectable) || null;
+    const chosen = this.findChosenSource(img, sources);
+
+    if (chosen !== null && chosen !== (expected ? expected.index : 'img')) {
+      issues.push({
+        type: 'unexpected-source',
+        message: `Browser used ${this.describeSourceLabel(chosen, sources)} but ${this.describeSourceLabel(expected ? expected.index : 'img', sources)} matches this viewport`
+      });
+    }
+
+    return {
+      isPicture: true,
+      sources,
+      expectedSource: expected ? expected.index : 'img',
+      chosenSource: chosen,
+      chosenUrl: img.currentSrc || null,
+      fallback: {
+        src: img.getAttribute('src'),
+        srcset: img.getAttribute('srcset'),
+        loading: img.getAttribute('loading')
+      },
+      issues
+    };
+  }
+
+  // Images re-analyzed after the overlay is applied sit inside the overlay wrapper
+  getPictureElement(img) {
+    let parent = img.parentElement;
+    if (parent && parent.classList && parent.classList.contains('img-optimizer-overlay')) {
+      parent = parent.parentElement;
+    }
+    return parent && parent.tagName === 'PICTURE' ? parent : null;
+  }
+
+  describeSource(source, index, viewport) {
+    const srcset = source.getAttribute('srcset') || source.getAttribute('data-srcset') || '';
+    const type = source.getAttribute('type');
+    const media = source.getAttribute('media');
+    const candidates = this.srcsetAuditor.parseSrcset(srcset).filter(candidate => !candidate.invalid);
+    const typeSupported = !type || this.supportedTypes.includes(type.trim().toLowerCase());
+    const mediaMatches = !media || this.srcsetAuditor.matchesMediaCondition(media, viewport);
+
+    return {
+      index,
+      type: type || null,
+      media: media || null,
+      sizes: source.getAttribute('sizes') || source.getAttribute('data-sizes') || null,
+      srcset,
+      usesDataSrcset: !source.getAttribute('srcset') && !!source.getAttribute('data-srcset'),
+      hasSrcAttribute: source.hasAttribute('src'),
+      loading: source.getAttribute('loading'),
+      format: this.getSourceFormat(type, candidates),
+      candidates: candidates.map(candidate => ({ url: candidate.url, width: candidate.width, density: candidate.density })),
+      typeSupported,
+      mediaMatches,
+      // The browser takes the first source with a supported type, matching media and a srcset
+      isSelectable: typeSupported && mediaMatches && candidates.length > 0
+    };
+  }
+
+  getSourceFormat(type, candidates) {
+    if (type) {
+      return this.typeFormats[type.trim().toLowerCase()] || type;
+    }
+
+    // Untyped sources (art direction) are usually the same format as their URLs suggest
+    const url = candidates[0] ? candidates[0].url.toLowerCase().split('?')[0] : '';
+    if (url.endsWith('.avif')) return 'AVIF';
+    if (url.endsWith('.webp')) return 'WebP';
+    if (url.endsWith('.png')) return 'PNG';
+    if (url.endsWith('.jpg') || url.endsWith('.jpeg')) return 'JPEG';
+    return 'unknown';
+  }
+
+  checkModernFormats(img, sources, issues) {
+    const formats = sources.map(source => source.format);
+    const hasAVIF = formats.includes('AVIF');
+    const hasWebP = formats.includes('WebP');
+    const fallbackFormat = this.getSourceFormat(null, [{ url: img.getAttribute('src') || '' }]);
+
+    // A picture that only serves SVG/GIF or already-modern fallbacks doesn't need more sources
+    if (fallbackFormat === 'SVG' || fallbackFormat === 'GIF') return;
+
+    if (!hasAVIF && !hasWebP) {
+      issues.push({
+        type: 'missing-modern-format',
+        message: '<picture> has no AVIF or WebP <source> - add type="image/avif" and type="image/webp" sources'
+      });
+    } else if (!hasAVIF) {
+      issues.push({
+        type: 'missing-avif',
+        message: '<picture> has no AVIF <source> - add one before the WebP source for ~20% smaller files'
+      });
+    }
+  }
+
+  checkSourceOrder(sources, issues) {
+    const avifIndex = sources.findIndex(source => source.format === 'AVIF' && !source.media);
+    const webpIndex = sources.findIndex(source => source.format === 'WebP' && !source.media);
+
+    if (avifIndex > -1 && webpIndex > -1 && webpIndex < avifIndex) {
+      issues.push({
+        type: 'source-order',
+        message: 'WebP <source> comes before AVIF, so browsers that support both never use AVIF'
+      });
+    }
+  }
+
+  checkMediaQueries(sources, issues) {
+    sources.forEach(source => {
+      if (!source.media || !source.typeSupported || source.candidates.length === 0) return;
+
+      let everMatches = false;
+      let everWins = false;
+      this.sampleViewports.forEach(viewport => {
+        if (!this.srcsetAuditor.evaluateMediaCondition(source.media, viewport)) return;
+        everMatches = true;
+
+        const shadowed = sources.slice(0, source.index).some(earlier =>
+          earlier.typeSupported &&
+          earlier.candidates.length > 0 &&
+          (!earlier.media || this.srcsetAuditor.evaluateMediaCondition(earlier.media, viewport))
+        );
+        if (!shadowed) everWins = true;
+      });
+
+      if (!everMatches) {
+        issues.push({
+          type: 'media-never-matches',
+          message: `<source> #${source.index + 1} media="${source.media}" never matches a common screen size`
+        });
+      } else if (!everWins) {
+        issues.push({
+          type: 'source-shadowed',
+          message: `<source> #${source.index + 1} media="${source.media}" is never used - an earlier <source> always matches first`
+        });
+      }
+    });
+  }
+
+  checkMisplacedAttributes(picture, img, sources, issues) {
+    sources.filter(source => source.loading).forEach(source => {
+      issues.push({
+        type: 'loading-on-source',
+        message: `loading="${source.loading}" on <source> #${source.index + 1} is ignored - set it on the <img>`
+      });
+    });
+
+    const pictureLoading = picture.getAttribute('loading');
+    if (pictureLoading) {
+      issues.push({
+        type: 'loading-on-picture',
+        message: `loading="${pictureLoading}" on <picture> is ignored - set it on the <img>`
+      });
+    }
+
+    const pictureFetchPriority = picture.getAttribute('fetchpriority');
+    if (pictureFetchPriority) {
+      issues.push({
+        type: 'fetchpriority-on-picture',
+        message: `fetchpriority="${pictureFetchPriority}" on <picture> is ignored - set it on the <img>`
+      });
+    }
+  }
+
+  findChosenSource(img, sources) {
+    if (!img.currentSrc) return null;
+
+    const matches = candidate => this.srcsetAuditor.resolveUrl(candidate.url) === img.currentSrc;
+    const source = sources.find(entry => entry.candidates.some(matches));
+    return source ? source.index : 'img';
+  }
+
+  describeSourceLabel(choice, sources) {
+    if (choice === 'img') return 'the <img> fallback';
+    const source = sources[choice];
+    return `<source> #${choice + 1}${source && source.format !== 'unknown' ? ` (${source.format})` : ''}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PictureAnalyzer;
+}
+
+// Make available globally for content script
+if (typeof window !== 'undefined') {
+  window.PictureAnalyzer = PictureAnalyzer;
+}
@@ -1,12 +1,20 @@
 // Lazy Spy Popup Controller
+
+// WIDTHxHEIGHT@DPR, editable in the popup
+const DEFAULT_VIEWPORT_PROFILES = '375x667@2, 412x915@2.625, 1366x768@1';
+
 class PopupController {
   constructor() {
     this.currentTab = null;
     this.isActive = false;
     this.csvExporter = null;
+    this.htmlReportExporter = null;
     this.libraryDetector = null;
     this.performanceData = null; // Store current performance data
     this.lastKnownLCPData = null; // Track LCP data changes
+    this.auditHistory = null;
+    this.audits = []; // Saved runs for this page, newest first
+    this.viewportResults = [];
     this.init();
   }
 
@@ -27,6 +35,8 @@ class PopupController {
           // Also request any pending LCP data that might have been stored
           this.requestPendingLCPData();
         }, 1000);
+
+        this.loadAuditHistory();
         
         // Listen for LCP detection updates
         chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -36,6 +46,8 @@ class PopupController {
           } else if (request.action === 'directLCPUpdate') {
             console.log('Popup: Received direct LCP update:', request.performanceData);
             this.updateStatsFromLCP(request.performanceData);
+          } else if (request.action === 'auditSaved') {
+            this.loadAuditHistory();
           }
         });
       } else {
@@ -51,8 +63,14 @@ class PopupController {
       // Initialize CSV exporter
       this.csvExporter = new CSVExporter();
 
+      // Initialize HTML report exporter
+      this.htmlReportExporter = new HTMLReportExporter();
+
       // Initialize library detector
       this.libraryDetector = new LibraryDetector();
+
+      // Initialize audit history (used for run comparison)
+      this.auditHistory = new AuditHistory();
     } catch (error) {
       console.error('Failed to initialize advanced features:', error);
     }
@@ -90,6 +108,31 @@ class PopupController {
     const exportBtn = document.getElementById('exportBtn');
     exportBtn.addEventListener('click', () => this.exportReport());
 
+    // Initialize viewport simulation
+    const simulateBtn = document.getElementById('simulateBtn');
+    simulateBtn.addEventListener('click', () => this.runViewportSimulation());
+    this.loadViewportProfiles();
+
+    // Initialize scroll-through
+    const scrollBtn = document.getElementById('scrollBtn');
+    scrollBtn.addEventListener('click', () => this.runScrollThrough());
+
+    // Initialize what-if preview
+    const whatIfBtn = document.getElementById('whatIfBtn');
+    whatIfBtn.addEventListener('click', () => this.runWhatIfPreview());
+
+    // Initialize side panel dashboard button
+    const dashboardBtn = document.getElementById('dashboardBtn');
+    dashboardBtn.addEventListener('click', () => this.openDashboard());
+
+    // Initialize settings link
+    const settingsBtn = document.getElementById('settingsBtn');
+    settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    // Initialize site crawl link
+    const crawlBtn = document.getElementById('crawlBtn');
+    crawlBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('crawl.html') }));
+
     // Show tab info
     this.showTabInfo();
     
@@ -195,6 +238,19 @@ class PopupController {
     }
   }
 
+  updateIssueBreakdown(findingCounts) {
+    const breakdown = document.getElementById('issuesBreakdown');
+    if (!breakdown) return;
+
+    const counts = findingCounts || {};
+    const parts = [
+      counts.error ? `${counts.error} error${counts.error === 1 ? '' : 's'}` : null,
+      counts.warning ? `${counts.warning} warning${counts.warning === 1 ? '' : 's'}` : null
+    ].filter(Boolean);
+    breakdown.textContent = parts.join(' · ');
+    breakdown.title = counts.info ? `${counts.info} informational notes not counted` : '';
+  }
+
   updateStats(stats) {
     // Store performance data for export
     this.performanceData = stats;
@@ -204,6 +260,9 @@ class PopupController {
     document.getElementById('lazyLoaded').textContent = stats.lazyLoaded || 0;
     document.getElementById('eagerLoaded').textContent = stats.eagerLoaded || 0;
     document.getElementById('issues').textContent = stats.issues || 0;
+    this.updateIssueBreakdown(stats.findingCounts);
+
+    this.updateWebVitals(stats.metrics);
 
     // Display LCP value with proper formatting
     const lcpElement = document.getElementById('lcpValue');
@@ -282,6 +341,32 @@ class PopupController {
     }
   }
 
+  updateWebVitals(metrics) {
+    // LCP-only updates carry no metrics; keep whatever is already displayed
+    if (!metrics) return;
+
+    const vitals = {
+      cls: 'clsValue',
+      inp: 'inpValue',
+      fcp: 'fcpValue',
+      ttfb: 'ttfbValue'
+    };
+
+    Object.entries(vitals).forEach(([name, elementId]) => {
+      const element = document.getElementById(elementId);
+      if (!element) return;
+
+      const metric = metrics[name];
+      element.className = 'stat-number';
+      if (metric) {
+        element.textContent = metric.value;
+        element.classList.add(`metric-${metric.rating}`);
+      } else {
+        element.textContent = 'N/A';
+      }
+    });
+  }
+
   updateStatsFromLCP(performanceData) {
     console.log('Popup: ===== LCP UPDATE START =====');
     console.log('Popup: Updating stats from LCP detection:', performanceData);
@@ -320,13 +405,19 @@ class PopupController {
         if (response && response.detectedLibraries) {
           console.log('Library info received from content script:', response);
           
-          // Convert the detected libraries array to the expected format
+          // Convert the detected libraries array to the expected format, with version and config issues
+          const details = response.detectionResults ? response.detectionResults.detected || [] : [];
           const libraryInfo = {
             detected: response.detectedLibraries.map(libName => ({
               name: libName,
               detected: true,
-              usageCount: 1
+              usageCount: 1,
+              version: null,
+              issues: [],
+              ...details.find(detail => detail.name === libName)
             })),
+            frameworks: response.detectionResults ? response.detectionResults.frameworks || [] : [],
+            platforms: response.detectionResults ? response.detectionResults.platforms || [] : [],
             summary: {
               status: response.detectedLibraries.length > 0 
                 ? `${response.detectedLibraries.length} lazy loading library(ies) detected`
@@ -357,20 +448,53 @@ class PopupController {
       return;
     }
 
-    if (!libraryInfo || !libraryInfo.detected || libraryInfo.detected.length === 0) {
+    const frameworks = libraryInfo.frameworks || [];
+    const platforms = libraryInfo.platforms || [];
+    if ((!libraryInfo.detected || libraryInfo.detected.length === 0) && frameworks.length === 0 && platforms.length === 0) {
       libraryInfoElement.innerHTML = '<div class="no-libraries">No lazy loading libraries detected</div>';
       return;
     }
 
-    // Create HTML for detected libraries
+    // The CMS platform sets the defaults everything else runs on
     let html = '';
+    for (const platform of platforms) {
+      html += `
+        <div class="library-item">
+          <div class="library-name">${LazySpyUI.escapeHTML(platform.displayName)}${platform.version ? ` ${LazySpyUI.escapeHTML(platform.version)}` : ''}</div>
+          <div class="library-details">
+            <span class="usage-count">Images: ${platform.usageCount}</span>
+          </div>
+          ${platform.recommendations.slice(0, 2).map(recommendation => `
+            <div class="library-recommendation">${LazySpyUI.escapeHTML(recommendation)}</div>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    // Framework image components come next; their fixes go through component props
+    for (const framework of frameworks) {
+      html += `
+        <div class="library-item">
+          <div class="library-name">${LazySpyUI.escapeHTML(framework.displayName)}</div>
+          <div class="library-details">
+            <span class="usage-count">Images: ${framework.usageCount}</span>
+          </div>
+          <div class="library-recommendation">${LazySpyUI.escapeHTML(framework.recommendations[0])}</div>
+        </div>
+      `;
+    }
+
+    // Create HTML for detected libraries
     for (const library of libraryInfo.detected) {
       html += `
         <div class="library-item">
-          <div class="library-name">${library.name}</div>
+          <div class="library-name">${LazySpyUI.escapeHTML(library.name)}${library.version ? ` ${LazySpyUI.escapeHTML(library.version)}` : ''}</div>
           <div class="library-details">
             <span class="usage-count">Usage: ${library.usageCount}</span>
           </div>
+          ${(library.issues || []).map(issue => `
+            <div class="library-issue">${LazySpyUI.escapeHTML(issue)}</div>
+          `).join('')}
         </div>
       `;
     }
@@ -388,6 +512,373 @@ class PopupController {
     libraryInfoElement.innerHTML = html;
   }
 
+  async loadAuditHistory() {
+    if (!this.currentTab) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getAuditHistory',
+        url: this.currentTab.url
+      });
+
+      if (response && response.audits) {
+        this.audits = response.audits;
+        this.renderAuditHistory();
+      } else {
+        this.updateAuditHistoryDisplay(`<div class="error">${LazySpyUI.escapeHTML(response?.error || 'Could not load previous runs')}</div>`);
+      }
+    } catch (error) {
+      console.error('Failed to load audit history:', error);
+      this.updateAuditHistoryDisplay('<div class="error">Could not load previous runs</div>');
+    }
+  }
+
+  updateAuditHistoryDisplay(html) {
+    const historyElement = document.getElementById('auditHistory');
+    if (historyElement) {
+      historyElement.innerHTML = html;
+    }
+  }
+
+  renderAuditHistory() {
+    if (this.audits.length < 2) {
+      const message = this.audits.length === 1
+        ? '1 run saved. Activate Lazy Spy again after a deploy to compare.'
+        : 'No saved runs yet. Each activation is saved for comparison.';
+      this.updateAuditHistoryDisplay(`<div class="history-empty">${message}</div>`);
+      return;
+    }
+
+    const options = this.audits.slice(1).map((audit, index) => `
+      <option value="${index + 1}">${LazySpyUI.escapeHTML(new Date(audit.timestamp).toLocaleString())}</option>
+    `).join('');
+
+    this.updateAuditHistoryDisplay(`
+      <select id="compareRunSelect" class="history-select" aria-label="Previous run to compare against">
+        ${options}
+      </select>
+      <div id="auditComparison"></div>
+    `);
+
+    const select = document.getElementById('compareRunSelect');
+    select.addEventListener('change', () => this.renderAuditComparison(Number(select.value)));
+    this.renderAuditComparison(1);
+  }
+
+  renderAuditComparison(previousIndex) {
+    const comparisonElement = document.getElementById('auditComparison');
+    const current = this.audits[0];
+    const previous = this.audits[previousIndex];
+    if (!comparisonElement || !current || !previous || !this.auditHistory) return;
+
+    const diff = this.auditHistory.compareAudits(current, previous);
+
+    // Lower is better for every delta shown here
+    const formatDelta = (delta, unit) => {
+      if (delta === null) return '<span class="comparison-value">N/A</span>';
+      const cls = delta < 0 ? 'delta-better' : delta > 0 ? 'delta-worse' : '';
+      const sign = delta > 0 ? '+' : '';
+      return `<span class="comparison-value ${cls}">${sign}${delta}${unit}</span>`;
+    };
+
+    const renderFindings = (title, findings) => {
+      if (findings.length === 0) return '';
+      const items = findings.slice(0, 5).map(finding => `
+        <li>${LazySpyUI.escapeHTML(finding.message)}${finding.ruleId ? ` <code>${LazySpyUI.escapeHTML(finding.ruleId)}</code>` : ''}<br><small>${LazySpyUI.escapeHTML(finding.src)}</small></li>
+      `).join('');
+      const more = findings.length > 5 ? `<li>...and ${findings.length - 5} more</li>` : '';
+      return `<div class="comparison-list-title">${title}</div><ul class="comparison-list">${items}${more}</ul>`;
+    };
+
+    comparisonElement.innerHTML = `
+      <div class="comparison-row">
+        <span class="comparison-label">LCP change</span>
+        ${formatDelta(diff.lcp.delta, 'ms')}
+      </div>
+      <div class="comparison-row">
+        <span class="comparison-label">Image bytes change</span>
+        ${formatDelta(diff.totalSizeKB.delta, 'KB')}
+      </div>
+      <div class="comparison-row">
+        <span class="comparison-label">New issues</span>
+        ${formatDelta(diff.newIssues.length, '')}
+      </div>
+      <div class="comparison-row">
+        <span class="comparison-label">Fixed issues</span>
+        <span class="comparison-value ${diff.fixedIssues.length > 0 ? 'delta-better' : ''}">${diff.fixedIssues.length}</span>
+      </div>
+      ${renderFindings('New issues', diff.newIssues)}
+      ${renderFindings('Fixed issues', diff.fixedIssues)}
+    `;
+  }
+
+  async loadViewportProfiles() {
+    const input = document.getElementById('viewportProfiles');
+    if (!input) return;
+
+    try {
+      const result = await chrome.storage.local.get('viewportProfiles');
+      input.value = result.viewportProfiles || DEFAULT_VIEWPORT_PROFILES;
+    } catch (error) {
+      input.value = DEFAULT_VIEWPORT_PROFILES;
+    }
+  }
+
+  parseViewportProfiles(text) {
+    return (text || '')
+      .split(/[\s,]+/)
+      .map(token => token.match(/^(\d+)x(\d+)(?:@([\d.]+))?$/i))
+      .filter(Boolean)
+      .map(match => {
+        const width = parseInt(match[1], 10);
+        const height = parseInt(match[2], 10);
+        return {
+          id: `${width}x${height}`,
+          width,
+          height,
+          devicePixelRatio: match[3] ? parseFloat(match[3]) : 1,
+          mobile: width < 768
+        };
+      });
+  }
+
+  async openDashboard() {
+    if (!this.currentTab) return;
+
+    try {
+      // Must be called directly from the click handler to keep the user gesture
+      await chrome.sidePanel.open({ tabId: this.currentTab.id });
+      window.close();
+    } catch (error) {
+      console.error('Popup: Failed to open side panel:', error);
+      this.showError(`Could not open dashboard: ${error.message}`);
+    }
+  }
+
+  async runViewportSimulation() {
+    if (!this.currentTab) return;
+
+    const input = document.getElementById('viewportProfiles');
+    const profiles = this.parseViewportProfiles(input.value);
+    if (profiles.length === 0) {
+      this.showError('Enter viewport profiles like 375x667@2, 1366x768');
+      return;
+    }
+
+    // Emulating other screen sizes needs the debugger permission, requested on first use
+    // (must be the first await so it still counts as a user gesture)
+    const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+    if (!granted) {
+      this.showError('Viewport simulation needs permission to emulate screen sizes');
+      return;
+    }
+
+    chrome.storage.local.set({ viewportProfiles: input.value.trim() });
+
+    const simulateBtn = document.getElementById('simulateBtn');
+    simulateBtn.disabled = true;
+    this.updateViewportResultsDisplay('<div class="loading">Simulating viewports...</div>');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'runViewportSimulation',
+        tabId: this.currentTab.id,
+        profiles
+      });
+
+      if (response && response.results && response.results.length > 0) {
+        this.viewportResults = response.results;
+        this.renderViewportResults();
+      } else {
+        this.updateViewportResultsDisplay(`<div class="error">${LazySpyUI.escapeHTML(response?.error || 'Simulation failed')}</div>`);
+      }
+    } catch (error) {
+      console.error('Viewport simulation failed:', error);
+      this.updateViewportResultsDisplay(`<div class="error">${LazySpyUI.escapeHTML(error.message)}</div>`);
+    } finally {
+      simulateBtn.disabled = false;
+    }
+  }
+
+  async runScrollThrough() {
+    if (!this.currentTab) return;
+    if (!this.isActive) {
+      this.showError('Activate the analysis before scrolling through the page');
+      return;
+    }
+
+    const scrollBtn = document.getElementById('scrollBtn');
+    scrollBtn.disabled = true;
+    this.updateScrollResultsDisplay('<div class="loading">Scrolling through the page...</div>');
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, { action: 'scrollThroughPage' });
+
+      if (response && response.success) {
+        this.renderScrollResults(response);
+        this.loadStats();
+      } else {
+        this.updateScrollResultsDisplay(`<div class="error">${LazySpyUI.escapeHTML(response?.error || 'Scroll-through failed')}</div>`);
+      }
+    } catch (error) {
+      console.error('Scroll-through failed:', error);
+      this.updateScrollResultsDisplay(`<div class="error">${LazySpyUI.escapeHTML(error.message)}</div>`);
+    } finally {
+      scrollBtn.disabled = false;
+    }
+  }
+
+  renderScrollResults(result) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const distances = (result.triggerDistances || []).map(entry => `
+      <tr>
+        <td>${LazySpyUI.escapeHTML(entry.loader)}</td>
+        <td>${entry.count}</td>
+        <td class="${entry.median <= 0 ? 'delta-worse' : ''}">${entry.median}px</td>
+      </tr>
+    `).join('');
+
+    this.updateScrollResultsDisplay(`
+      ${distances ? `
+        <table class="viewport-table">
+          <thead>
+            <tr><th>Loader</th><th>Images</th><th>Median trigger distance</th></tr>
+          </thead>
+          <tbody>${distances}</tbody>
+        </table>
+      ` : ''}
+      <div class="scroll-note">
+        Scrolled ${plural(result.steps, 'screen')}: ${plural(result.imagesAdded, 'new image')} found, ${plural(result.imagesLoaded, 'lazy image')} re-measured.
+        ${result.lateImages > 0 ?
+          `<span class="delta-worse">${plural(result.lateImages, 'image')} arrived late (blank for up to ${result.maxBlankDuration}ms).</span>` :
+          'No lazy image was blank after scrolling into view.'}
+      </div>
+    `);
+  }
+
+  updateScrollResultsDisplay(html) {
+    const resultsElement = document.getElementById('scrollResults');
+    if (resultsElement) {
+      resultsElement.innerHTML = html;
+    }
+  }
+
+  async runWhatIfPreview() {
+    if (!this.currentTab) return;
+
+    // Injecting fixes before page scripts and counting image bytes both go through the debugger
+    // (must be the first await so it still counts as a user gesture)
+    const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+    if (!granted) {
+      this.showError('The what-if preview needs permission to reload the page with fixes applied');
+      return;
+    }
+
+    const whatIfBtn = document.getElementById('whatIfBtn');
+    whatIfBtn.disabled = true;
+    this.updateWhatIfResultsDisplay('<div class="loading">Reloading the page twice to compare...</div>');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'runWhatIfPreview',
+        tabId: this.currentTab.id
+      });
+
+      if (response && response.success) {
+        this.renderWhatIfResults(response);
+      } else {
+        this.updateWhatIfResultsDisplay(`<div class="error">${LazySpyUI.escapeHTML(response?.error || 'Preview failed')}</div>`);
+      }
+    } catch (error) {
+      console.error('What-if preview failed:', error);
+      this.updateWhatIfResultsDisplay(`<div class="error">${LazySpyUI.escapeHTML(error.message)}</div>`);
+    } finally {
+      whatIfBtn.disabled = false;
+    }
+  }
+
+  updateWhatIfResultsDisplay(html) {
+    const resultsElement = document.getElementById('whatIfResults');
+    if (resultsElement) {
+      resultsElement.innerHTML = html;
+    }
+  }
+
+  renderWhatIfResults({ baseline, withFixes, fixes }) {
+    // Lower is better for every row
+    const row = (label, before, after, unit) => {
+      const show = value => value === null || value === undefined ? 'N/A' : `${Math.round(value)}${unit}`;
+      const delta = before === null || before === undefined || after === null || after === undefined ?
+        null : Math.round(after - before);
+      const cls = delta < 0 ? 'delta-better' : delta > 0 ? 'delta-worse' : '';
+      return `
+        <tr>
+          <td>${label}</td>
+          <td>${show(before)}</td>
+          <td>${show(after)}</td>
+          <td class="${cls}">${delta === null ? 'N/A' : `${delta > 0 ? '+' : ''}${delta}${unit}`}</td>
+        </tr>
+      `;
+    };
+    const toKB = bytes => bytes / 1024;
+
+    this.updateWhatIfResultsDisplay(`
+      <table class="viewport-table">
+        <thead>
+          <tr><th>Metric</th><th>As-is</th><th>With fixes</th><th>Change</th></tr>
+        </thead>
+        <tbody>
+          ${row('LCP', baseline.lcpValue, withFixes.lcpValue, 'ms')}
+          ${row('Image bytes', toKB(baseline.imageBytes), toKB(withFixes.imageBytes), 'KB')}
+          ${row('Image requests', baseline.imageRequests, withFixes.imageRequests, '')}
+        </tbody>
+      </table>
+      <div class="whatif-note">${fixes.length} image${fixes.length === 1 ? '' : 's'} rewritten. The tab now shows the fixed version; reload it to go back.</div>
+    `);
+  }
+
+  updateViewportResultsDisplay(html) {
+    const resultsElement = document.getElementById('viewportResults');
+    if (resultsElement) {
+      resultsElement.innerHTML = html;
+    }
+  }
+
+  renderViewportResults() {
+    const fileName = (src) => {
+      if (!src) return 'None';
+      try {
+        return new URL(src).pathname.split('/').pop() || src;
+      } catch (error) {
+        return src;
+      }
+    };
+
+    const rows = this.viewportResults.map(result => {
+      if (result.error) {
+        return `<tr><td>${LazySpyUI.escapeHTML(result.profile.id)}</td><td colspan="4" class="delta-worse">${LazySpyUI.escapeHTML(result.error)}</td></tr>`;
+      }
+      return `
+        <tr>
+          <td>${LazySpyUI.escapeHTML(result.profile.id)}</td>
+          <td>${result.aboveFold}/${result.totalImages}</td>
+          <td class="${result.lazyAboveFold > 0 ? 'delta-worse' : ''}">${result.lazyAboveFold}</td>
+          <td>${result.eagerBelowFold}</td>
+          <td title="${LazySpyUI.escapeHTML(result.likelyLCP || '')}">${LazySpyUI.escapeHTML(fileName(result.likelyLCP))}</td>
+        </tr>
+      `;
+    }).join('');
+
+    this.updateViewportResultsDisplay(`
+      <table class="viewport-table">
+        <thead>
+          <tr><th>Viewport</th><th>Above fold</th><th>Lazy above</th><th>Eager below</th><th>Likely LCP</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `);
+  }
+
   hasLCPDataChanged(newStats) {
     if (!this.lastKnownLCPData) return true;
     
@@ -661,8 +1152,13 @@ class PopupController {
 
 
 
-      // Get library detection results
-      const libraryData = this.libraryDetector ? this.libraryDetector.detectLibraries() : null;
+      // Get library detection results from the page, falling back to local detection
+      const libraryResponse = await chrome.runtime.sendMessage({
+        action: 'getLibraryInfo',
+        tabId: this.currentTab.id
+      });
+      const libraryData = libraryResponse?.detectionResults ||
+        (this.libraryDetector ? this.libraryDetector.detectLibraries() : null);
 
       // Prepare page info
       const pageInfo = {
@@ -670,15 +1166,37 @@ class PopupController {
         title: this.currentTab.title
       };
 
-      // Generate comprehensive CSV report
+      const format = document.getElementById('exportFormat')?.value || 'csv';
+
+      // Generate comprehensive report in the selected format
       if (this.csvExporter) {
         try {
-          const report = this.csvExporter.generateComprehensiveReport(
-            imageResponse.images || [],
-            this.performanceData || {}, // Pass current performance data including LCP value
-            libraryData || {},
-            pageInfo
-          );
+          let report;
+          if (format === 'html' && this.htmlReportExporter) {
+            const images = imageResponse.images || [];
+            report = await this.htmlReportExporter.generateComprehensiveHTMLReport(
+              images,
+              this.performanceData || {},
+              libraryData || {},
+              pageInfo,
+              await this.loadThumbnails(images)
+            );
+          } else if (format === 'json') {
+            report = this.csvExporter.generateComprehensiveJSONReport(
+              imageResponse.images || [],
+              this.performanceData || {},
+              libraryData || {},
+              pageInfo,
+              this.getMigrationGuides(libraryData, libraryResponse?.libraryDetails)
+            );
+          } else {
+            report = this.csvExporter.generateComprehensiveReport(
+              imageResponse.images || [],
+              this.performanceData || {}, // Pass current performance data including LCP value
+              libraryData || {},
+              pageInfo
+            );
+          }
 
           // Show success notification
           const btn = document.getElementById('exportBtn');
@@ -695,8 +1213,8 @@ class PopupController {
 
           console.log('Report exported successfully:', report);
         } catch (error) {
-          console.error('CSV export error:', error);
-          this.showError('Failed to generate CSV report: ' + error.message);
+          console.error(`${format.toUpperCase()} export error:`, error);
+          this.showError(`Failed to generate ${format.toUpperCase()} report: ` + error.message);
         }
       } else {
         // Fallback to original export method
@@ -714,6 +1232,35 @@ class PopupController {
     }
   }
 
+  async loadThumbnails(images) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'generateThumbnails',
+        sources: images.map(img => img.src).filter(Boolean)
+      });
+      return (response && response.thumbnails) || {};
+    } catch (error) {
+      console.error('Failed to generate thumbnails:', error);
+      return {};
+    }
+  }
+
+  getMigrationGuides(libraryData, libraryDetails = {}) {
+    const guides = {};
+    const detected = libraryData?.detected || [];
+
+    detected.forEach(lib => {
+      if (lib.name === 'native') return;
+      if (libraryDetails && libraryDetails[lib.name]?.migrationGuide) {
+        guides[lib.name] = libraryDetails[lib.name].migrationGuide;
+      } else if (this.libraryDetector) {
+        guides[lib.name] = this.libraryDetector.generateMigrationGuide(lib.name);
+      }
+    });
+
+    return guides;
+  }
+
   showError(message) {
     console.error('Popup error:', message);
     
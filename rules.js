@@ -0,0 +1,449 @@
+// Rule Registry for Lazy Spy
+// Every check is a rule object; recommendations, scores, tooltips and exports all read from one registry.
+//
+// A rule looks like:
+//   {
+//     id: 'missing-dimensions',       // Stable ID shown in tooltips and exports
+//     severity: 'warning',            // 'error' | 'warning' | 'info'
+//     appliesTo: ['img', 'background'],
+//     check: 'missingDimensions',     // Optional settings toggle that disables the rule
+//     scoreWeight: 20,                // Points deducted from the image score per finding
+//     evaluate: (context) => ...,     // false/null = pass, true = one finding,
+//                                     // { message, id } = one finding, [...] = several findings
+//     message: 'Text' or (context, result) => 'Text',
+//     attribute: 'loading' or (context, result) => ...,  // Attribute or element the finding is about
+//     fix: 'loading="lazy"' or (context, result) => ...  // Suggested change, null when there is none
+//   }
+//
+// A result object may also carry its own attribute and fix. Findings come out as
+//   { ruleId, severity, message, attribute, fix, scoreWeight }
+//
+// context: { type: 'img' | 'background', element, data, analysis, settings }
+//   data     - the per-image record built by the content script
+//   analysis - data.optimization (missing for background and carousel images)
+
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+    this.severities = ['error', 'warning', 'info'];
+    this.registerDefaultRules();
+  }
+
+  register(rule) {
+    if (!rule || !rule.id) {
+      throw new Error('Rule needs an id');
+    }
+    if (typeof rule.evaluate !== 'function') {
+      throw new Error(`Rule ${rule.id} needs an evaluate function`);
+    }
+
+    this.rules.set(rule.id, {
+      appliesTo: ['img', 'background'],
+      scoreWeight: 0,
+      ...rule,
+      severity: this.severities.includes(rule.severity) ? rule.severity : 'warning'
+    });
+  }
+
+  unregister(id) {
+    return this.rules.delete(id);
+  }
+
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  getRules(type) {
+    const rules = Array.from(this.rules.values());
+    return type ? rules.filter(rule => rule.appliesTo.includes(type)) : rules;
+  }
+
+  evaluate(context) {
+    const findings = [];
+
+    this.getRules(context.type).forEach(rule => {
+      if (rule.check && context.settings && !context.settings.isEnabled(rule.check)) return;
+
+      let result;
+      try {
+        result = rule.evaluate(context);
+      } catch (error) {
+        console.error(`Lazy Spy: Rule ${rule.id} failed:`, error);
+        return;
+      }
+      if (!result) return;
+
+      const results = Array.isArray(result) ? result : [result];
+      results.forEach(entry => {
+        const details = typeof entry === 'object' ? entry : {};
+        const message = details.message ||
+          (typeof rule.message === 'function' ? rule.message(context, details) : rule.message);
+        if (!message) return;
+
+        findings.push({
+          ruleId: details.id ? `${rule.id}/${details.id}` : rule.id,
+          severity: rule.severity,
+          message,
+          attribute: details.attribute || this.resolve(rule.attribute, context, details),
+          fix: details.fix || this.resolve(rule.fix, context, details),
+          scoreWeight: rule.scoreWeight
+        });
+      });
+    });
+
+    return findings;
+  }
+
+  resolve(value, context, details) {
+    const resolved = typeof value === 'function' ? value(context, details) : value;
+    return resolved || null;
+  }
+
+  // error and warning findings are issues; info findings are notes
+  isIssue(finding) {
+    return !!finding && (finding.severity === 'error' || finding.severity === 'warning');
+  }
+
+  countBySeverity(findings) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    (findings || []).forEach(finding => {
+      if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+    });
+    return counts;
+  }
+
+  getPenalty(findings) {
+    return (findings || []).reduce((total, finding) => total + (finding.scoreWeight || 0), 0);
+  }
+
+  registerDefaultRules() {
+    const isAboveFold = data => data.position === 'above-fold';
+    // Overall strategy replaces lazy/eager with labels like 'issue'; rules need the loading method
+    const loadingMethod = data => data.baseStrategy || data.strategy;
+    const preloadTag = data => `<link rel="preload" as="image" href="${data.src}" fetchpriority="high">`;
+
+    this.register({
+      id: 'missing-dimensions',
+      check: 'missingDimensions',
+      severity: 'error',
+      appliesTo: ['img', 'background'],
+      scoreWeight: 20,
+      evaluate: ({ data, analysis }) => {
+        if (analysis && analysis.missingDimensions) {
+          return analysis.missingDimensions.missing && { message: analysis.missingDimensions.recommendation };
+        }
+        return !data.hasDimensions;
+      },
+      message: 'Add width and height attributes to prevent CLS',
+      attribute: ({ type }) => type === 'background' ? 'aspect-ratio' : 'width/height',
+      fix: ({ type, analysis }) => {
+        if (type === 'background') return 'Give the element an explicit height or aspect-ratio';
+        const dimensions = analysis && analysis.missingDimensions;
+        if (!dimensions || !dimensions.missing) return 'Add width and height attributes matching the intrinsic size';
+        return [
+          dimensions.suggestedWidth ? `width="${dimensions.suggestedWidth}"` : null,
+          dimensions.suggestedHeight ? `height="${dimensions.suggestedHeight}"` : null
+        ].filter(Boolean).join(' ');
+      }
+    });
+
+    this.register({
+      id: 'lazy-above-fold',
+      check: 'lazyAboveFold',
+      severity: 'error',
+      appliesTo: ['img'],
+      scoreWeight: 15,
+      evaluate: ({ data }) => loadingMethod(data) === 'lazy' && isAboveFold(data),
+      message: 'Avoid lazy loading above-fold images - this hurts LCP',
+      attribute: ({ data }) => data.library && data.library !== 'native' ? 'src' : 'loading',
+      fix: ({ data }) => data.library && data.library !== 'native' ?
+        `Set src directly instead of deferring it with ${data.library}` :
+        'loading="eager"'
+    });
+
+    this.register({
+      id: 'eager-below-fold',
+      check: 'eagerBelowFold',
+      severity: 'warning',
+      appliesTo: ['img', 'background'],
+      scoreWeight: 15,
+      evaluate: ({ data }) => loadingMethod(data) === 'eager' && data.position === 'below-fold',
+      message: 'Consider lazy loading for below-fold images',
+      attribute: ({ type }) => type === 'background' ? 'background-image' : 'loading',
+      fix: ({ type }) => type === 'background' ?
+        'Apply the background once the element nears the viewport' :
+        'loading="lazy"'
+    });
+
+    this.register({
+      id: 'late-lazy-load',
+      check: 'lateLazyLoad',
+      severity: 'warning',
+      appliesTo: ['img', 'background'],
+      scoreWeight: 10,
+      // Only measured by a scroll-through, which records when the image came into view
+      evaluate: ({ data, settings }) => {
+        const timing = data.scrollTiming;
+        const minBlank = settings ? settings.getThreshold('lateLoadMs') : 100;
+        return !!(timing && timing.isLate && timing.blankDuration >= minBlank);
+      },
+      message: ({ data }) => {
+        const timing = data.scrollTiming;
+        const distance = typeof timing.triggerDistance === 'number' ?
+          (timing.triggerDistance > 0 ? ` (requested ${timing.triggerDistance}px before the viewport)` : ' (requested once already in view)') : '';
+        return `Lazy image was blank for ${timing.blankDuration}ms after scrolling into view${distance}`;
+      },
+      attribute: ({ type, data }) => type === 'background' ? 'background-image' : (data.library && data.library !== 'native' ? 'rootMargin' : 'loading'),
+      fix: ({ data }) => data.library && data.library !== 'native' ?
+        `Start loading earlier: give ${data.library} a larger rootMargin/threshold (e.g. 300-600px)` :
+        'Load it eagerly if it sits just below the fold, or make the file smaller so it arrives in time'
+    });
+
+    this.register({
+      id: 'lcp-not-preloaded',
+      check: 'lcpPreload',
+      severity: 'warning',
+      appliesTo: ['img', 'background'],
+      scoreWeight: 10,
+      evaluate: ({ data }) => data.isLCP && !data.isPreloaded,
+      message: 'Preload LCP image for better performance',
+      attribute: 'link[rel=preload]',
+      fix: ({ data }) => preloadTag(data)
+    });
+
+    this.register({
+      id: 'lcp-fetchpriority',
+      check: 'fetchPriority',
+      severity: 'warning',
+      appliesTo: ['img', 'background'],
+      scoreWeight: 5,
+      evaluate: ({ data }) => data.isLCP && data.fetchPriority !== 'high',
+      message: 'Set fetchpriority="high" for LCP image',
+      attribute: 'fetchpriority',
+      fix: ({ type, data }) => type === 'background' ? preloadTag(data) : 'fetchpriority="high"'
+    });
+
+    this.register({
+      id: 'above-fold-fetchpriority',
+      check: 'fetchPriority',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 0,
+      evaluate: ({ data, analysis }) => !data.isLCP && !!(analysis && analysis.fetchPriorityAnalysis && analysis.fetchPriorityAnalysis.shouldUpgrade),
+      message: ({ analysis }) => `Add fetchpriority="${analysis.fetchPriorityAnalysis.recommendedPriority}" for ${analysis.fetchPriorityAnalysis.reason}`,
+      attribute: 'fetchpriority',
+      fix: ({ analysis }) => `fetchpriority="${analysis.fetchPriorityAnalysis.recommendedPriority}"`
+    });
+
+    this.register({
+      id: 'decoding-async',
+      check: 'asyncDecoding',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 5,
+      evaluate: ({ data }) => data.decoding !== 'async',
+      message: 'Add decoding="async" for non-blocking decode',
+      attribute: 'decoding',
+      fix: 'decoding="async"'
+    });
+
+    this.register({
+      id: 'legacy-format',
+      check: 'formatOptimization',
+      severity: 'warning',
+      appliesTo: ['img'],
+      scoreWeight: 5,
+      evaluate: ({ analysis }) => !!(analysis && analysis.formatOptimization && analysis.formatOptimization.canOptimize),
+      message: ({ analysis }) => analysis.formatOptimization.recommendation,
+      attribute: 'src',
+      fix: 'Serve WebP or AVIF, e.g. through <picture> sources or CDN format negotiation'
+    });
+
+    this.register({
+      id: 'missing-srcset',
+      check: 'responsiveImages',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 5,
+      evaluate: ({ analysis }) => !!(analysis && analysis.responsiveImage && analysis.responsiveImage.missing),
+      message: ({ analysis }) => analysis.responsiveImage.recommendation,
+      attribute: 'srcset',
+      fix: ({ data }) => `Add srcset with w descriptors and sizes="${data.width ? `${data.width}px` : '100vw'}"`
+    });
+
+    // One finding per srcset/sizes audit issue, e.g. srcset/sizes-too-large
+    this.register({
+      id: 'srcset',
+      check: 'responsiveImages',
+      severity: 'warning',
+      appliesTo: ['img'],
+      scoreWeight: 5,
+      evaluate: ({ data }) => (data.srcsetAudit && data.srcsetAudit.issues || [])
+        .map(issue => ({ id: issue.type, message: issue.message })),
+      attribute: (context, issue) => /sizes/.test(issue.id) ? 'sizes' : 'srcset',
+      fix: ({ data }, issue) => {
+        const audit = data.srcsetAudit;
+        if (/sizes/.test(issue.id) && issue.id !== 'sizes-ignored' && audit.renderedWidth) {
+          return `sizes="${audit.renderedWidth}px"`;
+        }
+        if (issue.id === 'sizes-ignored' || issue.id === 'missing-w-descriptors') {
+          return 'Use w descriptors in srcset together with sizes';
+        }
+        if (issue.id === 'candidate-gap' || issue.id === 'candidates-too-small') {
+          return `Add candidates up to ${Math.round(audit.renderedWidth * audit.devicePixelRatio)}w`;
+        }
+        return null;
+      }
+    });
+
+    // One finding per <picture> issue, e.g. picture/missing-avif
+    this.register({
+      id: 'picture',
+      check: 'pictureElement',
+      severity: 'warning',
+      appliesTo: ['img'],
+      scoreWeight: 5,
+      evaluate: ({ data }) => (data.pictureAnalysis && data.pictureAnalysis.issues || [])
+        .map(issue => ({ id: issue.type, message: issue.message })),
+      attribute: (context, issue) => {
+        if (issue.id === 'loading-on-source' || issue.id === 'loading-on-picture') return 'loading';
+        if (issue.id === 'fetchpriority-on-picture') return 'fetchpriority';
+        return '<source>';
+      },
+      fix: (context, issue) => {
+        if (issue.id === 'loading-on-source' || issue.id === 'loading-on-picture') return 'Move loading to the <img>';
+        if (issue.id === 'fetchpriority-on-picture') return 'Move fetchpriority to the <img>';
+        if (issue.id === 'missing-modern-format') return '<source type="image/webp" srcset="...">';
+        if (issue.id === 'missing-avif') return '<source type="image/avif" srcset="..."> before the WebP source';
+        if (issue.id === 'source-order') return 'List AVIF, then WebP, then the fallback format';
+        return null;
+      }
+    });
+
+    this.register({
+      id: 'large-file',
+      check: 'fileSize',
+      severity: 'warning',
+      appliesTo: ['img'],
+      scoreWeight: 10,
+      evaluate: ({ analysis }) => !!(analysis && analysis.fileSizeOptimization && analysis.fileSizeOptimization.isLargeFile),
+      message: ({ analysis }) => `Large file (${analysis.fileSizeOptimization.fileSize}KB). Consider compression or format conversion`,
+      attribute: 'src',
+      fix: 'Compress the file or convert it to WebP/AVIF'
+    });
+
+    this.register({
+      id: 'oversized-image',
+      check: 'fileSize',
+      severity: 'warning',
+      appliesTo: ['img', 'background'],
+      scoreWeight: 10,
+      evaluate: ({ data }) => !!(data.oversizing && data.oversizing.isOversized),
+      message: ({ data }) => data.oversizing.recommendation,
+      attribute: ({ type, data }) => type === 'background' ? 'background-image' : (data.srcsetAudit && data.srcsetAudit.hasSrcset ? 'srcset' : 'src'),
+      fix: ({ data }) => `Serve a ${data.oversizing.idealWidth}px wide image`
+    });
+
+    this.register({
+      id: 'hero-not-preloaded',
+      check: 'heroPreload',
+      severity: 'warning',
+      appliesTo: ['img'],
+      scoreWeight: 5,
+      evaluate: ({ data, analysis }) => !data.isPreloaded && !!(analysis && analysis.heroImageAnalysis &&
+        analysis.heroImageAnalysis.isHero && analysis.heroImageAnalysis.shouldPreload),
+      message: ({ analysis }) => analysis.heroImageAnalysis.recommendation,
+      attribute: 'link[rel=preload]',
+      fix: ({ data }) => preloadTag(data)
+    });
+
+    this.register({
+      id: 'preload-opportunity',
+      check: 'heroPreload',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 0,
+      evaluate: ({ data, analysis }) => !data.isPreloaded && !!(analysis && analysis.preloadAnalysis && analysis.preloadAnalysis.shouldPreload),
+      message: ({ analysis }) => analysis.preloadAnalysis.recommendation,
+      attribute: 'link[rel=preload]',
+      fix: ({ data }) => preloadTag(data)
+    });
+
+    this.register({
+      id: 'cdn-detected',
+      check: 'cdn',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 0,
+      evaluate: ({ analysis }) => !!(analysis && analysis.cdnAnalysis && analysis.cdnAnalysis.detected),
+      message: ({ analysis }) => `CDN detected: ${analysis.cdnAnalysis.cdn} (${analysis.cdnAnalysis.optimizations.join(', ')})`
+    });
+
+    this.register({
+      id: 'service-worker-caching',
+      check: 'serviceWorker',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 0,
+      evaluate: ({ analysis }) => !!(analysis && analysis.serviceWorkerAnalysis && analysis.serviceWorkerAnalysis.available),
+      message: ({ analysis }) => analysis.serviceWorkerAnalysis.recommendation
+    });
+
+    // data.carousel ({ index, imageCount }) is set for <img> slides found by the carousel scan
+    this.register({
+      id: 'carousel-lazy-slides',
+      check: 'carousel',
+      severity: 'warning',
+      appliesTo: ['img'],
+      scoreWeight: 10,
+      evaluate: ({ data, element, settings }) => {
+        const carousel = data.carousel;
+        if (!carousel || carousel.index === 0 || loadingMethod(data) === 'lazy') return false;
+        const limit = settings ? settings.getThreshold('carouselLazyLoadCount') : 10;
+        const hasLoading = !!(element && typeof element.hasAttribute === 'function' && element.hasAttribute('loading'));
+        return carousel.imageCount > limit || !hasLoading;
+      },
+      message: 'Consider lazy loading non-visible carousel images',
+      attribute: 'loading',
+      fix: 'loading="lazy"'
+    });
+
+    this.register({
+      id: 'carousel-size',
+      check: 'carousel',
+      severity: 'info',
+      appliesTo: ['img'],
+      scoreWeight: 0,
+      evaluate: ({ data, settings }) => {
+        const carousel = data.carousel;
+        const limit = settings ? settings.getThreshold('carouselOptimizeCount') : 5;
+        return !!(carousel && carousel.index === 0 && carousel.imageCount > limit);
+      },
+      message: ({ data }) => `Optimize carousel images for faster loading (${data.carousel.imageCount} images in this carousel)`,
+      attribute: null,
+      fix: 'Compress the slides and load only the first one eagerly'
+    });
+
+    this.register({
+      id: 'background-image',
+      check: 'backgroundImage',
+      severity: 'info',
+      appliesTo: ['background'],
+      scoreWeight: 0,
+      evaluate: () => true,
+      message: 'Background image detected - consider using <img> tag for better SEO and accessibility',
+      attribute: 'background-image',
+      fix: 'Use an <img> with alt text for content images'
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleRegistry;
+}
+
+// Make available globally for content script
+if (typeof window !== 'undefined') {
+  window.RuleRegistry = RuleRegistry;
+}
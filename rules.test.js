@@ -0,0 +1,103 @@
+const RuleRegistry = require('./rules');
+
+describe('RuleRegistry', () => {
+  const settings = (disabled = []) => ({
+    isEnabled: check => !disabled.includes(check),
+    getThreshold: () => 100
+  });
+
+  const emptyRegistry = () => {
+    const registry = new RuleRegistry();
+    registry.getRules().forEach(rule => registry.unregister(rule.id));
+    return registry;
+  };
+
+  describe('evaluate', () => {
+    test('turns rule results into findings', () => {
+      const registry = emptyRegistry();
+      registry.register({
+        id: 'test-rule',
+        severity: 'error',
+        scoreWeight: 7,
+        evaluate: ({ data }) => data.broken,
+        message: 'Broken image',
+        attribute: 'src',
+        fix: ({ data }) => `src="${data.src}"`
+      });
+
+      const findings = registry.evaluate({ type: 'img', data: { broken: true, src: 'a.jpg' } });
+      expect(findings).toEqual([{
+        ruleId: 'test-rule',
+        severity: 'error',
+        message: 'Broken image',
+        attribute: 'src',
+        fix: 'src="a.jpg"',
+        scoreWeight: 7
+      }]);
+      expect(registry.evaluate({ type: 'img', data: { broken: false } })).toEqual([]);
+    });
+
+    test('reports one finding per result with sub-IDs', () => {
+      const registry = emptyRegistry();
+      registry.register({
+        id: 'srcset',
+        evaluate: () => [{ id: 'gap', message: 'Gap' }, { id: 'duplicate', message: 'Duplicate' }]
+      });
+
+      const findings = registry.evaluate({ type: 'img', data: {} });
+      expect(findings.map(finding => finding.ruleId)).toEqual(['srcset/gap', 'srcset/duplicate']);
+      expect(findings[0].severity).toBe('warning');
+    });
+
+    test('skips rules for other element types and disabled checks', () => {
+      const registry = emptyRegistry();
+      registry.register({ id: 'img-only', appliesTo: ['img'], evaluate: () => true, message: 'Image' });
+      registry.register({ id: 'toggled', check: 'someCheck', evaluate: () => true, message: 'Toggled' });
+
+      expect(registry.evaluate({ type: 'background', data: {}, settings: settings() }).map(finding => finding.ruleId)).toEqual(['toggled']);
+      expect(registry.evaluate({ type: 'img', data: {}, settings: settings(['someCheck']) }).map(finding => finding.ruleId)).toEqual(['img-only']);
+    });
+
+    test('keeps going when a rule throws', () => {
+      const registry = emptyRegistry();
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      registry.register({ id: 'throws', evaluate: () => { throw new Error('boom'); } });
+      registry.register({ id: 'works', evaluate: () => true, message: 'Works' });
+
+      expect(registry.evaluate({ type: 'img', data: {} }).map(finding => finding.ruleId)).toEqual(['works']);
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('flags lazy loading above the fold from the pre-relabel strategy', () => {
+      const registry = new RuleRegistry();
+      const data = { strategy: 'issue', baseStrategy: 'lazy', position: 'above-fold', hasDimensions: true };
+
+      const findings = registry.evaluate({ type: 'img', data, settings: settings() });
+      expect(findings.map(finding => finding.ruleId)).toContain('lazy-above-fold');
+
+      const disabled = registry.evaluate({ type: 'img', data, settings: settings(['lazyAboveFold']) });
+      expect(disabled.map(finding => finding.ruleId)).not.toContain('lazy-above-fold');
+    });
+  });
+
+  describe('isIssue', () => {
+    const registry = new RuleRegistry();
+
+    test('counts errors and warnings as issues', () => {
+      expect(registry.isIssue({ severity: 'error' })).toBe(true);
+      expect(registry.isIssue({ severity: 'warning' })).toBe(true);
+    });
+
+    test('treats info findings as notes', () => {
+      expect(registry.isIssue({ severity: 'info' })).toBe(false);
+      expect(registry.isIssue(null)).toBe(false);
+    });
+  });
+
+  test('getPenalty sums the score weights', () => {
+    const registry = new RuleRegistry();
+    expect(registry.getPenalty([{ scoreWeight: 15 }, { scoreWeight: 5 }, {}])).toBe(20);
+    expect(registry.getPenalty(undefined)).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+// Settings for Lazy Spy
+// Rule thresholds and enabled checks, stored in chrome.storage.sync and edited on the options page
+
+class LazySpySettings {
+  constructor() {
+    this.storageKey = 'settings';
+
+    this.defaults = {
+      thresholds: {
+        compressionMinKB: 100, // Files above this are flagged for compression
+        largeFileKB: 500, // Files above this get a "large file" recommendation
+        oversizedWastePercent: 50, // Share of shipped pixels that may go unused before flagging
+        heroMinWidth: 800, // Intrinsic size of a likely hero / preload candidate
+        heroMinHeight: 600,
+        carouselLazyLoadCount: 10, // Carousels with more images should lazy load the hidden ones
+        carouselOptimizeCount: 5,
+        lateLoadMs: 100, // Lazy images blank for longer than this after scrolling into view are late
+        compactOverlayWidth: 160, // Overlays on smaller images use compact badges
+        compactOverlayHeight: 140
+      },
+      checks: {
+        missingDimensions: true,
+        lazyAboveFold: true,
+        eagerBelowFold: true,
+        lateLazyLoad: true,
+        lcpPreload: true,
+        fetchPriority: true,
+        asyncDecoding: true,
+        formatOptimization: true,
+        responsiveImages: true,
+        fileSize: true,
+        pictureElement: true,
+        heroPreload: true,
+        carousel: true,
+        backgroundImage: true,
+        cdn: true,
+        serviceWorker: true
+      }
+    };
+
+    this.values = this.merge({});
+    this.loaded = false;
+    this.ready = null;
+  }
+
+  load() {
+    if (!this.ready) {
+      this.ready = this.read().then(values => {
+        this.values = values;
+        this.loaded = true;
+        return values;
+      });
+    }
+    return this.ready;
+  }
+
+  async read() {
+    try {
+      const result = await chrome.storage.sync.get(this.storageKey);
+      return this.merge(result[this.storageKey] || {});
+    } catch (error) {
+      console.error('Lazy Spy: Failed to load settings, using defaults:', error);
+      return this.merge({});
+    }
+  }
+
+  async save(values) {
+    const merged = this.merge(values);
+    await chrome.storage.sync.set({ [this.storageKey]: merged });
+    this.values = merged;
+    return merged;
+  }
+
+  async reset() {
+    await chrome.storage.sync.remove(this.storageKey);
+    this.values = this.merge({});
+    return this.values;
+  }
+
+  // Keeps values current when the options page saves from another context
+  watch(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[this.storageKey]) return;
+      this.values = this.merge(changes[this.storageKey].newValue || {});
+      if (callback) callback(this.values);
+    });
+  }
+
+  // Fills in defaults for missing or invalid entries, so settings saved by older versions keep working
+  merge(values) {
+    const thresholds = {};
+    Object.entries(this.defaults.thresholds).forEach(([name, fallback]) => {
+      const raw = values.thresholds?.[name];
+      const value = Number(raw);
+      thresholds[name] = raw !== null && raw !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+    });
+
+    const checks = {};
+    Object.entries(this.defaults.checks).forEach(([name, fallback]) => {
+      const value = values.checks?.[name];
+      checks[name] = typeof value === 'boolean' ? value : fallback;
+    });
+
+    return { thresholds, checks };
+  }
+
+  getThreshold(name) {
+    return this.values.thresholds[name];
+  }
+
+  isEnabled(check) {
+    return this.values.checks[check] !== false;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LazySpySettings;
+}
+
+// Make available globally for content script and extension pages
+if (typeof window !== 'undefined') {
+  window.LazySpySettings = LazySpySettings;
+}
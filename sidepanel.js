@@ -0,0 +1,256 @@
+// Lazy Spy Side Panel Dashboard
+class SidePanelController {
+  constructor() {
+    this.currentTab = null;
+    this.images = [];
+    this.selectedId = null;
+    this.sort = { key: 'optimizationScore', direction: 'asc' }; // Worst images first
+    this.filters = {
+      search: '',
+      strategy: 'all',
+      issuesOnly: false,
+      aboveFoldOnly: false,
+      lcpOnly: false
+    };
+    this.columns = [
+      { key: 'src', label: 'Image' },
+      { key: 'loadingStrategy', label: 'Strategy' },
+      { key: 'fileSizeBytes', label: 'Size' },
+      { key: 'optimizationScore', label: 'Score' },
+      { key: 'issueCount', label: 'Issues' },
+      { key: 'isAboveFold', label: 'Fold' },
+      { key: 'isLCP', label: 'LCP' }
+    ];
+    this.strategyColors = {
+      'optimized': '#10b981',
+      'lazy': '#3b82f6',
+      'eager': '#f59e0b',
+      'issue': '#ef4444',
+      'preload': '#008080',
+      'lcp': '#8b5cf6'
+    };
+    this.init();
+  }
+
+  async init() {
+    this.initializeUI();
+    await this.loadImages();
+
+    // Follow the active tab and refresh when the page changes or a new audit lands
+    chrome.tabs.onActivated.addListener(() => this.loadImages());
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (this.currentTab && tabId === this.currentTab.id && changeInfo.status === 'complete') {
+        this.loadImages();
+      }
+    });
+    chrome.runtime.onMessage.addListener((request) => {
+      if (request.action === 'auditSaved') {
+        this.loadImages();
+      }
+    });
+  }
+
+  initializeUI() {
+    document.getElementById('refreshBtn').addEventListener('click', () => this.loadImages());
+
+    document.getElementById('searchInput').addEventListener('input', (event) => {
+      this.filters.search = event.target.value.trim().toLowerCase();
+      this.renderTable();
+    });
+
+    document.getElementById('strategyFilter').addEventListener('change', (event) => {
+      this.filters.strategy = event.target.value;
+      this.renderTable();
+    });
+
+    ['issuesOnly', 'aboveFoldOnly', 'lcpOnly'].forEach(id => {
+      document.getElementById(id).addEventListener('change', (event) => {
+        this.filters[id] = event.target.checked;
+        this.renderTable();
+      });
+    });
+
+    document.getElementById('tableHead').addEventListener('click', (event) => {
+      const header = event.target.closest('th[data-key]');
+      if (header) this.toggleSort(header.dataset.key);
+    });
+
+    document.getElementById('tableBody').addEventListener('click', (event) => {
+      const row = event.target.closest('tr[data-id]');
+      if (row) this.selectImage(Number(row.dataset.id));
+    });
+  }
+
+  async loadImages() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      this.currentTab = tabs[0] || null;
+      if (!this.currentTab) {
+        this.showEmptyState('No active tab found');
+        return;
+      }
+
+      this.showPageInfo();
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'getDetailedImageData',
+        tabId: this.currentTab.id
+      });
+
+      if (!response || response.error) {
+        this.images = [];
+        this.showEmptyState(response?.error || 'Could not read image data from this page');
+        return;
+      }
+
+      this.images = (response.images || []).map(img => ({
+        ...img,
+        issueCount: (img.issues || []).length
+      }));
+      this.renderTable();
+    } catch (error) {
+      console.error('Side panel: failed to load images:', error);
+      this.images = [];
+      this.showEmptyState('Lazy Spy cannot analyze this page');
+    }
+  }
+
+  showPageInfo() {
+    const pageInfo = document.getElementById('pageInfo');
+    try {
+      const url = new URL(this.currentTab.url);
+      pageInfo.textContent = `${url.hostname}${url.pathname}`;
+    } catch (error) {
+      pageInfo.textContent = this.currentTab.url || '';
+    }
+  }
+
+  toggleSort(key) {
+    if (this.sort.key === key) {
+      this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.sort = { key, direction: 'asc' };
+    }
+    this.renderTable();
+  }
+
+  getFilteredImages() {
+    const { search, strategy, issuesOnly, aboveFoldOnly, lcpOnly } = this.filters;
+
+    const filtered = this.images.filter(img => {
+      if (search && !(img.src || '').toLowerCase().includes(search)) return false;
+      if (strategy !== 'all' && img.loadingStrategy !== strategy) return false;
+      if (issuesOnly && img.issueCount === 0) return false;
+      if (aboveFoldOnly && !img.isAboveFold) return false;
+      if (lcpOnly && !img.isLCP) return false;
+      return true;
+    });
+
+    const { key, direction } = this.sort;
+    const multiplier = direction === 'asc' ? 1 : -1;
+    return filtered.sort((a, b) => LazySpyUI.compareValues(a[key], b[key]) * multiplier);
+  }
+
+  renderTable() {
+    const images = this.getFilteredImages();
+
+    document.getElementById('tableHead').innerHTML = `
+      <tr>
+        ${this.columns.map(column => {
+          const indicator = this.sort.key === column.key ? (this.sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+          return `<th data-key="${column.key}">${column.label}${indicator}</th>`;
+        }).join('')}
+      </tr>
+    `;
+
+    document.getElementById('tableBody').innerHTML = images.map(img => `
+      <tr data-id="${img.id}" class="${img.id === this.selectedId ? 'selected' : ''}">
+        <td class="image-cell" title="${LazySpyUI.escapeHTML(img.src)}">${LazySpyUI.escapeHTML(this.getFileName(img.src))}${img.type === 'background' ? ' <span class="tag">bg</span>' : ''}</td>
+        <td><span class="strategy-dot" style="background: ${this.strategyColors[img.loadingStrategy] || '#6b7280'}"></span>${LazySpyUI.escapeHTML(img.loadingStrategy || 'unknown')}</td>
+        <td>${LazySpyUI.escapeHTML(LazySpyUI.formatSize(img))}</td>
+        <td class="score-${LazySpyUI.escapeHTML(img.scoreLevel || 'unknown')}">${img.optimizationScore !== undefined ? img.optimizationScore : 'N/A'}</td>
+        <td>${img.issueCount}</td>
+        <td>${img.isAboveFold ? 'Above' : 'Below'}</td>
+        <td>${img.isLCP ? 'Yes' : ''}</td>
+      </tr>
+    `).join('');
+
+    document.getElementById('tableSummary').textContent =
+      `${images.length} of ${this.images.length} images`;
+
+    if (this.images.length === 0) {
+      this.showEmptyState('No analyzed images. Activate Lazy Spy from the toolbar popup to analyze this page.');
+    } else if (images.length === 0) {
+      this.showEmptyState('No images match the current filters');
+    } else {
+      this.hideEmptyState();
+    }
+
+    this.renderDetails();
+  }
+
+  async selectImage(id) {
+    this.selectedId = id;
+    this.renderTable();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'focusImage',
+        tabId: this.currentTab.id,
+        imageId: id
+      });
+      if (!response || !response.success) {
+        this.showEmptyState('That image is no longer on the page - refresh the list');
+      }
+    } catch (error) {
+      console.error('Side panel: failed to focus image:', error);
+    }
+  }
+
+  renderDetails() {
+    const details = document.getElementById('imageDetails');
+    const img = this.images.find(image => image.id === this.selectedId);
+    if (!img) {
+      details.innerHTML = '';
+      return;
+    }
+
+    details.innerHTML = `
+      <div class="details-src">${LazySpyUI.escapeHTML(img.src)}</div>
+      <div class="details-facts">
+        <span>${LazySpyUI.escapeHTML(`${img.width}x${img.height}`)}</span>
+        <span>${LazySpyUI.escapeHTML(img.format || 'unknown')}</span>
+        <span>${LazySpyUI.escapeHTML(LazySpyUI.formatSize(img))}</span>
+        ${img.library ? `<span>${LazySpyUI.escapeHTML(img.library)}</span>` : ''}
+        ${img.componentName ? `<span>${LazySpyUI.escapeHTML(img.componentName)}</span>` : ''}
+        ${img.platformSourceName ? `<span>${LazySpyUI.escapeHTML(img.platformSourceName)}</span>` : ''}
+      </div>
+      ${LazySpyUI.renderFindings(img.findings)}
+    `;
+  }
+
+  showEmptyState(message) {
+    const emptyState = document.getElementById('emptyState');
+    emptyState.textContent = message;
+    emptyState.style.display = 'block';
+  }
+
+  hideEmptyState() {
+    document.getElementById('emptyState').style.display = 'none';
+  }
+
+  getFileName(src) {
+    if (!src) return 'Unknown';
+    try {
+      const url = new URL(src);
+      return url.pathname.split('/').pop() || url.hostname;
+    } catch (error) {
+      return src;
+    }
+  }
+}
+
+// Initialize side panel when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new SidePanelController();
+});
@@ -0,0 +1,429 @@
+// Site Crawler for Lazy Spy
+// Opens a list of URLs (or the pages in a sitemap) one at a time in a separate window, runs the
+// analysis on each, scrolls to trigger lazy images and aggregates the results into one site report
+
+class SiteCrawler {
+  constructor(options = {}) {
+    this.injectContentScript = options.injectContentScript || (() => Promise.resolve());
+    this.onProgress = options.onProgress || (() => {});
+    this.storage = options.storage || chrome.storage.local;
+    this.storageKey = 'crawlReport';
+    this.stateKey = 'crawlState'; // Progress, so a restarted service worker can pick the crawl up again
+    this.maxPages = 200;
+    this.maxSitemaps = 20; // Child sitemaps followed from a sitemap index
+    this.quotaRulesPerPage = 10; // Rules kept per page when storage runs out of room
+    this.pageLoadTimeout = 30000; // ms to wait for a page before analyzing it anyway
+    this.analysisDelay = 2000; // ms after activation for size probes and LCP to settle
+    this.scrollSettleDelay = 1000; // ms after the scroll pass for swapped-in images to load
+    this.cancelled = false;
+    this.state = this.createState();
+    this.ready = this.restore();
+  }
+
+  createState(urls = []) {
+    return {
+      status: 'idle', // idle | running | done | cancelled | error
+      urls,
+      current: null,
+      completed: 0,
+      pages: [],
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      saveError: null, // Set while progress cannot be stored, so a restart would lose the crawl
+      windowId: null
+    };
+  }
+
+  // Resumes a crawl the service worker was stopped in the middle of
+  async restore() {
+    try {
+      const result = await this.storage.get(this.stateKey);
+      const saved = result[this.stateKey];
+      if (!saved) return;
+
+      this.state = saved;
+      if (saved.status === 'running') {
+        if (saved.windowId !== null) {
+          await chrome.windows.remove(saved.windowId).catch(() => {});
+        }
+        this.run();
+      }
+    } catch (error) {
+      console.error('SiteCrawler: Failed to restore crawl progress:', error);
+    }
+  }
+
+  // Progress for the crawl page: page summaries without the per-page rule counts
+  getStatus() {
+    return {
+      ...this.state,
+      pages: this.state.pages.map(({ rules, ...summary }) => summary)
+    };
+  }
+
+  async start(input) {
+    await this.ready;
+    if (this.state.status === 'running') {
+      throw new Error('A crawl is already running');
+    }
+
+    const urls = await this.resolveUrls(input);
+    if (urls.length === 0) {
+      throw new Error('No http(s) URLs to crawl');
+    }
+
+    this.cancelled = false;
+    this.state = { ...this.createState(urls), status: 'running', startedAt: Date.now() };
+    this.notify();
+
+    // Runs in the background; progress goes out through onProgress
+    this.run();
+    return this.getStatus();
+  }
+
+  cancel() {
+    if (this.state.status === 'running') {
+      this.cancelled = true;
+    }
+  }
+
+  async run() {
+    try {
+      // Hidden tabs report no LCP and never reach the viewport checks that lazy loading relies on,
+      // so pages are crawled in a visible window of their own
+      const crawlWindow = await chrome.windows.create({ url: 'about:blank', type: 'normal', focused: true });
+      this.state.windowId = crawlWindow.id;
+      const tabId = crawlWindow.tabs[0].id;
+
+      for (const url of this.state.urls.slice(this.state.completed)) {
+        if (this.cancelled) break;
+        this.state.current = url;
+        this.notify();
+
+        this.state.pages.push(await this.crawlPage(tabId, url));
+        this.state.completed++;
+        await this.saveReport();
+        this.notify();
+      }
+
+      this.state.status = this.cancelled ? 'cancelled' : 'done';
+    } catch (error) {
+      this.state.status = 'error';
+      this.state.error = error.message;
+    } finally {
+      this.state.current = null;
+      this.state.finishedAt = Date.now();
+      if (this.state.windowId !== null) {
+        chrome.windows.remove(this.state.windowId).catch(() => {});
+        this.state.windowId = null;
+      }
+      await this.saveReport();
+      this.notify();
+    }
+  }
+
+  async crawlPage(tabId, url) {
+    const page = { url, title: '', error: null, stats: null, images: [], libraries: [] };
+
+    try {
+      const loaded = this.waitForLoad(tabId);
+      await chrome.tabs.update(tabId, { url });
+      await loaded;
+
+      const tab = await chrome.tabs.get(tabId);
+      page.url = tab.url || url;
+      page.title = tab.title || '';
+
+      await this.activate(tabId);
+      await this.delay(this.analysisDelay);
+
+      await this.sendToTab(tabId, { action: 'scrollThroughPage' });
+      await this.delay(this.scrollSettleDelay);
+
+      const imageResponse = await this.sendToTab(tabId, { action: 'getDetailedImageData' });
+      const statsResponse = await this.sendToTab(tabId, { action: 'getStats' });
+      const libraryResponse = await this.sendToTab(tabId, { action: 'getLibraryInfo' });
+
+      page.images = (imageResponse && imageResponse.images || []).map(img => this.compactImage(img));
+      page.stats = this.compactStats(statsResponse && statsResponse.stats);
+      page.libraries = libraryResponse && libraryResponse.detectedLibraries || [];
+    } catch (error) {
+      if (/No tab with id/i.test(error.message)) {
+        throw new Error('The crawl window was closed');
+      }
+      page.error = error.message;
+    }
+
+    return this.compactPage(page);
+  }
+
+  // Only the page summary and how often each rule fired are kept; the image lists are dropped
+  // once counted so the state of a long crawl fits in storage
+  compactPage(page) {
+    const rules = {};
+    page.images.forEach(img => img.findings.forEach(finding => {
+      const entry = rules[finding.ruleId] || { severity: finding.severity, example: finding.message, count: 0 };
+      entry.count++;
+      rules[finding.ruleId] = entry;
+    }));
+    return { ...this.summarizePage(page), rules };
+  }
+
+  // Resolves on the next load that completes after navigation starts, or after pageLoadTimeout
+  waitForLoad(tabId) {
+    return new Promise((resolve) => {
+      let started = false;
+      const finish = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId !== tabId) return;
+        if (changeInfo.status === 'loading') started = true;
+        if (changeInfo.status === 'complete' && started) finish();
+      };
+      const timer = setTimeout(finish, this.pageLoadTimeout);
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  }
+
+  // toggle flips the overlays, so flip again if the page was somehow already active.
+  // skipAuditSave keeps crawled pages from pushing the user's own runs out of audit history
+  async activate(tabId) {
+    const message = { action: 'toggle', skipAuditSave: true };
+    const response = await this.sendToTab(tabId, message);
+    if (response && response.isActive === false) {
+      await this.sendToTab(tabId, message);
+    }
+  }
+
+  async sendToTab(tabId, message) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      if (!error.message.includes('Could not establish connection')) throw error;
+      await this.injectContentScript(tabId);
+      return chrome.tabs.sendMessage(tabId, message);
+    }
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Accepts page URLs and sitemap.xml URLs (including sitemap indexes), one per line
+  async resolveUrls(input) {
+    const entries = (input || '').split(/\s+/).filter(Boolean);
+    const urls = [];
+
+    for (const entry of entries) {
+      if (/\.xml([?#]|$)/i.test(entry)) {
+        urls.push(...await this.fetchSitemap(entry));
+      } else {
+        urls.push(entry);
+      }
+    }
+
+    const unique = [...new Set(urls.filter(url => /^https?:\/\//i.test(url)))];
+    return unique.slice(0, this.maxPages);
+  }
+
+  async fetchSitemap(url, depth = 0) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not fetch sitemap ${url}: HTTP ${response.status}`);
+    }
+
+    // Service workers have no DOMParser; <loc> entries are simple enough to pull out directly
+    const xml = await response.text();
+    const locations = [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(match => this.decodeEntities(match[1]));
+
+    if (/<sitemapindex/i.test(xml)) {
+      if (depth > 0) return [];
+      const nested = [];
+      for (const location of locations.slice(0, this.maxSitemaps)) {
+        nested.push(...await this.fetchSitemap(location, depth + 1));
+      }
+      return nested;
+    }
+
+    return locations;
+  }
+
+  decodeEntities(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  compactImage(img) {
+    return {
+      src: img.src,
+      type: img.type,
+      loadingStrategy: img.loadingStrategy,
+      format: img.format,
+      sizeKB: img.fileSizeBytes ? img.fileSizeBytes / 1024 : this.parseFileSizeToKB(img.fileSize),
+      estimatedSavingsKB: (img.estimatedSavings || 0) / 1024,
+      optimizationScore: img.optimizationScore,
+      isLCP: !!img.isLCP,
+      isAboveFold: !!img.isAboveFold,
+      findings: (img.findings || []).map(finding => ({
+        ruleId: finding.ruleId,
+        severity: finding.severity,
+        message: finding.message
+      }))
+    };
+  }
+
+  compactStats(stats) {
+    if (!stats) return null;
+    return {
+      lcpValue: stats.lcpValue || null,
+      lcpCandidate: stats.lcpCandidate || null,
+      cls: stats.metrics && stats.metrics.cls ? stats.metrics.cls.value : null
+    };
+  }
+
+  parseFileSizeToKB(fileSize) {
+    if (!fileSize || fileSize === 'Unknown') return 0;
+
+    const match = String(fileSize).match(/^([\d.]+)\s*(KB|MB)$/i);
+    if (!match) return 0;
+    const value = parseFloat(match[1]);
+    return match[2].toUpperCase() === 'MB' ? value * 1024 : value;
+  }
+
+  isIssue(finding) {
+    return finding.severity === 'error' || finding.severity === 'warning';
+  }
+
+  summarizePage(page) {
+    const findingCounts = { error: 0, warning: 0, info: 0 };
+    page.images.forEach(img => img.findings.forEach(finding => {
+      if (findingCounts[finding.severity] !== undefined) findingCounts[finding.severity]++;
+    }));
+    const scores = page.images.map(img => img.optimizationScore).filter(score => typeof score === 'number');
+
+    return {
+      url: page.url,
+      title: page.title,
+      error: page.error,
+      totalImages: page.images.length,
+      imagesWithIssues: page.images.filter(img => img.findings.some(finding => this.isIssue(finding))).length,
+      findingCounts,
+      totalKB: Math.round(page.images.reduce((total, img) => total + img.sizeKB, 0)),
+      estimatedSavingsKB: Math.round(page.images.reduce((total, img) => total + img.estimatedSavingsKB, 0)),
+      averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      lcpValue: page.stats && page.stats.lcpValue ? Math.round(page.stats.lcpValue) : null,
+      lcpCandidate: page.stats ? page.stats.lcpCandidate : null,
+      libraries: page.libraries
+    };
+  }
+
+  // Site-level report: per-page summaries, totals, and which rules fire on how many pages
+  buildReport() {
+    const pages = this.getStatus().pages;
+    const analyzed = pages.filter(page => !page.error);
+
+    const rules = new Map();
+    const libraries = new Map();
+    this.state.pages.forEach(page => {
+      Object.entries(page.rules || {}).forEach(([ruleId, pageRule]) => {
+        const entry = rules.get(ruleId) || { ruleId, severity: pageRule.severity, example: pageRule.example, count: 0, pages: new Set() };
+        entry.count += pageRule.count;
+        entry.pages.add(page.url);
+        rules.set(ruleId, entry);
+      });
+      page.libraries.forEach(name => libraries.set(name, (libraries.get(name) || 0) + 1));
+    });
+
+    const lcpValues = analyzed.map(page => page.lcpValue).filter(Boolean);
+    const sum = key => analyzed.reduce((total, page) => total + page[key], 0);
+
+    return {
+      generated: new Date().toISOString(),
+      status: this.state.status,
+      startedAt: this.state.startedAt,
+      finishedAt: this.state.finishedAt,
+      totals: {
+        pages: pages.length,
+        pagesFailed: pages.length - analyzed.length,
+        images: sum('totalImages'),
+        imagesWithIssues: sum('imagesWithIssues'),
+        findingCounts: {
+          error: analyzed.reduce((total, page) => total + page.findingCounts.error, 0),
+          warning: analyzed.reduce((total, page) => total + page.findingCounts.warning, 0),
+          info: analyzed.reduce((total, page) => total + page.findingCounts.info, 0)
+        },
+        totalKB: sum('totalKB'),
+        estimatedSavingsKB: sum('estimatedSavingsKB'),
+        medianLCP: this.median(lcpValues)
+      },
+      rules: Array.from(rules.values())
+        .map(entry => ({ ...entry, pages: entry.pages.size }))
+        .sort((a, b) => b.pages - a.pages || b.count - a.count),
+      libraries: Array.from(libraries.entries())
+        .map(([name, count]) => ({ name, pages: count }))
+        .sort((a, b) => b.pages - a.pages),
+      pages
+    };
+  }
+
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+
+  async saveReport() {
+    try {
+      try {
+        await this.storage.set({ [this.storageKey]: this.buildReport(), [this.stateKey]: this.state });
+      } catch (error) {
+        if (!/quota/i.test(error.message)) throw error;
+        // Storage is full: keep each page's most frequent rules and store only the state the
+        // report is rebuilt from, then retry once
+        this.state.pages.forEach(page => { page.rules = this.getTopRules(page.rules, this.quotaRulesPerPage); });
+        await this.storage.remove(this.storageKey);
+        await this.storage.set({ [this.stateKey]: this.state });
+      }
+      this.state.saveError = null;
+    } catch (error) {
+      console.error('SiteCrawler: Failed to save crawl report:', error);
+      this.state.saveError = error.message;
+    }
+  }
+
+  getTopRules(rules, limit) {
+    return Object.fromEntries(Object.entries(rules || {})
+      .sort(([, a], [, b]) => b.count - a.count)
+      .slice(0, limit));
+  }
+
+  async getReport() {
+    await this.ready;
+    if (this.state.status !== 'idle') return this.buildReport();
+    const result = await this.storage.get(this.storageKey);
+    return result[this.storageKey] || null;
+  }
+
+  notify() {
+    this.onProgress(this.getStatus());
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteCrawler;
+}
+
+// Make available globally for background service worker
+if (typeof self !== 'undefined') {
+  self.SiteCrawler = SiteCrawler;
+}
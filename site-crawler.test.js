@@ -0,0 +1,116 @@
+const SiteCrawler = require('./site-crawler');
+
+const createStorage = () => {
+  const data = {};
+  return {
+    data,
+    failSetsWithReport: false,
+    async get(key) {
+      return key in data ? { [key]: data[key] } : {};
+    },
+    async set(values) {
+      if (this.failSetsWithReport && 'crawlReport' in values) {
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(data, JSON.parse(JSON.stringify(values)));
+    },
+    async remove(key) {
+      delete data[key];
+    }
+  };
+};
+
+const finding = (ruleId, severity) => ({ ruleId, severity, message: `${ruleId} message` });
+const rawPage = (url, images, options = {}) => ({
+  url,
+  title: url,
+  error: null,
+  stats: { lcpValue: options.lcp || null, lcpCandidate: null, cls: null },
+  libraries: options.libraries || [],
+  images: images.map(findings => ({ sizeKB: 50, estimatedSavingsKB: 10, optimizationScore: 80, findings })),
+  ...options.page
+});
+
+describe('SiteCrawler', () => {
+  let crawler;
+  let storage;
+
+  beforeEach(async () => {
+    storage = createStorage();
+    crawler = new SiteCrawler({ storage });
+    await crawler.ready;
+  });
+
+  test('median', () => {
+    expect(crawler.median([])).toBeNull();
+    expect(crawler.median([3000, 1000, 2000])).toBe(2000);
+    expect(crawler.median([1000, 2001])).toBe(1501);
+  });
+
+  describe('buildReport', () => {
+    test('aggregates totals, rules and libraries across pages', () => {
+      crawler.state.pages = [
+        crawler.compactPage(rawPage('https://example.com/a', [
+          [finding('lazy-above-fold', 'error'), finding('decoding-async', 'info')],
+          [finding('decoding-async', 'info')]
+        ], { lcp: 2000, libraries: ['lazysizes'] })),
+        crawler.compactPage(rawPage('https://example.com/b', [
+          [finding('decoding-async', 'info')]
+        ], { lcp: 4000, libraries: ['lazysizes'] })),
+        crawler.compactPage(rawPage('https://example.com/c', [], { page: { error: 'Timed out' } }))
+      ];
+
+      const report = crawler.buildReport();
+      expect(report.totals).toMatchObject({
+        pages: 3,
+        pagesFailed: 1,
+        images: 3,
+        imagesWithIssues: 1,
+        findingCounts: { error: 1, warning: 0, info: 3 },
+        totalKB: 150,
+        medianLCP: 3000
+      });
+      expect(report.rules.map(rule => [rule.ruleId, rule.pages, rule.count])).toEqual([
+        ['decoding-async', 2, 3],
+        ['lazy-above-fold', 1, 1]
+      ]);
+      expect(report.libraries).toEqual([{ name: 'lazysizes', pages: 2 }]);
+      expect(report.pages[0]).not.toHaveProperty('rules');
+    });
+  });
+
+  describe('saveReport', () => {
+    test('stores the report and the state', async () => {
+      crawler.state.pages = [crawler.compactPage(rawPage('https://example.com/a', [[finding('lazy-above-fold', 'error')]]))];
+      await crawler.saveReport();
+
+      expect(storage.data.crawlReport.totals.pages).toBe(1);
+      expect(storage.data.crawlState.pages[0]).not.toHaveProperty('images');
+      expect(crawler.state.saveError).toBeNull();
+    });
+
+    test('keeps only the state and each page\'s top rules when storage is full', async () => {
+      crawler.quotaRulesPerPage = 1;
+      crawler.state.pages = [crawler.compactPage(rawPage('https://example.com/a', [
+        [finding('decoding-async', 'info'), finding('lazy-above-fold', 'error')],
+        [finding('decoding-async', 'info')]
+      ]))];
+      storage.data.crawlReport = { stale: true };
+      storage.failSetsWithReport = true;
+
+      await crawler.saveReport();
+      expect(storage.data.crawlReport).toBeUndefined();
+      expect(Object.keys(storage.data.crawlState.pages[0].rules)).toEqual(['decoding-async']);
+      expect(crawler.state.saveError).toBeNull();
+    });
+
+    test('records the error when the state cannot be saved', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      storage.set = async () => { throw new Error('QUOTA_BYTES quota exceeded'); };
+
+      await crawler.saveReport();
+      expect(crawler.state.saveError).toMatch(/quota/i);
+      consoleError.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// Image Size Resolver for Lazy Spy
+// Resolves real image byte sizes and served formats: Resource Timing first, then a throttled
+// probe made by the background service worker (which is not subject to page CORS rules)
+
+class ImageSizeResolver {
+  constructor() {
+    this.cache = new Map(); // absolute URL -> size info
+    this.pending = new Map(); // absolute URL -> Promise<size info | null>
+    this.formatDetector = typeof ImageFormatDetector !== 'undefined' ? new ImageFormatDetector() : null;
+  }
+
+  normalizeUrl(url) {
+    try {
+      return new URL(url, location.href).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Synchronous lookup: cached result or Resource Timing, never a network request
+  getMeasuredSize(url) {
+    const absoluteUrl = this.normalizeUrl(url);
+    if (!absoluteUrl) return null;
+
+    if (this.cache.has(absoluteUrl)) {
+      return this.cache.get(absoluteUrl);
+    }
+
+    const info = this.fromResourceTiming(absoluteUrl);
+    if (info) {
+      this.cache.set(absoluteUrl, info);
+    }
+    return info;
+  }
+
+  fromResourceTiming(absoluteUrl) {
+    const entries = performance.getEntriesByName(absoluteUrl, 'resource');
+    const entry = entries[entries.length - 1];
+    if (!entry) return null;
+
+    // Cross-origin entries without Timing-Allow-Origin report zero for all sizes.
+    // encodedBodySize is the compressed payload; transferSize adds headers and is 0 on cache hits.
+    const bytes = entry.encodedBodySize || entry.transferSize || entry.decodedBodySize;
+    if (!bytes) return null;
+
+    // contentType is only exposed by newer Chrome versions
+    const format = entry.contentType && this.formatDetector
+      ? this.formatDetector.fromContentType(entry.contentType)
+      : null;
+
+    return {
+      bytes,
+      transferSize: entry.transferSize,
+      encodedBodySize: entry.encodedBodySize,
+      decodedBodySize: entry.decodedBodySize,
+      source: 'resource-timing',
+      measured: true,
+      contentType: entry.contentType || null,
+      format,
+      formatSource: format ? 'content-type' : null
+    };
+  }
+
+  // Asynchronous lookup that falls back to the background probe queue when either
+  // the size or the served format is still unknown
+  resolve(url) {
+    const absoluteUrl = this.normalizeUrl(url);
+    if (!absoluteUrl || !/^https?:/.test(absoluteUrl)) {
+      return Promise.resolve(null);
+    }
+
+    const measured = this.getMeasuredSize(absoluteUrl);
+    if (measured && measured.format) return Promise.resolve(measured);
+
+    if (this.pending.has(absoluteUrl)) {
+      return this.pending.get(absoluteUrl);
+    }
+
+    const request = chrome.runtime.sendMessage({ action: 'probeImage', url: absoluteUrl })
+      .then(response => {
+        if (!response || (!response.bytes && !response.format)) return measured;
+
+        // Resource Timing sizes are what this page actually downloaded, so they win over the probe
+        const info = measured
+          ? { ...measured }
+          : {
+            bytes: response.bytes,
+            transferSize: null,
+            encodedBodySize: response.bytes,
+            decodedBodySize: null,
+            source: 'head-request',
+            measured: !!response.bytes
+          };
+
+        info.contentType = response.contentType || info.contentType || null;
+        info.format = response.format || null;
+        info.formatSource = response.formatSource || null;
+
+        this.cache.set(absoluteUrl, info);
+        return info;
+      })
+      .catch(() => measured)
+      .finally(() => {
+        this.pending.delete(absoluteUrl);
+      });
+
+    this.pending.set(absoluteUrl, request);
+    return request;
+  }
+
+  formatBytes(bytes) {
+    const kb = Math.round(bytes / 1024);
+    return kb > 1024 ? `${Math.round(kb / 1024)}MB` : `${kb}KB`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageSizeResolver;
+}
+
+// Make available globally for content script
+if (typeof window !== 'undefined') {
+  window.ImageSizeResolver = ImageSizeResolver;
+}
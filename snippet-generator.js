@@ -0,0 +1,262 @@
+// Snippet Generator for Lazy Spy
+// Rewrites an image tag with the attributes its findings call for, plus the matching preload link for LCP images
+
+class SnippetGenerator {
+  constructor() {
+    this.candidateWidths = [320, 480, 640, 768, 960, 1280, 1600, 1920, 2560];
+    this.fullWidthRatio = 0.9; // Images at least this share of the viewport get sizes="100vw"
+    this.lazyAttributes = { 'data-src': 'src', 'data-srcset': 'srcset', 'data-sizes': 'sizes' };
+    // Libraries that keep the real URL somewhere other than data-src
+    this.libraryLazyAttributes = {
+      'wp-rocket': { 'data-lazy-src': 'src', 'data-lazy-srcset': 'srcset', 'data-lazy-sizes': 'sizes' },
+      'lazyload-wp': { 'data-lazy-src': 'src', 'data-lazy-srcset': 'srcset' },
+      'jquery-lazyload': { 'data-original': 'src' },
+      'echo': { 'data-echo': 'src' }
+    };
+    this.resizeParam = /([?&](?:w|width|imwidth)=)\d+/i; // CDN query parameters that select the output width
+  }
+
+  // Returns { html, preload, changes, placeholderUrls }; html is null for background images
+  generate(img, data) {
+    if (!img || data.isBackgroundImage || img.tagName !== 'IMG') {
+      const preload = data.isLCP && data.src ? this.buildPreload({ href: data.src }) : null;
+      return {
+        html: null,
+        preload,
+        changes: preload ? ['Preload the background image so it is discovered before the CSS applies'] : [],
+        placeholderUrls: false
+      };
+    }
+
+    const fixed = this.getFixedAttributes(img, data);
+    const preload = data.isLCP ? this.buildPreload({
+      href: fixed.attributes.get('src'),
+      imagesrcset: fixed.attributes.get('srcset'),
+      imagesizes: fixed.attributes.get('sizes')
+    }) : null;
+
+    return {
+      html: this.serialize('img', fixed.attributes),
+      preload,
+      changes: fixed.changes,
+      placeholderUrls: fixed.placeholderUrls
+    };
+  }
+
+  // The attributes the image should have, in source order with additions at the end.
+  // removed lists attributes that should be dropped from the live element, moved the native
+  // attributes that took over a library's data-* value.
+  // options.dimensions / options.responsive: false skip width/height and srcset/sizes, which only
+  // make sense in authored markup (natural dimensions and placeholder URLs would break a live page)
+  getFixedAttributes(img, data, options = {}) {
+    const attributes = new Map();
+    Array.from(img.attributes).forEach(attr => {
+      if (!attr.name.startsWith('data-lazy-spy')) attributes.set(attr.name, attr.value);
+    });
+
+    const changes = [];
+    const removed = [];
+    const moved = [];
+    const set = (name, value, reason) => {
+      if (attributes.get(name) === value) return;
+      attributes.set(name, value);
+      if (!changes.includes(reason)) changes.push(reason);
+    };
+    const remove = (name, reason) => {
+      if (!attributes.has(name)) return;
+      attributes.delete(name);
+      removed.push(name);
+      if (reason) changes.push(reason);
+    };
+
+    const isAboveFold = data.position === 'above-fold' || data.isLCP;
+    let placeholderUrls = false;
+
+    // Lazy-loading libraries hide the real URL in data-*; native loading makes them unnecessary
+    const lazyAttributes = this.getLazyAttributes(data.library);
+    if (data.library && data.library !== 'native' && attributes.has(this.getSourceAttribute(data.library))) {
+      Object.entries(lazyAttributes).forEach(([from, to]) => {
+        if (!attributes.has(from)) return;
+        const value = attributes.get(from);
+        remove(from);
+        if (to === 'sizes' && value === 'auto') return;
+        set(to, value, `Moved ${from} to ${to} so the browser can discover the image without ${data.library}`);
+        moved.push(to);
+      });
+    }
+
+    if (isAboveFold) {
+      if (attributes.get('loading') === 'lazy') set('loading', 'eager', 'Load above-fold image eagerly');
+    } else if (attributes.get('loading') !== 'lazy') {
+      set('loading', 'lazy', 'Lazy load below-fold image');
+    }
+
+    const fetchPriority = this.getFetchPriority(attributes.get('fetchpriority'), data);
+    if (fetchPriority) {
+      set('fetchpriority', fetchPriority, `Set fetchpriority="${fetchPriority}"`);
+    } else if (attributes.get('fetchpriority') === 'high' && !isAboveFold) {
+      remove('fetchpriority', 'Drop fetchpriority="high" from a below-fold image');
+    }
+
+    if (attributes.get('decoding') !== 'async') {
+      set('decoding', 'async', 'Decode off the main thread');
+    }
+
+    // Until a JS loader swaps the real image in, naturalWidth/naturalHeight describe its placeholder
+    const intrinsicKnown = this.hasLoadedRealImage(img, data);
+
+    if (options.dimensions !== false && intrinsicKnown) {
+      this.addDimensions(img, attributes, set);
+    }
+
+    if (options.responsive !== false && intrinsicKnown) {
+      const renderedWidth = this.getRenderedWidth(img);
+      if (!attributes.get('srcset')) {
+        const srcset = this.buildSrcset(attributes.get('src'), img.naturalWidth, renderedWidth);
+        if (srcset) {
+          set('srcset', srcset.value, 'Add srcset so smaller screens get smaller files');
+          set('sizes', this.buildSizes(renderedWidth), 'Add sizes matching the rendered width');
+          placeholderUrls = srcset.placeholderUrls;
+        }
+      } else if (this.needsSizes(attributes, data)) {
+        set('sizes', this.buildSizes(renderedWidth), 'Match sizes to the rendered width');
+      }
+    }
+
+    return { attributes, removed, moved, changes, placeholderUrls };
+  }
+
+  getLazyAttributes(library) {
+    return this.libraryLazyAttributes[library] || this.lazyAttributes;
+  }
+
+  // The data-* attribute holding the real image URL for a library
+  getSourceAttribute(library) {
+    return Object.keys(this.getLazyAttributes(library))[0];
+  }
+
+  // False while a lazy-loading library still shows its placeholder instead of the data-* URL
+  hasLoadedRealImage(img, data) {
+    if (!data.library || data.library === 'native') return true;
+    const lazySrc = img.getAttribute(this.getSourceAttribute(data.library));
+    if (!lazySrc) return true;
+
+    try {
+      const url = new URL(lazySrc, document.baseURI).href;
+      return url === img.src || url === img.currentSrc;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getFetchPriority(current, data) {
+    if (data.isLCP) return 'high';
+    const analysis = data.optimization && data.optimization.fetchPriorityAnalysis;
+    if (analysis && analysis.shouldUpgrade && current !== analysis.recommendedPriority) {
+      return analysis.recommendedPriority;
+    }
+    return null;
+  }
+
+  addDimensions(img, attributes, set) {
+    const naturalWidth = img.naturalWidth;
+    const naturalHeight = img.naturalHeight;
+    if (!naturalWidth || !naturalHeight) return;
+
+    const width = parseFloat(attributes.get('width'));
+    const height = parseFloat(attributes.get('height'));
+    if (width && height) return;
+
+    // Keep an existing dimension and derive the other from the aspect ratio
+    if (width) {
+      set('height', String(Math.round(width * naturalHeight / naturalWidth)), 'Add height to reserve space and prevent layout shift');
+    } else if (height) {
+      set('width', String(Math.round(height * naturalWidth / naturalHeight)), 'Add width to reserve space and prevent layout shift');
+    } else {
+      set('width', String(naturalWidth), 'Add width and height to reserve space and prevent layout shift');
+      set('height', String(naturalHeight), 'Add width and height to reserve space and prevent layout shift');
+    }
+  }
+
+  needsSizes(attributes, data) {
+    if (!/\d+w(\s|,|$)/.test(attributes.get('srcset'))) return false;
+    if (!attributes.get('sizes')) return true;
+    const issues = data.srcsetAudit && data.srcsetAudit.issues || [];
+    return issues.some(issue => issue.type === 'sizes-too-large' || issue.type === 'sizes-too-small');
+  }
+
+  getRenderedWidth(img) {
+    try {
+      return Math.round(img.getBoundingClientRect().width) || img.width || 0;
+    } catch (error) {
+      return img.width || 0;
+    }
+  }
+
+  // Candidates from half the rendered width up to the intrinsic width
+  buildSrcset(src, naturalWidth, renderedWidth) {
+    if (!src || src.startsWith('data:') || !naturalWidth || !renderedWidth) return null;
+
+    const widths = this.candidateWidths.filter(width => width < naturalWidth && width >= renderedWidth / 2);
+    widths.push(naturalWidth);
+    if (widths.length < 2) return null;
+
+    const placeholderUrls = !this.resizeParam.test(src);
+    return {
+      value: widths.map(width => `${this.buildCandidateUrl(src, width, width === naturalWidth)} ${width}w`).join(', '),
+      placeholderUrls
+    };
+  }
+
+  // Uses the CDN width parameter when there is one, otherwise a name-480w.jpg pattern
+  buildCandidateUrl(src, width, isOriginal) {
+    if (this.resizeParam.test(src)) {
+      return src.replace(this.resizeParam, `$1${width}`);
+    }
+    if (isOriginal) return src;
+    return src.replace(/(\.[a-z0-9]+)?([?#].*)?$/i, (match, extension = '', suffix = '') => `-${width}w${extension}${suffix}`);
+  }
+
+  buildSizes(renderedWidth) {
+    if (!renderedWidth) return '100vw';
+    return renderedWidth >= window.innerWidth * this.fullWidthRatio ? '100vw' : `${renderedWidth}px`;
+  }
+
+  buildPreload({ href, imagesrcset, imagesizes }) {
+    const attributes = new Map([['rel', 'preload'], ['as', 'image']]);
+    if (href) attributes.set('href', href);
+    if (imagesrcset) attributes.set('imagesrcset', imagesrcset);
+    if (imagesrcset && imagesizes) attributes.set('imagesizes', imagesizes);
+    attributes.set('fetchpriority', 'high');
+    return this.serialize('link', attributes);
+  }
+
+  serialize(tagName, attributes) {
+    const parts = Array.from(attributes.entries()).map(([name, value]) => `${name}="${this.escapeAttribute(value)}"`);
+    return `<${tagName} ${parts.join(' ')}>`;
+  }
+
+  // Text for the clipboard: the preload goes in <head>, the tag replaces the original
+  toText(snippet) {
+    return [
+      snippet.preload ? `<!-- In <head> -->\n${snippet.preload}` : null,
+      snippet.html
+    ].filter(Boolean).join('\n');
+  }
+
+  escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnippetGenerator;
+}
+
+// Make available globally for content script
+if (typeof window !== 'undefined') {
+  window.SnippetGenerator = SnippetGenerator;
+}
@@ -0,0 +1,547 @@
+// Srcset Auditor for Lazy Spy
+// Parses srcset/sizes, predicts the candidate the browser should pick and flags common mistakes
+
+class SrcsetAuditor {
+  constructor() {
+    this.gapRatio = 2; // consecutive candidates further apart than this leave a gap
+    this.sizesTolerance = 1.5; // sizes may be off from the rendered width by this factor
+    this.minSizesDifference = 50; // ...and by at least this many CSS px
+    this.baseFontSize = 16; // em/rem in sizes and media queries use the initial font size
+  }
+
+  getViewport() {
+    return {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      live: true
+    };
+  }
+
+  // options.viewport: { width, height, devicePixelRatio } to evaluate for a simulated screen
+  // options.renderedWidth: layout width in CSS px, defaults to the element's current width
+  audit(img, options = {}) {
+    const attribute = img.getAttribute('srcset') ? 'srcset' : (img.getAttribute('data-srcset') ? 'data-srcset' : null);
+    if (!attribute) return { hasSrcset: false };
+
+    const viewport = options.viewport || this.getViewport();
+    const srcset = img.getAttribute(attribute);
+    const sizes = (attribute === 'data-srcset' && img.getAttribute('data-sizes')) || img.getAttribute('sizes');
+    const renderedWidth = options.renderedWidth !== undefined ? options.renderedWidth : img.getBoundingClientRect().width;
+    const dpr = viewport.devicePixelRatio || 1;
+    const issues = [];
+
+    const candidates = this.parseSrcset(srcset);
+    const invalid = candidates.filter(candidate => candidate.invalid);
+    const valid = candidates.filter(candidate => !candidate.invalid);
+    const widthCandidates = valid.filter(candidate => candidate.width);
+    const densityCandidates = valid.filter(candidate => !candidate.width);
+
+    // The src attribute is an implicit 1x candidate for density-based srcsets
+    const src = img.getAttribute('src');
+    if (src && widthCandidates.length === 0 && !densityCandidates.some(candidate => candidate.density === 1)) {
+      valid.push({ url: src, width: null, density: 1, fromSrc: true });
+    }
+
+    if (invalid.length > 0) {
+      issues.push({
+        type: 'invalid-descriptor',
+        message: `srcset has ${invalid.length} candidate(s) with invalid descriptors (${invalid.map(candidate => candidate.descriptors || 'none').join(', ')})`
+      });
+    }
+
+    let descriptorType = 'x';
+    if (widthCandidates.length > 0 && densityCandidates.length > 0) {
+      descriptorType = 'mixed';
+      issues.push({
+        type: 'mixed-descriptors',
+        message: 'srcset mixes w and x descriptors - use w descriptors with sizes throughout'
+      });
+    } else if (widthCandidates.length > 0) {
+      descriptorType = 'w';
+    }
+
+    const duplicates = this.findDuplicateDescriptors(valid);
+    if (duplicates.length > 0) {
+      issues.push({
+        type: 'duplicate-descriptor',
+        message: `srcset repeats the ${duplicates.join(', ')} descriptor - the browser ignores the duplicates`
+      });
+    }
+
+    let sourceSize = null;
+    if (descriptorType === 'w') {
+      sourceSize = this.evaluateSizes(sizes, viewport, renderedWidth);
+      this.auditSizes(sizes, sourceSize, renderedWidth, viewport, issues);
+      this.auditCandidateCoverage(widthCandidates, renderedWidth, dpr, issues);
+    } else {
+      if (sizes) {
+        issues.push({
+          type: 'sizes-ignored',
+          message: 'sizes has no effect without w descriptors in srcset'
+        });
+      }
+      if (renderedWidth && renderedWidth > viewport.width * 0.5) {
+        issues.push({
+          type: 'missing-w-descriptors',
+          message: `srcset uses density descriptors on an image rendered at ${Math.round(renderedWidth / viewport.width * 100)}% of the viewport - use w descriptors with sizes so the browser picks by layout width`
+        });
+      }
+    }
+
+    const predicted = this.selectCandidate(valid.filter(candidate => descriptorType !== 'w' || candidate.width),
+      sourceSize ? sourceSize.value : null, dpr);
+
+    // Only the live, already-loaded srcset can be compared with what the browser fetched
+    let matchesPrediction = null;
+    let loaded = null;
+    if (viewport.live && attribute === 'srcset' && img.currentSrc && predicted) {
+      loaded = valid.find(candidate => this.resolveUrl(candidate.url) === img.currentSrc) || null;
+      // currentSrc outside this srcset means a <picture> source won, which is audited separately
+      if (loaded) {
+        matchesPrediction = loaded === predicted;
+        if (!matchesPrediction) {
+          const bigger = this.getCandidateDensity(loaded, sourceSize) > this.getCandidateDensity(predicted, sourceSize);
+          issues.push({
+            type: 'unexpected-candidate',
+            message: `Browser loaded ${this.describeCandidate(loaded)} but ${this.describeCandidate(predicted)} fits this layout${bigger ? ' (a larger cached candidate or a wrong sizes value)' : ''}`
+          });
+        }
+      }
+    }
+
+    return {
+      hasSrcset: true,
+      attribute,
+      srcset,
+      sizes: sizes || null,
+      descriptorType,
+      candidates: valid.map(candidate => ({ url: candidate.url, width: candidate.width, density: candidate.density })),
+      sourceSize: sourceSize ? Math.round(sourceSize.value) : null,
+      sizesEntry: sourceSize ? sourceSize.entry : null,
+      renderedWidth: Math.round(renderedWidth || 0),
+      devicePixelRatio: dpr,
+      predicted: predicted ? { url: predicted.url, width: predicted.width, density: predicted.density } : null,
+      loaded: loaded ? { url: loaded.url, width: loaded.width, density: loaded.density } : null,
+      currentSrc: img.currentSrc || null,
+      matchesPrediction,
+      issues
+    };
+  }
+
+  auditSizes(sizes, sourceSize, renderedWidth, viewport, issues) {
+    if (!renderedWidth) return;
+
+    const difference = Math.abs(sourceSize.value - renderedWidth);
+    if (difference < this.minSizesDifference) return;
+
+    if (!sizes) {
+      if (sourceSize.value > renderedWidth * this.sizesTolerance) {
+        issues.push({
+          type: 'missing-sizes',
+          message: `srcset has w descriptors but no sizes, so the browser assumes 100vw (${viewport.width}px) for an image rendered at ${Math.round(renderedWidth)}px`
+        });
+      }
+      return;
+    }
+
+    if (sourceSize.value > renderedWidth * this.sizesTolerance) {
+      const isFullWidth = /^100vw$/i.test(sourceSize.length || '');
+      issues.push({
+        type: 'sizes-too-large',
+        message: isFullWidth ?
+          `sizes="100vw" on an image rendered at ${Math.round(renderedWidth)}px - the browser downloads a candidate for ${viewport.width}px` :
+          `sizes resolves to ${Math.round(sourceSize.value)}px but the image renders at ${Math.round(renderedWidth)}px - the browser downloads a larger candidate than needed`
+      });
+    } else if (sourceSize.value * this.sizesTolerance < renderedWidth) {
+      issues.push({
+        type: 'sizes-too-small',
+        message: `sizes resolves to ${Math.round(sourceSize.value)}px but the image renders at ${Math.round(renderedWidth)}px - it may look blurry`
+      });
+    }
+  }
+
+  auditCandidateCoverage(widthCandidates, renderedWidth, dpr, issues) {
+    const widths = [...new Set(widthCandidates.map(candidate => candidate.width))].sort((a, b) => a - b);
+
+    const gaps = [];
+    for (let i = 1; i < widths.length; i++) {
+      if (widths[i] / widths[i - 1] > this.gapRatio) {
+        gaps.push(`${widths[i - 1]}w → ${widths[i]}w`);
+      }
+    }
+    if (gaps.length > 0) {
+      issues.push({
+        type: 'candidate-gap',
+        message: `Large gaps between srcset candidates (${gaps.join(', ')}) - add intermediate widths`
+      });
+    }
+
+    const neededWidth = Math.round(renderedWidth * dpr);
+    const largest = widths[widths.length - 1];
+    if (renderedWidth && largest && largest < neededWidth * 0.9) {
+      issues.push({
+        type: 'candidates-too-small',
+        message: `Largest srcset candidate (${largest}w) is smaller than the ${neededWidth}px needed at ${dpr}x`
+      });
+    }
+  }
+
+  // Follows Chromium: the first candidate dense enough for the screen, or the one below it
+  // when the geometric mean of the two still covers the device pixel ratio
+  selectCandidate(candidates, sourceSize, dpr) {
+    const sorted = candidates
+      .map(candidate => ({ candidate, density: this.getCandidateDensity(candidate, sourceSize ? { value: sourceSize } : null) }))
+      .filter(entry => entry.density > 0)
+      .sort((a, b) => a.density - b.density);
+
+    if (sorted.length === 0) return null;
+
+    for (let i = 0; i < sorted.length; i++) {
+      if (sorted[i].density >= dpr) {
+        if (i > 0 && Math.sqrt(sorted[i - 1].density * sorted[i].density) > dpr) {
+          return sorted[i - 1].candidate;
+        }
+        return sorted[i].candidate;
+      }
+    }
+
+    return sorted[sorted.length - 1].candidate;
+  }
+
+  getCandidateDensity(candidate, sourceSize) {
+    if (candidate.width) {
+      return sourceSize && sourceSize.value > 0 ? candidate.width / sourceSize.value : 0;
+    }
+    return candidate.density || 1;
+  }
+
+  describeCandidate(candidate) {
+    if (candidate.width) return `${candidate.width}w`;
+    return `${candidate.density}x${candidate.fromSrc ? ' (src)' : ''}`;
+  }
+
+  findDuplicateDescriptors(candidates) {
+    const seen = new Set();
+    const duplicates = new Set();
+    candidates.forEach(candidate => {
+      const key = candidate.width ? `${candidate.width}w` : `${candidate.density}x`;
+      if (seen.has(key)) duplicates.add(key);
+      seen.add(key);
+    });
+    return [...duplicates];
+  }
+
+  // Follows the HTML srcset parsing rules closely enough for URLs that contain commas
+  parseSrcset(srcset) {
+    const candidates = [];
+    const text = srcset || '';
+    let pos = 0;
+
+    while (pos < text.length) {
+      while (pos < text.length && /[\s,]/.test(text[pos])) pos++;
+      if (pos >= text.length) break;
+
+      let start = pos;
+      while (pos < text.length && !/\s/.test(text[pos])) pos++;
+      let url = text.slice(start, pos);
+      let descriptors = '';
+
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        start = pos;
+        let inParens = false;
+        while (pos < text.length && (inParens || text[pos] !== ',')) {
+          if (text[pos] === '(') inParens = true;
+          if (text[pos] === ')') inParens = false;
+          pos++;
+        }
+        descriptors = text.slice(start, pos).trim();
+        pos++;
+      }
+
+      candidates.push(this.parseDescriptors(url, descriptors));
+    }
+
+    return candidates;
+  }
+
+  parseDescriptors(url, descriptors) {
+    const candidate = { url, width: null, density: null, height: null, descriptors, invalid: false };
+
+    descriptors.split(/\s+/).filter(Boolean).forEach(token => {
+      if (/^\d+w$/.test(token) && candidate.width === null && candidate.density === null) {
+        candidate.width = parseInt(token, 10);
+      } else if (/^\d*\.?\d+x$/.test(token) && candidate.width === null && candidate.density === null) {
+        candidate.density = parseFloat(token);
+      } else if (/^\d+h$/.test(token) && candidate.height === null) {
+        candidate.height = parseInt(token, 10);
+      } else {
+        candidate.invalid = true;
+      }
+    });
+
+    if (candidate.width === 0 || candidate.density === 0) candidate.invalid = true;
+    if (!candidate.width && candidate.density === null) candidate.density = 1;
+
+    return candidate;
+  }
+
+  evaluateSizes(sizes, viewport, renderedWidth) {
+    const fallback = { value: viewport.width, length: '100vw', entry: null };
+    if (!sizes || !sizes.trim()) return fallback;
+
+    for (const entry of this.splitTopLevel(sizes, ',')) {
+      const { condition, length } = this.parseSourceSize(entry);
+      if (!length) continue;
+      if (condition && !this.matchesMediaCondition(condition, viewport)) continue;
+
+      if (length.toLowerCase() === 'auto') {
+        return { value: renderedWidth || viewport.width, length, entry: entry.trim() };
+      }
+
+      const value = this.evaluateLength(length, viewport);
+      // Invalid entries are skipped, like the browser does
+      if (value === null || value < 0) continue;
+      return { value, length, entry: entry.trim() };
+    }
+
+    return fallback;
+  }
+
+  parseSourceSize(entry) {
+    const trimmed = entry.trim();
+    const functionMatch = trimmed.match(/(?:^|\s)((?:calc|min|max|clamp)\(.*\))$/i);
+    if (functionMatch) {
+      return {
+        condition: trimmed.slice(0, trimmed.length - functionMatch[1].length).trim(),
+        length: functionMatch[1]
+      };
+    }
+
+    const lastSpace = trimmed.lastIndexOf(' ');
+    return {
+      condition: lastSpace >= 0 ? trimmed.slice(0, lastSpace).trim() : '',
+      length: trimmed.slice(lastSpace + 1)
+    };
+  }
+
+  matchesMediaCondition(condition, viewport) {
+    if (!condition) return true;
+    if (viewport.live) {
+      try {
+        return window.matchMedia(condition).matches;
+      } catch (error) {
+        return false;
+      }
+    }
+    return this.evaluateMediaCondition(condition, viewport);
+  }
+
+  // Evaluates a media condition against a simulated viewport (window.matchMedia only knows the real one)
+  evaluateMediaCondition(condition, viewport) {
+    const text = condition.trim().toLowerCase();
+
+    if (text.startsWith('not ')) {
+      return !this.evaluateMediaCondition(text.slice(4), viewport);
+    }
+
+    const orParts = this.splitTopLevel(text, ' or ');
+    if (orParts.length > 1) {
+      return orParts.some(part => this.evaluateMediaCondition(part, viewport));
+    }
+
+    const andParts = this.splitTopLevel(text, ' and ');
+    if (andParts.length > 1) {
+      return andParts.every(part => this.evaluateMediaCondition(part, viewport));
+    }
+
+    if (text.startsWith('(') && text.endsWith(')')) {
+      const inner = text.slice(1, -1).trim();
+      if (inner.startsWith('(') || inner.startsWith('not ')) {
+        return this.evaluateMediaCondition(inner, viewport);
+      }
+      return this.evaluateMediaFeature(inner, viewport);
+    }
+
+    return false;
+  }
+
+  evaluateMediaFeature(feature, viewport) {
+    const dpr = viewport.devicePixelRatio || 1;
+    const colonMatch = feature.match(/^([a-z-]+)\s*:\s*(.+)$/);
+
+    if (colonMatch) {
+      const [, name, value] = colonMatch;
+      switch (name) {
+        case 'min-width': return viewport.width >= this.evaluateLength(value, viewport);
+        case 'max-width': return viewport.width <= this.evaluateLength(value, viewport);
+        case 'min-height': return viewport.height >= this.evaluateLength(value, viewport);
+        case 'max-height': return viewport.height <= this.evaluateLength(value, viewport);
+        case 'orientation': return value.trim() === (viewport.height >= viewport.width ? 'portrait' : 'landscape');
+        case 'min-resolution': return dpr >= this.toDppx(value);
+        case 'max-resolution': return dpr <= this.toDppx(value);
+        case '-webkit-min-device-pixel-ratio': return dpr >= parseFloat(value);
+        case '-webkit-max-device-pixel-ratio': return dpr <= parseFloat(value);
+      }
+    }
+
+    // Range syntax: (width >= 600px), (400px <= width <= 700px)
+    const parts = feature.split(/\s*(<=|>=|<|>|=)\s*/);
+    if (parts.length >= 3 && parts.some(part => part === 'width' || part === 'height')) {
+      const valueOf = part => {
+        if (part === 'width') return viewport.width;
+        if (part === 'height') return viewport.height;
+        return this.evaluateLength(part, viewport);
+      };
+      for (let i = 0; i + 2 < parts.length; i += 2) {
+        if (!this.compare(valueOf(parts[i]), parts[i + 1], valueOf(parts[i + 2]))) return false;
+      }
+      return true;
+    }
+
+    // Features that don't depend on the viewport (prefers-*, hover, ...) match the real device
+    try {
+      return window.matchMedia(`(${feature})`).matches;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  compare(left, operator, right) {
+    if (left === null || right === null) return false;
+    switch (operator) {
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      default: return left === right;
+    }
+  }
+
+  toDppx(value) {
+    const match = value.trim().match(/^([\d.]+)(dppx|x|dpi|dpcm)$/);
+    if (!match) return NaN;
+    const number = parseFloat(match[1]);
+    if (match[2] === 'dpi') return number / 96;
+    if (match[2] === 'dpcm') return number * 2.54 / 96;
+    return number;
+  }
+
+  // Resolves a CSS length (including calc/min/max/clamp) to CSS px, or null when unsupported
+  evaluateLength(text, viewport) {
+    const tokens = text.trim().toLowerCase().match(/[a-z-]+\(|\d*\.?\d+(?:e[+-]?\d+)?[a-z%]*|[-+*/(),]/g) || [];
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    const parseExpression = () => {
+      let value = parseTerm();
+      while (peek() === '+' || peek() === '-') {
+        const operator = next();
+        const right = parseTerm();
+        value = operator === '+' ? value + right : value - right;
+      }
+      return value;
+    };
+
+    const parseTerm = () => {
+      let value = parseFactor();
+      while (peek() === '*' || peek() === '/') {
+        const operator = next();
+        const right = parseFactor();
+        value = operator === '*' ? value * right : value / right;
+      }
+      return value;
+    };
+
+    const parseFactor = () => {
+      const token = next();
+      if (token === undefined) throw new Error('Unexpected end of length');
+      if (token === '-') return -parseFactor();
+      if (token === '(') {
+        const value = parseExpression();
+        next();
+        return value;
+      }
+      if (token.endsWith('(')) {
+        const name = token.slice(0, -1);
+        const args = [parseExpression()];
+        while (peek() === ',') {
+          next();
+          args.push(parseExpression());
+        }
+        next();
+        if (name === 'calc') return args[0];
+        if (name === 'min') return Math.min(...args);
+        if (name === 'max') return Math.max(...args);
+        if (name === 'clamp') return Math.min(Math.max(args[0], args[1]), args[2]);
+        throw new Error(`Unsupported function ${name}`);
+      }
+      return this.unitToPixels(token, viewport);
+    };
+
+    try {
+      const value = parseExpression();
+      return pos === tokens.length && isFinite(value) ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  unitToPixels(token, viewport) {
+    const match = token.match(/^(\d*\.?\d+(?:e[+-]?\d+)?)([a-z%]*)$/);
+    if (!match) throw new Error(`Invalid length ${token}`);
+
+    const value = parseFloat(match[1]);
+    switch (match[2]) {
+      case '': return value; // plain number inside calc()
+      case 'px': return value;
+      case 'vw': case 'svw': case 'lvw': case 'dvw': return value * viewport.width / 100;
+      case 'vh': case 'svh': case 'lvh': case 'dvh': return value * viewport.height / 100;
+      case 'vmin': return value * Math.min(viewport.width, viewport.height) / 100;
+      case 'vmax': return value * Math.max(viewport.width, viewport.height) / 100;
+      case 'em': case 'rem': return value * this.baseFontSize;
+      default: throw new Error(`Unsupported unit ${match[2]}`);
+    }
+  }
+
+  // Splits on a separator that is not nested inside parentheses
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '(') depth++;
+      else if (text[i] === ')') depth--;
+      else if (depth === 0 && text.startsWith(separator, i)) {
+        parts.push(text.slice(start, i));
+        start = i + separator.length;
+        i += separator.length - 1;
+      }
+    }
+    parts.push(text.slice(start));
+
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  resolveUrl(url) {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SrcsetAuditor;
+}
+
+// Make available globally for content script
+if (typeof window !== 'undefined') {
+  window.SrcsetAuditor = SrcsetAuditor;
+}
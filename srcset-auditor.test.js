@@ -0,0 +1,63 @@
+const SrcsetAuditor = require('./srcset-auditor');
+
+describe('SrcsetAuditor', () => {
+  const auditor = new SrcsetAuditor();
+  const viewport = { width: 400, height: 800, devicePixelRatio: 2 };
+
+  describe('parseSrcset', () => {
+    test('parses width descriptors', () => {
+      const candidates = auditor.parseSrcset('a.jpg 320w, b.jpg 640w');
+      expect(candidates.map(candidate => [candidate.url, candidate.width])).toEqual([['a.jpg', 320], ['b.jpg', 640]]);
+    });
+
+    test('defaults a candidate without a descriptor to 1x', () => {
+      const [candidate] = auditor.parseSrcset('a.jpg');
+      expect(candidate.density).toBe(1);
+      expect(candidate.invalid).toBe(false);
+    });
+
+    test('keeps commas that are part of the URL', () => {
+      const candidates = auditor.parseSrcset('https://cdn.test/w_320,q_80/a.jpg 1x, https://cdn.test/w_640,q_80/a.jpg 2x');
+      expect(candidates.map(candidate => candidate.url)).toEqual([
+        'https://cdn.test/w_320,q_80/a.jpg',
+        'https://cdn.test/w_640,q_80/a.jpg'
+      ]);
+      expect(candidates.map(candidate => candidate.density)).toEqual([1, 2]);
+    });
+
+    test('flags invalid descriptors', () => {
+      const [mixed, zero] = auditor.parseSrcset('a.jpg 320w 2x, b.jpg 0w');
+      expect(mixed.invalid).toBe(true);
+      expect(zero.invalid).toBe(true);
+    });
+  });
+
+  describe('evaluateSizes', () => {
+    test('uses the first entry whose media condition matches', () => {
+      const result = auditor.evaluateSizes('(min-width: 800px) 50vw, 100vw', viewport, 400);
+      expect(result.value).toBe(400);
+      expect(result.length).toBe('100vw');
+    });
+
+    test('resolves calc() lengths', () => {
+      const result = auditor.evaluateSizes('(max-width: 600px) calc(100vw - 32px), 600px', viewport, 368);
+      expect(result.value).toBe(368);
+    });
+
+    test('falls back to 100vw without sizes', () => {
+      expect(auditor.evaluateSizes('', viewport, 200).value).toBe(400);
+    });
+  });
+
+  describe('selectCandidate', () => {
+    test('picks the first candidate that covers the device pixel ratio', () => {
+      const candidates = auditor.parseSrcset('a.jpg 320w, b.jpg 800w, c.jpg 1600w');
+      expect(auditor.selectCandidate(candidates, 400, 2).url).toBe('b.jpg');
+    });
+
+    test('falls back to the largest candidate', () => {
+      const candidates = auditor.parseSrcset('a.jpg 320w, b.jpg 640w');
+      expect(auditor.selectCandidate(candidates, 400, 3).url).toBe('b.jpg');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// UI helpers for Lazy Spy
+// Escaping, sorting and formatting shared by the popup, side panel, DevTools panel, options and crawl pages
+
+class LazySpyUI {
+  static escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  static compareValues(a, b) {
+    // Missing values always sort last
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+
+    if (typeof a === 'boolean') return Number(b) - Number(a);
+    if (typeof a === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+  }
+
+  // Measured sizes are shown as-is, estimates get a "~" prefix
+  static formatSize(img) {
+    if (img.fileSizeBytes) {
+      const kb = img.fileSizeBytes / 1024;
+      const label = kb > 1024 ? `${(kb / 1024).toFixed(1)}MB` : `${Math.round(kb)}KB`;
+      return img.fileSizeMeasured ? label : `~${label}`;
+    }
+    return img.fileSize || 'Unknown';
+  }
+
+  // Rule findings of an image as a details list, or an empty-state line when there are none
+  static renderFindings(findings) {
+    const escape = LazySpyUI.escapeHTML;
+    const items = (findings || []).map(finding => `
+      <li>
+        <span class="severity severity-${escape(finding.severity)}">${escape(finding.severity)}</span>
+        ${escape(finding.message)} <code class="rule-id">${escape(finding.ruleId)}</code>
+        ${finding.fix ? `<div class="finding-fix">Fix: <code>${escape(finding.fix)}</code></div>` : ''}
+      </li>
+    `).join('');
+    return items ? `<ul class="details-list">${items}</ul>` : '<div class="details-empty">No issues found</div>';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LazySpyUI;
+}
+
+// Make available globally for extension pages
+if (typeof window !== 'undefined') {
+  window.LazySpyUI = LazySpyUI;
+}
@@ -2,9 +2,14 @@ const path = require('path');
 
 module.exports = {
   entry: {
-    popup: ['./csv-exporter.js', './library-detector.js', './popup.js'],
-    content: ['./library-detector.js', './content.js'],
-    background: './background.js'
+    popup: ['./ui-utils.js', './csv-exporter.js', './html-report-exporter.js', './library-detector.js', './audit-history.js', './popup.js'],
+    content: ['./library-detector.js', './format-detector.js', './size-resolver.js', './srcset-auditor.js', './picture-analyzer.js', './snippet-generator.js', './settings.js', './rules.js', './custom-rules.js', './content.js'],
+    background: ['./audit-history.js', './format-detector.js', './site-crawler.js', './background.js'],
+    sidepanel: ['./ui-utils.js', './sidepanel.js'],
+    devtools: ['./devtools.js'],
+    'devtools-panel': ['./ui-utils.js', './devtools-panel.js'],
+    options: ['./ui-utils.js', './settings.js', './options.js'],
+    crawl: ['./ui-utils.js', './csv-exporter.js', './crawl.js']
   },
   output: {
     filename: '[name].bundle.js',